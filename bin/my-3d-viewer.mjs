@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { register } from 'node:module';
+
+// Before anything from lib/ is imported
+register('../cli/hooks.mjs', import.meta.url);
+
+const { run } = await import('../cli/main.mjs');
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,20 @@
+// cli/hooks.mjs
+// Lets plain Node load lib/ the way the bundler does: lib/*.js are ES modules
+// and imports may leave out the .js extension ('./formats', 'three/.../STLLoader').
+const ROOT = new URL('../', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || specifier.endsWith('.js')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(ROOT) && !url.includes('/node_modules/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
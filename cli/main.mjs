@@ -0,0 +1,243 @@
+// cli/main.mjs
+import { createHash } from 'node:crypto';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { basename, join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_DEVIATION_TOLERANCE, compareModelInfos, createModelInfo, detectModelUnits } from '../lib/compare.js';
+import { ACCEPTED_EXTENSIONS, parseModelHeadless } from '../lib/formats.js';
+import { MATERIAL_PRESETS, resolveMaterial } from '../lib/materials.js';
+import { DEFAULT_TESSELLATION } from '../lib/occt.js';
+import { buildReport } from '../lib/report.js';
+import { parseUnitName } from '../lib/units.js';
+import {
+  BATCH_FORMAT,
+  BATCH_VERSION,
+  THRESHOLDS,
+  checkThresholds,
+  pairFiles,
+  summaryRows,
+  summaryToCSV,
+} from '../lib/batch.js';
+
+// 1 is left for "ran fine, but something is over its limit" so pipelines can tell the cases apart
+const EXIT = { pass: 0, fail: 1, error: 2 };
+
+const USAGE = `Usage:
+  my-3d-viewer compare <original> <modified> [options]
+  my-3d-viewer compare-dir <original-dir> <modified-dir> [options]
+
+compare-dir pairs files by their path relative to each directory,
+ignoring extension and case.
+
+Options:
+  --json <file>            Write a JSON summary with a full report per pair
+  --csv <file>             Write a CSV summary, one row per pair
+  --units <unit>           Unit of every file (mm, cm, m, in); detected when left out
+  --material <preset>      Material preset id for mass, e.g. al-6061-t6
+  --no-align               Compare the parts where they are, without aligning them
+  --tolerance <mm>         Deviation tolerance (default ${DEFAULT_DEVIATION_TOLERANCE})
+  --max-volume <percent>   Fail when the volume changes by more than this
+  --max-area <percent>     Fail when the surface area changes by more than this
+  --max-dimension <percent>  Fail when any bounding box dimension changes by more than this
+  --max-deviation <mm>     Fail when the Hausdorff distance is larger than this
+  --max-rms <mm>           Fail when the RMS deviation is larger than this
+  --fail-on-unmatched      Fail when a file has no counterpart (compare-dir)
+  -h, --help               Show this help
+
+Exit status: 0 when every pair is within its limits, 1 when a limit is
+exceeded, 2 when a file could not be compared or the arguments are wrong.`;
+
+const OPTIONS = {
+  json: { type: 'string' },
+  csv: { type: 'string' },
+  units: { type: 'string' },
+  material: { type: 'string' },
+  'no-align': { type: 'boolean', default: false },
+  tolerance: { type: 'string' },
+  'max-volume': { type: 'string' },
+  'max-area': { type: 'string' },
+  'max-dimension': { type: 'string' },
+  'max-deviation': { type: 'string' },
+  'max-rms': { type: 'string' },
+  'fail-on-unmatched': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`--${name} expects a non-negative number, got "${value}"`);
+  }
+  return number;
+};
+
+const parseOptions = (values) => {
+  const unit = values.units ? parseUnitName(values.units) : null;
+  if (values.units && !unit) {
+    throw new Error(`Unknown unit "${values.units}"`);
+  }
+  if (values.material && !MATERIAL_PRESETS.some(material => material.id === values.material)) {
+    throw new Error(`Unknown material "${values.material}"; presets are ${MATERIAL_PRESETS.map(material => material.id).join(', ')}`);
+  }
+  const material = resolveMaterial({ presetId: values.material ?? null, overrides: {} }, MATERIAL_PRESETS);
+  return {
+    unit,
+    materials: { original: material, modified: material },
+    autoAlign: !values['no-align'],
+    deviationTolerance: parseNumber(values.tolerance, 'tolerance') ?? DEFAULT_DEVIATION_TOLERANCE,
+    limits: Object.fromEntries(Object.keys(THRESHOLDS).map(key => [key, parseNumber(values[`max-${key}`], `max-${key}`)])),
+  };
+};
+
+// Every supported model file under `directory`, as paths relative to it
+const listModels = async (directory) => {
+  const entries = await readdir(directory, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && ACCEPTED_EXTENSIONS.some(extension => entry.name.toLowerCase().endsWith(extension)))
+    .map(entry => relative(directory, join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+};
+
+const loadModel = async (path, unit, reference) => {
+  try {
+    const bytes = await readFile(path);
+    const object = await parseModelHeadless(
+      basename(path),
+      kind => (kind === 'Text'
+        ? bytes.toString('utf8')
+        : bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)),
+      { tessellation: DEFAULT_TESSELLATION }
+    );
+    // As in the page, the original's size is the hint for a modified part without a unit
+    const units = unit ? { unit, detectedBy: 'user' } : detectModelUnits(object, reference);
+    return {
+      info: createModelInfo(object, units),
+      file: { name: basename(path), size: bytes.length, sha256: createHash('sha256').update(bytes).digest('hex') },
+    };
+  } catch (error) {
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  }
+};
+
+const comparePair = async ({ name, original, modified }, options) => {
+  try {
+    const originalPart = await loadModel(original, options.unit, null);
+    const modifiedPart = await loadModel(modified, options.unit, originalPart.info);
+    const results = compareModelInfos(originalPart.info, modifiedPart.info, options);
+    return {
+      name,
+      results,
+      failures: checkThresholds(results, options.limits),
+      report: buildReport(results, { files: { original: originalPart.file, modified: modifiedPart.file } }),
+    };
+  } catch (error) {
+    return { name, error: error.message };
+  }
+};
+
+const formatCell = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : '–');
+
+const printTable = (rows) => {
+  const columns = [
+    ['Part', row => row.name],
+    ...Object.entries(THRESHOLDS).map(([key, { label, unit }]) => [
+      `${label} (${unit})`,
+      row => formatCell(row[key], unit === '%' ? 2 : 4),
+    ]),
+    ['Status', row => row.status.toUpperCase()],
+  ];
+  const cells = rows.map(row => columns.map(([, read]) => read(row)));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(line => line[i].length)));
+  const format = line => line.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+  console.log(format(columns.map(([title]) => title)));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  cells.forEach(line => console.log(format(line)));
+  rows.filter(row => row.failures).forEach(row => console.log(`${row.name}: ${row.failures}`));
+};
+
+/**
+ * Runs the CLI with `args` (without node and the script) and resolves with the exit status.
+ */
+export async function run(args) {
+  let parsed;
+  let options;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    options = parseOptions(parsed.values);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.error;
+  }
+
+  const [command, originalPath, modifiedPath] = parsed.positionals;
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return EXIT.pass;
+  }
+  if (!['compare', 'compare-dir'].includes(command) || !originalPath || !modifiedPath) {
+    console.error(USAGE);
+    return EXIT.error;
+  }
+
+  let pairs;
+  let unmatched = { original: [], modified: [] };
+  if (command === 'compare') {
+    pairs = [{ name: basename(modifiedPath), original: originalPath, modified: modifiedPath }];
+  } else {
+    try {
+      const matched = pairFiles(await listModels(originalPath), await listModels(modifiedPath));
+      pairs = matched.pairs.map(pair => ({
+        ...pair,
+        original: join(originalPath, pair.original),
+        modified: join(modifiedPath, pair.modified),
+      }));
+      unmatched = { original: matched.onlyOriginal, modified: matched.onlyModified };
+    } catch (error) {
+      console.error(`Could not list the directories: ${error.message}`);
+      return EXIT.error;
+    }
+  }
+
+  const entries = [];
+  for (const [index, pair] of pairs.entries()) {
+    console.error(`[${index + 1}/${pairs.length}] ${pair.name}`);
+    entries.push(await comparePair(pair, options));
+  }
+  const rows = summaryRows(entries);
+
+  printTable(rows);
+  unmatched.original.forEach(path => console.log(`Only in ${originalPath}: ${path}`));
+  unmatched.modified.forEach(path => console.log(`Only in ${modifiedPath}: ${path}`));
+
+  try {
+    if (parsed.values.json) {
+      const summary = {
+        format: BATCH_FORMAT,
+        version: BATCH_VERSION,
+        generatedAt: new Date().toISOString(),
+        limits: options.limits,
+        pairs: entries.map((entry, i) => ({
+          name: entry.name,
+          status: rows[i].status,
+          failures: entry.failures ?? [],
+          error: entry.error ?? null,
+          report: entry.report ?? null,
+        })),
+        unmatched,
+      };
+      await writeFile(parsed.values.json, JSON.stringify(summary, null, 2));
+    }
+    if (parsed.values.csv) {
+      await writeFile(parsed.values.csv, summaryToCSV(rows));
+    }
+  } catch (error) {
+    console.error(`Could not write the summary: ${error.message}`);
+    return EXIT.error;
+  }
+
+  const hasUnmatched = unmatched.original.length + unmatched.modified.length > 0;
+  if (rows.some(row => row.status === 'error')) return EXIT.error;
+  if (rows.some(row => row.status === 'fail') || (parsed.values['fail-on-unmatched'] && hasUnmatched)) return EXIT.fail;
+  return EXIT.pass;
+}
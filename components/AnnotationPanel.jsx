@@ -0,0 +1,138 @@
+// components/AnnotationPanel.jsx
+import React, { useRef } from 'react';
+import { Crosshair, Download, Trash2, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { ANNOTATION_STATUSES } from '../lib/annotations';
+import { cn } from '../lib/utils';
+
+// Review notes of every revision; `annotations` carry their pin `number` and `revisionLabel`
+const AnnotationPanel = ({
+  annotations,
+  selectedId,
+  onSelect,
+  onGoTo,
+  onChange,
+  onRemove,
+  author,
+  onAuthorChange,
+  onExport,
+  onImport,
+  className,
+}) => {
+  const inputRef = useRef(null);
+
+  return (
+    <div className={cn('text-sm', className)}>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2">
+          Your name
+          <input
+            type="text"
+            value={author}
+            onChange={(e) => onAuthorChange(e.target.value)}
+            placeholder="Reviewer"
+            className="w-32 p-1 border rounded"
+          />
+        </label>
+        <div className="ml-auto flex gap-2">
+          <Button size="sm" variant="outline" disabled={annotations.length === 0} onClick={onExport}>
+            <Download className="w-4 h-4 mr-1" />
+            Export JSON
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => inputRef.current?.click()}>
+            <Upload className="w-4 h-4 mr-1" />
+            Import JSON
+          </Button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+        </div>
+      </div>
+
+      {annotations.length === 0 ? (
+        <p className="mt-2 text-gray-500">Use &ldquo;Add note&rdquo; in a viewer, then click the part to pin a note.</p>
+      ) : (
+        <ul className="mt-2 flex flex-col gap-2">
+          {annotations.map(annotation => (
+            <li
+              key={annotation.id}
+              onClick={() => onSelect(annotation.id)}
+              className={cn(
+                'rounded border p-2',
+                annotation.id === selectedId ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+              )}
+            >
+              <div className="flex items-center gap-2">
+                <span
+                  className={cn(
+                    'flex items-center justify-center w-5 h-5 rounded-full text-white text-[10px] font-semibold',
+                    annotation.status === 'resolved' ? 'bg-green-600' : 'bg-red-600'
+                  )}
+                >
+                  {annotation.number}
+                </span>
+                <span className="text-gray-500">
+                  Revision {annotation.revisionLabel}
+                  {annotation.author && ` · ${annotation.author}`}
+                  {' · '}
+                  {new Date(annotation.createdAt).toLocaleString()}
+                </span>
+                <div className="ml-auto flex items-center gap-2 text-gray-500">
+                  <select
+                    value={annotation.status}
+                    onChange={(e) => onChange(annotation.id, { status: e.target.value })}
+                    className="p-1 border rounded text-xs"
+                  >
+                    {Object.entries(ANNOTATION_STATUSES).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onGoTo(annotation.id);
+                    }}
+                    disabled={!annotation.view}
+                    className="hover:text-gray-900 disabled:opacity-30"
+                    title="Show in the viewer"
+                  >
+                    <Crosshair className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemove(annotation.id);
+                    }}
+                    className="hover:text-red-600"
+                    title="Delete note"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <textarea
+                value={annotation.text}
+                onChange={(e) => onChange(annotation.id, { text: e.target.value })}
+                placeholder="Note"
+                rows={2}
+                className="mt-1 w-full p-1 border rounded"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationPanel;
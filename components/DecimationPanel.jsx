@@ -0,0 +1,184 @@
+// components/DecimationPanel.jsx
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from './ui/button';
+import { Progress } from './ui/progress';
+import { DECIMATION_MODES, DEFAULT_DECIMATION } from '../lib/decimate';
+import { UNITS, convertFromMillimetres, unitLabels } from '../lib/units';
+
+const PHASE_LABELS = {
+  simplifying: 'Simplifying',
+  measuring: 'Measuring deviation',
+  transferring: 'Transferring geometry',
+};
+
+const formatCount = value => value.toLocaleString();
+
+// `status` is { phase, percent } while simplifying; `result` is the last run's
+// { revisionId, sourceLabel, report } with the deviation in mm
+const DecimationPanel = ({
+  revisions,
+  defaultRevisionId,
+  status,
+  result,
+  unit,
+  onSimplify,
+  onCancel,
+  onDownload,
+  className,
+}) => {
+  const [revisionId, setRevisionId] = useState(null);
+  // null follows the chosen revision's size
+  const [targetFaces, setTargetFaces] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_DECIMATION);
+
+  const revision = revisions.find(candidate => candidate.id === (revisionId ?? defaultRevisionId)) ?? revisions[0];
+  if (!revision) {
+    return <p className="text-sm text-gray-500">Load a part to simplify it.</p>;
+  }
+  const sourceFaces = revision.info.stats.triangles;
+  const target = targetFaces ?? Math.max(1, Math.round(sourceFaces * settings.ratio));
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  const length = value => `${convertFromMillimetres(value, 'length', unit).toPrecision(3)} ${unitLabels(unit).length}`;
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          Revision
+          <select
+            value={revision.id}
+            onChange={(e) => {
+              setRevisionId(e.target.value);
+              setTargetFaces(null);
+            }}
+            className="p-1 border rounded"
+          >
+            {revisions.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.label} · {candidate.file.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(DECIMATION_MODES).map(([mode, { label }]) => (
+          <label key={mode} className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="decimation-mode"
+              checked={settings.mode === mode}
+              onChange={() => update({ mode })}
+            />
+            {label}
+          </label>
+        ))}
+        {settings.mode === 'faces' ? (
+          <label className="flex items-center gap-2">
+            <input
+              type="number"
+              min={1}
+              max={sourceFaces}
+              step={1}
+              value={target}
+              onChange={(e) => setTargetFaces(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              className="w-28 p-1 border rounded"
+            />
+            <span className="text-gray-500">of {formatCount(sourceFaces)} triangles</span>
+          </label>
+        ) : (
+          <label className="flex items-center gap-2">
+            <input
+              type="number"
+              min={0}
+              step={0.01}
+              value={Number(convertFromMillimetres(settings.maxError, 'length', unit).toPrecision(6))}
+              onChange={(e) => update({ maxError: Math.max(0, parseFloat(e.target.value) || 0) * UNITS[unit].scale })}
+              className="w-20 p-1 border rounded"
+            />
+            {unitLabels(unit).length}
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+        <label className="flex items-center gap-2">
+          Keep edges sharper than
+          <input
+            type="number"
+            min={0}
+            max={180}
+            step={5}
+            value={settings.featureAngle}
+            onChange={(e) => update({ featureAngle: Math.min(180, Math.max(0, parseFloat(e.target.value) || 0)) })}
+            className="w-16 p-1 border rounded"
+          />
+          °
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.preserveBoundaries}
+            onChange={(e) => update({ preserveBoundaries: e.target.checked })}
+          />
+          Keep open boundaries
+        </label>
+        <Button
+          size="sm"
+          className="ml-auto"
+          disabled={Boolean(status)}
+          onClick={() => onSimplify(revision.id, { ...settings, targetFaces: target })}
+        >
+          Simplify
+        </Button>
+      </div>
+
+      {status && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+            <span>{PHASE_LABELS[status.phase] || 'Simplifying'}… {Math.round(status.percent)}%</span>
+            <Button size="sm" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+          </div>
+          <Progress value={status.percent} />
+        </div>
+      )}
+
+      {result && revisions.some(candidate => candidate.id === result.revisionId) && (
+        <div className="flex flex-wrap items-end gap-6 mt-4 text-sm">
+          <table>
+            <tbody>
+              <tr>
+                <td className="pr-3 text-gray-500">Triangles</td>
+                <td>{formatCount(result.report.sourceFaces)} → {formatCount(result.report.faces)}</td>
+              </tr>
+              <tr>
+                <td className="pr-3 text-gray-500">Vertices (welded)</td>
+                <td>{formatCount(result.report.sourceVertices)} → {formatCount(result.report.vertices)}</td>
+              </tr>
+              <tr>
+                <td className="pr-3 text-gray-500">Hausdorff distance</td>
+                <td>{length(result.report.deviation.hausdorff)}</td>
+              </tr>
+              <tr>
+                <td className="pr-3 text-gray-500">RMS deviation</td>
+                <td>{length(result.report.deviation.rms)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div className="flex flex-col items-end gap-2 ml-auto">
+            <span className="text-gray-500">
+              Shown as the candidate against revision {result.sourceLabel}
+            </span>
+            <Button size="sm" variant="outline" onClick={() => onDownload(result.revisionId)}>
+              <Download className="w-4 h-4 mr-1" />
+              Download STL
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecimationPanel;
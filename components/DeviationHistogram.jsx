@@ -0,0 +1,40 @@
+// components/DeviationHistogram.jsx
+import React from 'react';
+import { DEVIATION_COLORS } from '../lib/deviation';
+import { convertFromMillimetres, unitLabels } from '../lib/units';
+import { cn } from '../lib/utils';
+
+// `bins` and `tolerance` are in mm; the labels are shown in `unit`
+const DeviationHistogram = ({ bins, tolerance, unit = 'mm', className }) => {
+  if (!bins?.length) return null;
+
+  const length = value => `${convertFromMillimetres(value, 'length', unit).toFixed(3)} ${unitLabels(unit).length}`;
+  const peak = Math.max(...bins.map(bin => bin.count), 1);
+
+  const binColor = (bin) => {
+    const center = (bin.from + bin.to) / 2;
+    if (Math.abs(center) <= tolerance) return DEVIATION_COLORS.within;
+    return center > 0 ? DEVIATION_COLORS.above : DEVIATION_COLORS.below;
+  };
+
+  return (
+    <div className={cn('text-xs text-gray-500', className)}>
+      <div className="flex items-end gap-px h-24">
+        {bins.map((bin) => (
+          <div
+            key={bin.from}
+            className="flex-1 rounded-t"
+            style={{ height: `${(bin.count / peak) * 100}%`, backgroundColor: binColor(bin) }}
+            title={`${length(bin.from)} – ${length(bin.to)}: ${bin.count} vertices`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-1">
+        <span>{length(bins[0].from)}</span>
+        <span>{length(bins[bins.length - 1].to)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DeviationHistogram;
@@ -0,0 +1,38 @@
+// components/DeviationLegend.jsx
+import React from 'react';
+import { DEVIATION_COLORS } from '../lib/deviation';
+import { cn } from '../lib/utils';
+
+const formatDistance = (value) => `${value > 0 ? '+' : ''}${value.toFixed(3)}`;
+
+const DeviationLegend = ({ min, max, range, tolerance, className }) => {
+  // Position of the tolerance band inside the ±range bar, measured from the top
+  const band = range > 0 ? Math.min(50, (tolerance / range) * 50) : 50;
+  const gradient = `linear-gradient(to bottom,
+    ${DEVIATION_COLORS.above} 0%,
+    ${DEVIATION_COLORS.within} ${50 - band}%,
+    ${DEVIATION_COLORS.within} ${50 + band}%,
+    ${DEVIATION_COLORS.below} 100%)`;
+
+  return (
+    <div className={cn('flex gap-2 rounded bg-white/90 p-2 text-xs shadow', className)}>
+      <div className="w-3 h-40 rounded" style={{ background: gradient }} />
+      <div className="relative h-40 w-20">
+        <span className="absolute top-0 -translate-y-1/2">{formatDistance(range)}</span>
+        <span className="absolute -translate-y-1/2" style={{ top: `${50 - band}%` }}>
+          {formatDistance(tolerance)}
+        </span>
+        <span className="absolute -translate-y-1/2" style={{ top: `${50 + band}%` }}>
+          {formatDistance(-tolerance)}
+        </span>
+        <span className="absolute bottom-0 translate-y-1/2">{formatDistance(-range)}</span>
+      </div>
+      <div className="flex flex-col justify-between text-gray-500">
+        <span>max {formatDistance(max)}</span>
+        <span>min {formatDistance(min)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DeviationLegend;
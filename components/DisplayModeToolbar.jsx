@@ -0,0 +1,58 @@
+// components/DisplayModeToolbar.jsx
+import React from 'react';
+import { DISPLAY_MODES } from '../lib/displayModes';
+import { cn } from '../lib/utils';
+
+const DisplayModeToolbar = ({ display, onChange, className }) => (
+  <div className={cn('flex flex-wrap items-center gap-1 rounded bg-white/90 p-1 text-xs shadow', className)}>
+    {Object.entries(DISPLAY_MODES).map(([mode, { label }]) => (
+      <button
+        key={mode}
+        type="button"
+        onClick={() => onChange({ mode })}
+        className={cn(
+          'rounded px-2 py-1',
+          display.mode === mode ? 'bg-gray-800 text-white' : 'hover:bg-gray-100'
+        )}
+      >
+        {label}
+      </button>
+    ))}
+    <span className="mx-1 h-4 border-l" />
+    <button
+      type="button"
+      onClick={() => onChange({ flatShading: !display.flatShading })}
+      className="rounded px-2 py-1 hover:bg-gray-100"
+      title="Toggle flat and smooth shading"
+    >
+      {display.flatShading ? 'Flat' : 'Smooth'}
+    </button>
+    <label className="flex items-center gap-1 px-1">
+      <input
+        type="checkbox"
+        checked={display.showNormals}
+        onChange={(e) => onChange({ showNormals: e.target.checked })}
+      />
+      Normals
+    </label>
+    {DISPLAY_MODES[display.mode].edges && (
+      <label className="flex items-center gap-1 px-1" title="Crease angle for feature edges">
+        ∠
+        <input
+          type="number"
+          min={1}
+          max={180}
+          value={display.creaseAngle}
+          onChange={(e) => {
+            const angle = parseFloat(e.target.value);
+            if (angle >= 1 && angle <= 180) onChange({ creaseAngle: angle });
+          }}
+          className="w-12 rounded border px-1"
+        />
+        °
+      </label>
+    )}
+  </div>
+);
+
+export default DisplayModeToolbar;
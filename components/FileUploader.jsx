@@ -1,90 +1,108 @@
 // components/FileUploader.jsx
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
 import { Alert, AlertDescription } from './ui/alert';
 import { Progress } from './ui/progress';
+import { Button } from './ui/button';
 import { FileText, AlertCircle } from 'lucide-react';
-import * as THREE from 'three';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
+import {
+  ACCEPTED_EXTENSIONS,
+  ACCEPTED_FORMATS_LABEL,
+  getFileFormat,
+} from '../lib/formats';
+import { loadModelFile } from '../lib/loadModelFile';
+import {
+  collectDroppedFiles,
+  expandArchive,
+  fetchModelFile,
+  isArchive,
+  isModelFile,
+} from '../lib/fileSources';
 
-const CADFileUploader = ({ onFileLoad, type, disabled }) => {
+const PHASE_LABELS = {
+  downloading: 'Downloading',
+  reading: 'Reading file',
+  parsing: 'Parsing geometry',
+  transferring: 'Transferring geometry',
+};
+
+// Parsing runs in a worker, so large files no longer freeze the page
+const DEFAULT_MAX_FILE_SIZE = 500 * 1024 * 1024;
+
+// `parseOptions` is forwarded to the format parser, e.g. { tessellation } for STEP/IGES.
+// `onMultipleFiles(files)` receives drops or selections of more than one model
+// so the page can spread them over several uploaders; the ref exposes
+// `loadFile(file)` for that purpose.
+const CADFileUploader = forwardRef(({
+  onFileLoad,
+  onMultipleFiles,
+  type,
+  disabled,
+  parseOptions,
+  maxFileSize = DEFAULT_MAX_FILE_SIZE,
+}, ref) => {
   const [uploadStatus, setUploadStatus] = useState({
     progress: 0,
+    phase: null,
     error: null,
     loading: false,
     success: false,
   });
+  const [dragActive, setDragActive] = useState(false);
+  const [pendingEntries, setPendingEntries] = useState(null);
+  const [selectedEntries, setSelectedEntries] = useState([]);
+  const [url, setUrl] = useState('');
+  // The running download or parse, as { cancel }
+  const loadRef = useRef(null);
+  // dragenter/dragleave also fire for child elements; count them to know when we really left
+  const dragDepthRef = useRef(0);
+
+  // Stop any in-flight download or parse when the uploader goes away
+  useEffect(() => () => loadRef.current?.cancel(), []);
 
   const validateFile = (file) => {
-    const maxSize = 50 * 1024 * 1024;
-    if (file.size > maxSize) {
-      throw new Error('File size exceeds 50MB limit');
+    if (file.size > maxFileSize) {
+      throw new Error(`File size exceeds ${Math.round(maxFileSize / (1024 * 1024))}MB limit`);
     }
 
-    const extension = file.name.split('.').pop().toLowerCase();
-    if (!['obj', 'stl'].includes(extension)) {
-      throw new Error('Invalid file type. Please upload .obj or .stl files');
+    const format = getFileFormat(file.name);
+    if (!format) {
+      throw new Error(`Invalid file type. Please upload ${ACCEPTED_EXTENSIONS.join(', ')} files`);
     }
 
-    return extension;
+    return format;
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-
+  const loadFile = async (file) => {
+    let load = null;
     try {
-      const extension = validateFile(file);
-      setUploadStatus({ progress: 0, error: null, loading: true, success: false });
-
-      const reader = new FileReader();
-      
-      reader.onload = async (e) => {
-        try {
-          let loader;
-          let geometry;
-          const fileContent = e.target.result;
-
-          if (extension === 'stl') {
-            loader = new STLLoader();
-            geometry = loader.parse(fileContent);
-            const material = new THREE.MeshPhongMaterial();
-            const mesh = new THREE.Mesh(geometry, material);
-            onFileLoad(file.name, mesh);
-          } else {
-            loader = new OBJLoader();
-            const object = loader.parse(fileContent);
-            onFileLoad(file.name, object);
-          }
-
-          setUploadStatus({ progress: 100, error: null, loading: false, success: true });
-        } catch (error) {
-          setUploadStatus({
-            progress: 0,
-            error: `Error parsing file: ${error.message}`,
-            loading: false,
-            success: false,
-          });
-        }
-      };
-
-      reader.onerror = () => {
-        setUploadStatus({
-          progress: 0,
-          error: 'Error reading file',
-          loading: false,
-          success: false,
-        });
-      };
-
-      if (extension === 'stl') {
-        reader.readAsArrayBuffer(file);
-      } else {
-        reader.readAsText(file);
-      }
+      const format = validateFile(file);
+      loadRef.current?.cancel();
+      setUploadStatus({ progress: 0, phase: 'reading', error: null, loading: true, success: false });
+
+      load = loadModelFile(file, format, {
+        options: parseOptions,
+        onProgress: ({ phase, percent }) => {
+          if (loadRef.current !== load) return;
+          setUploadStatus(prev => ({ ...prev, phase, progress: percent }));
+        },
+      });
+      loadRef.current = load;
+
+      const object = await load.promise;
+      loadRef.current = null;
+      onFileLoad(file.name, object, file);
+      setUploadStatus({ progress: 100, phase: null, error: null, loading: false, success: true });
     } catch (error) {
+      // A newer upload has taken over; leave its status alone
+      if (load && loadRef.current && loadRef.current !== load) return;
+      loadRef.current = null;
+      if (error.name === 'AbortError') {
+        setUploadStatus({ progress: 0, phase: null, error: null, loading: false, success: false });
+        return;
+      }
       setUploadStatus({
         progress: 0,
+        phase: null,
         error: error.message,
         loading: false,
         success: false,
@@ -92,13 +110,163 @@ const CADFileUploader = ({ onFileLoad, type, disabled }) => {
     }
   };
 
+  useImperativeHandle(ref, () => ({ loadFile }));
+
+  const showError = (message) => {
+    setUploadStatus({ progress: 0, phase: null, error: message, loading: false, success: false });
+  };
+
+  // One model loads here; two or more go to the page to be spread over the slots
+  const loadModels = (files) => {
+    if (files.length > 1 && onMultipleFiles) {
+      onMultipleFiles(files);
+    } else {
+      loadFile(files[0]);
+    }
+  };
+
+  const handleFiles = async (files, { fromFolder = false } = {}) => {
+    try {
+      const archives = files.filter(file => isArchive(file.name));
+      const expanded = (await Promise.all(archives.map(expandArchive))).flat();
+      const models = [...files.filter(file => isModelFile(file.name)), ...expanded];
+
+      if (models.length === 0) {
+        showError(`No supported model files found (${ACCEPTED_FORMATS_LABEL})`);
+        return;
+      }
+
+      // Folders and archives may hold many parts, so let the user choose
+      if (fromFolder || archives.length > 0) {
+        setPendingEntries(models);
+        setSelectedEntries(models.length <= 2 ? models.map((_, i) => i) : []);
+        return;
+      }
+
+      loadModels(models);
+    } catch (error) {
+      showError(`Could not open files: ${error.message}`);
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files || []);
+    // Allow picking the same file again after a cancel or error
+    event.target.value = '';
+    if (files.length > 0) handleFiles(files);
+  };
+
+  const handleDragEnter = (event) => {
+    event.preventDefault();
+    if (disabled) return;
+    dragDepthRef.current++;
+    setDragActive(true);
+  };
+
+  const handleDragOver = (event) => {
+    // Without this the browser opens the dropped file instead
+    event.preventDefault();
+    event.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (event) => {
+    event.preventDefault();
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setDragActive(false);
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setDragActive(false);
+    if (disabled) return;
+
+    try {
+      const { files, fromFolder } = await collectDroppedFiles(event.dataTransfer);
+      if (files.length > 0) handleFiles(files, { fromFolder });
+    } catch (error) {
+      showError(`Could not read dropped items: ${error.message}`);
+    }
+  };
+
+  const loadUrl = async (value) => {
+    const controller = new AbortController();
+    const download = { cancel: () => controller.abort() };
+    try {
+      loadRef.current?.cancel();
+      loadRef.current = download;
+      setUploadStatus({ progress: null, phase: 'downloading', error: null, loading: true, success: false });
+      const file = await fetchModelFile(value, { signal: controller.signal });
+      if (loadRef.current !== download) return;
+      loadRef.current = null;
+      setUploadStatus(prev => ({ ...prev, loading: false }));
+      handleFiles([file]);
+    } catch (error) {
+      if (loadRef.current && loadRef.current !== download) return;
+      loadRef.current = null;
+      if (error.name === 'AbortError') {
+        setUploadStatus({ progress: 0, phase: null, error: null, loading: false, success: false });
+        return;
+      }
+      showError(error.message);
+    }
+  };
+
+  const handleUrlLoad = (event) => {
+    event.preventDefault();
+    if (url.trim()) loadUrl(url.trim());
+  };
+
+  // Pasted files load like dropped ones; pasted text outside the URL field is taken as a URL
+  const handlePaste = (event) => {
+    if (disabled) return;
+    const files = Array.from(event.clipboardData.files || []);
+    if (files.length > 0) {
+      event.preventDefault();
+      handleFiles(files);
+      return;
+    }
+
+    const text = event.clipboardData.getData('text').trim();
+    if (text && event.target.tagName !== 'INPUT') {
+      event.preventDefault();
+      setUrl(text);
+      loadUrl(text);
+    }
+  };
+
+  const toggleEntry = (index) => {
+    setSelectedEntries(prev => (
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    ));
+  };
+
+  const handleLoadEntries = () => {
+    const files = selectedEntries.map(index => pendingEntries[index]);
+    setPendingEntries(null);
+    setSelectedEntries([]);
+    if (files.length > 0) loadModels(files);
+  };
+
+  const handleCancel = () => {
+    loadRef.current?.cancel();
+    loadRef.current = null;
+  };
+
   return (
-    <div className="w-full max-w-md">
-      <label className={`flex flex-col items-center justify-center w-full h-32 border-2 border-dashed rounded-lg cursor-pointer
-        ${uploadStatus.error ? 'border-red-300 bg-red-50' :
+    <div className="w-full max-w-md" onPaste={handlePaste}>
+      <label
+        tabIndex={disabled ? -1 : 0}
+        className={`flex flex-col items-center justify-center w-full h-32 border-2 border-dashed rounded-lg cursor-pointer
+        ${dragActive ? 'border-blue-400 bg-blue-50' :
+        uploadStatus.error ? 'border-red-300 bg-red-50' :
         uploadStatus.success ? 'border-green-300 bg-green-50' :
         'border-gray-300 bg-gray-50'}
         ${disabled ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-100'}`}
+        onDragEnter={handleDragEnter}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
       >
         <div className="flex flex-col items-center justify-center pt-5 pb-6">
           <FileText className={`w-8 h-8 mb-2 ${
@@ -107,21 +275,84 @@ const CADFileUploader = ({ onFileLoad, type, disabled }) => {
             'text-gray-500'
           }`} />
           <p className="mb-2 text-sm text-gray-500">
-            <span className="font-semibold">Click to upload</span> or drag and drop
+            {dragActive ? (
+              <span className="font-semibold">Drop to load</span>
+            ) : (
+              <><span className="font-semibold">Click to upload</span> or drag and drop</>
+            )}
           </p>
-          <p className="text-xs text-gray-500">.STL or .OBJ files</p>
+          <p className="text-xs text-gray-500">{ACCEPTED_FORMATS_LABEL} files, folders or .zip; or paste them here</p>
         </div>
         <input
           type="file"
           className="hidden"
-          accept=".stl,.obj"
+          accept={[...ACCEPTED_EXTENSIONS, '.zip'].join(',')}
+          multiple
           onChange={handleFileUpload}
           disabled={disabled}
         />
       </label>
 
+      <form onSubmit={handleUrlLoad} className="flex gap-2 mt-2">
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="/models/part.stl (same-origin URL)"
+          className="flex-1 p-1 text-sm border rounded"
+          disabled={disabled}
+        />
+        <Button type="submit" size="sm" variant="outline" disabled={disabled || !url.trim()}>
+          Load URL
+        </Button>
+      </form>
+
+      {pendingEntries && (
+        <div className="mt-2 p-2 border rounded bg-white text-sm">
+          <p className="mb-1 font-medium">Choose files to load</p>
+          <ul className="max-h-40 overflow-y-auto">
+            {pendingEntries.map((file, index) => (
+              <li key={file.relativePath || file.name}>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={selectedEntries.includes(index)}
+                    onChange={() => toggleEntry(index)}
+                  />
+                  {file.relativePath || file.name}
+                  {selectedEntries.includes(index) && onMultipleFiles && (
+                    <span className="text-xs text-gray-500">
+                      #{selectedEntries.indexOf(index) + 1}
+                    </span>
+                  )}
+                </label>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-end gap-2 mt-2">
+            <Button size="sm" variant="outline" onClick={() => setPendingEntries(null)}>
+              Cancel
+            </Button>
+            <Button size="sm" disabled={selectedEntries.length === 0} onClick={handleLoadEntries}>
+              Load selected
+            </Button>
+          </div>
+        </div>
+      )}
+
       {uploadStatus.loading && (
-        <Progress value={uploadStatus.progress} className="mt-4" />
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+            <span>
+              {PHASE_LABELS[uploadStatus.phase] || 'Loading'}…
+              {uploadStatus.progress !== null && ` ${Math.round(uploadStatus.progress)}%`}
+            </span>
+            <Button size="sm" variant="outline" onClick={handleCancel}>
+              Cancel
+            </Button>
+          </div>
+          <Progress value={uploadStatus.progress} />
+        </div>
       )}
 
       {uploadStatus.error && (
@@ -132,6 +363,7 @@ const CADFileUploader = ({ onFileLoad, type, disabled }) => {
       )}
     </div>
   );
-};
+});
+CADFileUploader.displayName = 'CADFileUploader';
 
 export default CADFileUploader;
\ No newline at end of file
@@ -0,0 +1,91 @@
+// components/MassPropertiesPanel.jsx
+import React from 'react';
+import { convertFromMillimetres, unitLabels } from '../lib/units';
+import { cn } from '../lib/utils';
+
+const formatNumber = (value, digits = 3) => (
+  value === undefined || isNaN(value)
+    ? '-'
+    : value.toLocaleString(undefined, { maximumFractionDigits: digits })
+);
+
+const formatVector = (vector, digits = 3) => `(${vector.map(value => formatNumber(value, digits)).join(', ')})`;
+
+const TensorTable = ({ tensor, unit }) => (
+  <table className="font-mono text-xs">
+    <tbody>
+      {tensor.map((row, i) => (
+        <tr key={i}>
+          {row.map((value, j) => (
+            <td key={j} className="pr-3 text-right">{convertFromMillimetres(value, 'inertia', unit).toExponential(3)}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Mass, centre of mass and inertia of both parts, and how the balance moved.
+// Values come in mm and g; `unit` (see lib/units) is what they are shown in.
+const MassPropertiesPanel = ({ original, modified, diff, unit = 'mm', className }) => {
+  if (!original && !modified) return null;
+
+  const labels = unitLabels(unit);
+  const length = vector => vector.map(value => convertFromMillimetres(value, 'length', unit));
+  const parts = [['Original', original], ['Modified', modified]].filter(([, props]) => props);
+
+  return (
+    <div className={cn('text-sm', className)}>
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-normal"></th>
+            {parts.map(([label]) => <th key={label} className="font-normal">{label}</th>)}
+            {diff && <th className="font-normal">Change</th>}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Center of mass ({labels.length})</td>
+            {parts.map(([label, props]) => <td key={label}>{formatVector(length(props.centerOfMass))}</td>)}
+            {diff && (
+              <td className={cn(diff.centerOfMassDistance > 0 && 'font-medium')}>
+                {formatVector(length(diff.centerOfMassShift))} ·{' '}
+                {formatNumber(convertFromMillimetres(diff.centerOfMassDistance, 'length', unit))} {labels.length}
+              </td>
+            )}
+          </tr>
+          {[0, 1, 2].map(i => (
+            <tr key={i}>
+              <td>Principal moment I{i + 1} ({labels.inertia})</td>
+              {parts.map(([label, props]) => (
+                <td key={label}>{convertFromMillimetres(props.principalMoments[i], 'inertia', unit).toExponential(4)}</td>
+              ))}
+              {diff && <td>{`${diff.principalMomentsDiff[i] > 0 ? '+' : ''}${formatNumber(diff.principalMomentsDiff[i], 2)}%`}</td>}
+            </tr>
+          ))}
+          {[0, 1, 2].map(i => (
+            <tr key={`axis-${i}`}>
+              <td>Principal axis {i + 1}</td>
+              {parts.map(([label, props]) => <td key={label}>{formatVector(props.principalAxes[i], 3)}</td>)}
+              {diff && <td />}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-2 gap-4 mt-3">
+        {parts.map(([label, props]) => (
+          <div key={label}>
+            <p className="text-gray-500">{label} inertia about COM ({labels.inertia})</p>
+            <TensorTable tensor={props.inertiaCom} unit={unit} />
+            <p className="text-gray-500 mt-2">{label} inertia about origin ({labels.inertia})</p>
+            <TensorTable tensor={props.inertiaOrigin} unit={unit} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MassPropertiesPanel;
@@ -0,0 +1,130 @@
+// components/MaterialEditor.jsx
+import React from 'react';
+import { RotateCcw, Save } from 'lucide-react';
+import { MATERIAL_PROPERTIES } from '../lib/materials';
+import { Button } from './ui/button';
+import { Card } from './ui/card';
+import { cn } from '../lib/utils';
+
+// Library materials grouped for the preset picker, in first-seen category order
+const groupByCategory = (library) => {
+  const groups = new Map();
+  library.forEach((material) => {
+    if (!groups.has(material.category)) groups.set(material.category, []);
+    groups.get(material.category).push(material);
+  });
+  return [...groups.entries()];
+};
+
+// One part's material: a library preset with per-property overrides on top
+const MaterialEditor = ({
+  title,
+  material,
+  library,
+  onSelectPreset,
+  onChange,
+  onReset,
+  onSave,
+  usesFileMaterials = false,
+  onOverrideFileMaterials,
+  className,
+}) => {
+  const isOverridden = key => material.overridden.includes(key);
+
+  const resetButton = property => (
+    isOverridden(property) ? (
+      <button
+        type="button"
+        onClick={() => onReset(property)}
+        className="text-amber-600 hover:text-amber-800"
+        title="Reset to preset value"
+      >
+        <RotateCcw className="w-3 h-3" />
+      </button>
+    ) : null
+  );
+
+  const fieldClass = key => cn('w-full p-2 border rounded', isOverridden(key) && 'border-amber-400 bg-amber-50');
+
+  return (
+    <Card className={cn('p-6 w-80', className)}>
+      <h3 className="text-xl font-semibold mb-4">{title}</h3>
+      <div className="space-y-4">
+        {usesFileMaterials && (
+          <div className="rounded border border-blue-200 bg-blue-50 p-2 text-sm text-blue-800">
+            Shown with the materials from the file. Editing any value below replaces them.
+            <button type="button" onClick={onOverrideFileMaterials} className="block mt-1 underline">
+              Use these settings instead
+            </button>
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium mb-1">Preset</label>
+          <select
+            value={material.presetId ?? ''}
+            onChange={(e) => onSelectPreset(e.target.value || null)}
+            className="w-full p-2 border rounded"
+          >
+            <option value="">Default Material</option>
+            {groupByCategory(library).map(([category, materials]) => (
+              <optgroup key={category} label={category}>
+                {materials.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium mb-1">
+            Material Name {resetButton('name')}
+          </label>
+          <input
+            type="text"
+            value={material.name}
+            onChange={(e) => onChange('name', e.target.value)}
+            className={fieldClass('name')}
+          />
+        </div>
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium mb-1">
+            Color {resetButton('color')}
+          </label>
+          <input
+            type="color"
+            value={material.color}
+            onChange={(e) => onChange('color', e.target.value)}
+            className="w-full"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          {Object.entries(MATERIAL_PROPERTIES).map(([key, prop]) => (
+            <div key={key}>
+              <label className="flex items-center gap-1 text-xs font-medium mb-1">
+                {prop.name} {prop.unit && `(${prop.unit})`} {resetButton(key)}
+              </label>
+              <input
+                type="number"
+                min={prop.range[0]}
+                max={prop.range[1]}
+                step="any"
+                value={material[key]}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (!isNaN(value)) onChange(key, value);
+                }}
+                className={fieldClass(key)}
+              />
+            </div>
+          ))}
+        </div>
+        <Button size="sm" variant="outline" onClick={onSave}>
+          <Save className="w-4 h-4 mr-1" />
+          Save as custom material
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+export default MaterialEditor;
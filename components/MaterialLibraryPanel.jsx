@@ -0,0 +1,58 @@
+// components/MaterialLibraryPanel.jsx
+import React, { useRef } from 'react';
+import { Download, Library, Trash2, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+
+// User-defined materials on top of the built-in presets, with JSON import/export
+const MaterialLibraryPanel = ({ customMaterials, onImport, onExport, onRemove, className }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <div className={cn('text-sm', className)}>
+      <div className="flex items-center gap-3">
+        <Library className="w-4 h-4" />
+        <span className="font-medium">Custom materials ({customMaterials.length})</span>
+        <Button size="sm" variant="outline" onClick={() => inputRef.current?.click()}>
+          <Upload className="w-4 h-4 mr-1" />
+          Import JSON
+        </Button>
+        <Button size="sm" variant="outline" disabled={customMaterials.length === 0} onClick={onExport}>
+          <Download className="w-4 h-4 mr-1" />
+          Export JSON
+        </Button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+      {customMaterials.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-2">
+          {customMaterials.map(material => (
+            <li key={material.id} className="flex items-center gap-1 rounded border px-2 py-1">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: material.color }} />
+              {material.name}
+              <button
+                type="button"
+                onClick={() => onRemove(material.id)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${material.name}`}
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MaterialLibraryPanel;
@@ -0,0 +1,66 @@
+// components/MeasurementToolbar.jsx
+import React from 'react';
+import { Ruler, X } from 'lucide-react';
+import { MEASUREMENT_MODES, formatMeasurement } from '../lib/measurement';
+import { cn } from '../lib/utils';
+
+const MeasurementToolbar = ({
+  mode,
+  onModeChange,
+  pendingPicks,
+  measurements,
+  error,
+  onRemove,
+  onClear,
+  unit,
+  className,
+}) => (
+  <div className={cn('flex flex-col gap-1 text-xs', className)}>
+    <div className="flex items-center gap-1 rounded bg-white/90 p-1 shadow">
+      <Ruler className="w-4 h-4 text-gray-500" />
+      {Object.entries(MEASUREMENT_MODES).map(([key, { label }]) => (
+        <button
+          key={key}
+          type="button"
+          onClick={() => onModeChange(mode === key ? null : key)}
+          className={cn(
+            'rounded px-2 py-1',
+            mode === key ? 'bg-orange-500 text-white' : 'hover:bg-gray-100'
+          )}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+
+    {mode && (
+      <div className="rounded bg-white/90 px-2 py-1 shadow">
+        Pick point {pendingPicks + 1} of {MEASUREMENT_MODES[mode].picks}
+        {mode === 'faceAngle' && ' (click each face)'}
+      </div>
+    )}
+    {error && <div className="rounded bg-red-50 px-2 py-1 text-red-600 shadow">{error}</div>}
+
+    {measurements.length > 0 && (
+      <ul className="rounded bg-white/90 p-1 shadow">
+        {measurements.map((measurement, index) => (
+          <li key={measurement.id} className="flex items-center justify-between gap-2">
+            <span>
+              {index + 1}. {MEASUREMENT_MODES[measurement.type].label}: {formatMeasurement(measurement, unit)}
+            </span>
+            <button type="button" onClick={() => onRemove(measurement.id)} aria-label="Remove measurement">
+              <X className="w-3 h-3" />
+            </button>
+          </li>
+        ))}
+        <li>
+          <button type="button" onClick={onClear} className="text-gray-500 hover:underline">
+            Clear all
+          </button>
+        </li>
+      </ul>
+    )}
+  </div>
+);
+
+export default MeasurementToolbar;
@@ -0,0 +1,54 @@
+// components/MeshHealthPanel.jsx
+import React from 'react';
+import { AlertCircle, CheckCircle2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+const SEVERITY_STYLES = {
+  error: 'text-red-600',
+  warning: 'text-yellow-600',
+  info: 'text-blue-600',
+  ok: 'text-gray-500',
+};
+
+// Lists the mesh-health issues of one model; clicking an issue selects it for highlighting
+const MeshHealthPanel = ({ integrity, selectedKind, onSelect, className }) => {
+  if (!integrity) return null;
+
+  return (
+    <div className={cn('w-56 text-sm', className)}>
+      <div className="flex items-center gap-2 mb-2 font-medium">
+        {integrity.isWatertight ? (
+          <CheckCircle2 className="w-4 h-4 text-green-600" />
+        ) : (
+          <AlertCircle className="w-4 h-4 text-red-600" />
+        )}
+        {integrity.isWatertight ? 'Watertight' : 'Not watertight'}
+      </div>
+      <ul className="space-y-1">
+        {integrity.issues.map((issue) => {
+          const hasLocations = issue.points.length > 0 || issue.segments.length > 0;
+          const severity = issue.count > 0 ? issue.severity : 'ok';
+          return (
+            <li key={issue.kind}>
+              <button
+                type="button"
+                disabled={!hasLocations}
+                onClick={() => onSelect(selectedKind === issue.kind ? null : issue.kind)}
+                className={cn(
+                  'flex w-full justify-between rounded px-2 py-1 text-left',
+                  hasLocations ? 'hover:bg-gray-100' : 'cursor-default',
+                  selectedKind === issue.kind && 'bg-fuchsia-50 ring-1 ring-fuchsia-300'
+                )}
+              >
+                <span>{issue.label}</span>
+                <span className={SEVERITY_STYLES[severity]}>{issue.count}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default MeshHealthPanel;
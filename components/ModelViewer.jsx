@@ -1,41 +1,244 @@
 // components/ModelViewer.jsx
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import React, { useRef, useEffect } from 'react';
+import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer';
+import { VertexNormalsHelper } from 'three/examples/jsm/helpers/VertexNormalsHelper';
+import React, { useRef, useEffect, useId, useMemo, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
+import { MessageSquarePlus } from 'lucide-react';
+import { deviationColor } from '../lib/deviation';
+import { DEFAULT_DISPLAY, DISPLAY_MODES, loadDisplaySettings, saveDisplaySettings } from '../lib/displayModes';
+import { sectionCapGeometry } from '../lib/section';
+import { raycastMesh } from '../lib/surfaceIndex';
+import DeviationLegend from './DeviationLegend';
+import DisplayModeToolbar from './DisplayModeToolbar';
+import MeasurementToolbar from './MeasurementToolbar';
+import { useMeasurementTool } from './useMeasurementTool';
+import { useAnnotationPins } from './useAnnotationPins';
+import { acquireRenderer, releaseRenderer, releaseResources, renderToCanvas, retainResources } from './sharedRenderer';
+import { cn } from '../lib/utils';
 
-const ModelViewer = ({ width = 800, height = 600, modelData, highlighted = false }) => {
+const DEFAULT_COLOR = 0x156289;
+const DEFAULT_METALNESS = 0.2;
+const DEFAULT_ROUGHNESS = 0.5;
+const HIGHLIGHT_COLOR = 0xd946ef;
+// Principal axes, largest moment first
+const AXIS_COLORS = [0xef4444, 0x22c55e, 0x3b82f6];
+const EDGE_COLOR = 0x111111;
+const XRAY_OPACITY = 0.15;
+const NORMAL_COLOR = 0xf97316;
+const FLIGHT_DURATION_MS = 600;
+
+const meshMaterials = mesh => (Array.isArray(mesh.material) ? mesh.material : [mesh.material]);
+
+// Camera state as plain arrays, shared between linked viewers and saved in projects
+const readCameraView = (camera, controls) => ({
+  position: camera.position.toArray(),
+  up: camera.up.toArray(),
+  zoom: camera.zoom,
+  target: controls.target.toArray(),
+});
+
+const applyCameraView = (camera, controls, view) => {
+  camera.position.fromArray(view.position);
+  camera.up.fromArray(view.up);
+  camera.zoom = view.zoom;
+  camera.updateProjectionMatrix();
+  controls.target.fromArray(view.target);
+  controls.update();
+};
+
+const easeInOut = t => (t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2);
+
+// The view a fraction `t` of the way from `from` to `to`
+const interpolateView = (from, to, t) => {
+  const lerp = (a, b) => a.map((value, i) => value + (b[i] - value) * t);
+  return {
+    position: lerp(from.position, to.position),
+    up: lerp(from.up, to.up),
+    zoom: from.zoom + (to.zoom - from.zoom) * t,
+    target: lerp(from.target, to.target),
+  };
+};
+
+// Clones a model for display, painting the heatmap into vertex colors if given.
+// Materials that came with the file are kept (cloned) when `keepFileMaterials`
+// is set; everything else gets a PBR material driven by the layer's appearance.
+const buildLayerObject = (modelData, deviation, keepFileMaterials) => {
+  const model = modelData.clone();
+
+  model.traverse((child) => {
+    if (child.isMesh) {
+      const distances = deviation?.values.get(child.geometry.uuid);
+      if (distances) {
+        // Clone so the heatmap colors never leak into the shared source geometry
+        child.geometry = child.geometry.clone();
+        const colors = new Float32Array(distances.length * 3);
+        const color = new THREE.Color();
+        distances.forEach((distance, i) => {
+          deviationColor(distance, deviation.range, deviation.tolerance, color).toArray(colors, i * 3);
+        });
+        child.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      }
+
+      const fromFile = !distances && keepFileMaterials &&
+        meshMaterials(child).every(material => material && !material.userData.generated);
+      if (fromFile) {
+        child.material = Array.isArray(child.material)
+          ? child.material.map(material => material.clone())
+          : child.material.clone();
+      } else {
+        child.material = new THREE.MeshStandardMaterial({
+          color: distances ? 0xffffff : DEFAULT_COLOR,
+          vertexColors: Boolean(distances),
+          // A heatmap has to read the same from every angle
+          metalness: distances ? 0 : DEFAULT_METALNESS,
+          roughness: distances ? 0.8 : DEFAULT_ROUGHNESS,
+          side: THREE.DoubleSide,
+        });
+        child.material.userData.appearance = !distances;
+      }
+      child.castShadow = true;
+      child.receiveShadow = true;
+      // Picks go through a BVH of the geometry instead of every triangle
+      child.raycast = raycastMesh;
+    }
+  });
+
+  return model;
+};
+
+// Either pass a single `modelData`, or `models` for an overlay of several
+// layers: [{ id, model, color, opacity, visible, deviation, massProperties }].
+// `deviation` is { values: Map<geometry uuid, Float32Array>, range, tolerance }.
+// `frame` is an optional Box3 used for centering and scaling instead of the
+// model's own bounds, so several viewers can share one coordinate frame.
+// `cameraLink` (see lib/cameraLink) mirrors the camera with every other viewer
+// subscribed to the same link. `highlight` marks locations in model space:
+// { points: [x, y, z, ...], segments: [x1, y1, z1, x2, y2, z2, ...], matrix }.
+// `unit` (see lib/units) is what measurements are shown in; models are in mm.
+// `section` clips every layer with a model-space plane and draws cut results
+// (see lib/section): { normal, constant, shapes: [{ id, section, color, cap }] }.
+// `appearance` is the part's material: { color, metalness, roughness,
+// keepFileMaterials }; layers take it as `appearance` too, and a layer `color`
+// wins over it so overlaid parts stay distinguishable.
+// `massProperties` (see lib/massProperties) draws the centre of mass and
+// principal axes as a gizmo.
+// `displayKey` remembers the display mode (see lib/displayModes) under that
+// name; `displayLink`, a link like `cameraLink`, shares it between viewers.
+// `view` sets the camera to a view from `getView()`, whenever it changes.
+// `annotations` pins numbered notes to the part (see useAnnotationPins; layers
+// take it as `annotations` too). With `onAnnotate` a click in "Add note" mode
+// reports { layerId, point, normal, view }; `onAnnotationSelect(id)` is called
+// when a pin is clicked and `selectedAnnotation` marks one pin.
+// Frames are only drawn when the camera moves or a render changed the scene,
+// by the renderer every viewer shares (see ./sharedRenderer).
+// The ref exposes `captureSnapshot()`, a PNG data URL of the current view,
+// `getView()`, the camera's position, up, zoom and target, and
+// `flyTo(view)`, which moves the camera there smoothly.
+const ModelViewer = forwardRef(({
+  width = 800,
+  height = 600,
+  modelData,
+  models = null,
+  deviation = null,
+  frame = null,
+  cameraLink = null,
+  highlight = null,
+  unit = 'mm',
+  section = null,
+  massProperties = null,
+  appearance = null,
+  displayKey = null,
+  displayLink = null,
+  view = null,
+  annotations = null,
+  selectedAnnotation = null,
+  onAnnotate = null,
+  onAnnotationSelect = null,
+}, ref) => {
+  const viewerId = useId();
+  const contentRef = useRef(new THREE.Group());
+  const layerObjectsRef = useRef(new Map());
+  const frameRef = useRef(undefined);
+  const highlightRef = useRef(null);
+  const sectionGroupRef = useRef(null);
+  const gizmoGroupRef = useRef(null);
+  const clipPlaneRef = useRef(new THREE.Plane());
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [annotating, setAnnotating] = useState(false);
+  // Camera flight in progress: { from, to, start }
+  const flightRef = useRef(null);
+
+  // A single `modelData` is just an overlay with one layer
+  const layers = useMemo(() => (
+    models ?? (modelData ? [{ id: 'model', model: modelData, deviation, massProperties, appearance, annotations }] : [])
+  ), [models, modelData, deviation, massProperties, appearance, annotations]);
+  const legend = layers.find(layer => layer.deviation && (layer.visible ?? true))?.deviation;
   const containerRef = useRef();
   const sceneRef = useRef(new THREE.Scene());
   const cameraRef = useRef(new THREE.PerspectiveCamera(45, width / height, 0.1, 1000));
-  const rendererRef = useRef();
+  const canvasRef = useRef();
   const controlsRef = useRef();
+  const labelRendererRef = useRef();
+  const sizeRef = useRef({ width, height });
+  sizeRef.current = { width, height };
+  const frameRequestRef = useRef(null);
 
-  // Initialize scene
-  useEffect(() => {
-    if (!containerRef.current) return;
+  // Draws one frame; returns whether a camera flight needs another
+  const renderFrame = useCallback(() => {
+    const controls = controlsRef.current;
+    if (!controls || !canvasRef.current) return false;
+
+    const flight = flightRef.current;
+    if (flight) {
+      const t = Math.min(1, (performance.now() - flight.start) / FLIGHT_DURATION_MS);
+      applyCameraView(cameraRef.current, controls, interpolateView(flight.from, flight.to, easeInOut(t)));
+      if (t === 1) flightRef.current = null;
+    }
+    // While damping eases the camera out this fires 'change', which asks for the next frame
+    controls.update();
+    renderToCanvas(sceneRef.current, cameraRef.current, canvasRef.current, sizeRef.current.width, sizeRef.current.height);
+    labelRendererRef.current?.render(sceneRef.current, cameraRef.current);
+    return flightRef.current !== null;
+  }, []);
 
-    // Initialize renderer
-    rendererRef.current = new THREE.WebGLRenderer({ 
-      antialias: true,
-      alpha: true 
+  // Asks for a frame; any number of requests before it is drawn share it
+  const invalidate = useCallback(() => {
+    if (frameRequestRef.current !== null) return;
+    frameRequestRef.current = requestAnimationFrame(() => {
+      frameRequestRef.current = null;
+      if (renderFrame()) invalidate();
     });
-    rendererRef.current.setSize(width, height);
-    rendererRef.current.setPixelRatio(window.devicePixelRatio);
-    rendererRef.current.setClearColor(0xf0f0f0);
-    rendererRef.current.shadowMap.enabled = true;
+  }, [renderFrame]);
 
-    // Clear container and add renderer
-    containerRef.current.innerHTML = '';
-    containerRef.current.appendChild(rendererRef.current.domElement);
+  // Set up the scene once; only the canvas follows the size (see below)
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    const { environment } = acquireRenderer();
+    scene.environment = environment;
+
+    // HTML labels drawn over the canvas
+    const labelRenderer = new CSS2DRenderer();
+    Object.assign(labelRenderer.domElement.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      pointerEvents: 'none',
+    });
+    containerRef.current.appendChild(labelRenderer.domElement);
+    labelRendererRef.current = labelRenderer;
 
     // Set up camera
-    cameraRef.current.position.set(10, 10, 10);
-    cameraRef.current.lookAt(0, 0, 0);
+    camera.position.set(10, 10, 10);
+    camera.lookAt(0, 0, 0);
 
     // Add orbit controls
-    controlsRef.current = new OrbitControls(cameraRef.current, rendererRef.current.domElement);
-    controlsRef.current.enableDamping = true;
-    controlsRef.current.dampingFactor = 0.05;
+    const controls = new OrbitControls(camera, canvasRef.current);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.addEventListener('change', invalidate);
+    controlsRef.current = controls;
 
     // Set up lights
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -44,97 +247,542 @@ const ModelViewer = ({ width = 800, height = 600, modelData, highlighted = false
     const backLight = new THREE.DirectionalLight(0xffffff, 0.3);
     backLight.position.set(-10, -10, -10);
 
-    sceneRef.current.add(ambientLight);
-    sceneRef.current.add(frontLight);
-    sceneRef.current.add(backLight);
-
     // Add grid and axes
     const grid = new THREE.GridHelper(20, 20, 0x808080, 0xcccccc);
     const axes = new THREE.AxesHelper(5);
-    sceneRef.current.add(grid);
-    sceneRef.current.add(axes);
+    const fixtures = [ambientLight, frontLight, backLight, grid, axes];
+    scene.add(...fixtures);
 
+    const layerObjects = layerObjectsRef.current;
     return () => {
-      controlsRef.current?.dispose();
-      rendererRef.current?.dispose();
+      cancelAnimationFrame(frameRequestRef.current);
+      frameRequestRef.current = null;
+      controls.removeEventListener('change', invalidate);
+      controls.dispose();
+      controlsRef.current = null;
+      labelRenderer.domElement.remove();
+      labelRendererRef.current = null;
+      scene.remove(...fixtures);
+      grid.dispose();
+      axes.dispose();
+      layerObjects.forEach((entry) => {
+        entry.object.removeFromParent();
+        releaseResources(entry.resources);
+      });
+      layerObjects.clear();
+      releaseRenderer();
     };
+  }, [invalidate]);
+
+  // Resizing keeps the renderer and only resizes this viewer's canvas and camera
+  useEffect(() => {
+    const pixelRatio = window.devicePixelRatio;
+    canvasRef.current.width = Math.floor(width * pixelRatio);
+    canvasRef.current.height = Math.floor(height * pixelRatio);
+    cameraRef.current.aspect = width / height;
+    cameraRef.current.updateProjectionMatrix();
+    labelRendererRef.current?.setSize(width, height);
   }, [width, height]);
 
-  // Handle model updates
+  // Rebuild only the layers whose model or heatmap changed
   useEffect(() => {
-    if (!modelData) return;
-
-    // Clear existing model
-    sceneRef.current.children = sceneRef.current.children.filter(
-      child => !(child.isMesh || child.isGroup)
-    );
-
-    const model = modelData.clone();
-    
-    // Apply materials and adjust model
-    model.traverse((child) => {
-      if (child.isMesh) {
-        child.material = new THREE.MeshPhongMaterial({
-          color: highlighted ? 0x00ff00 : 0x156289,
-          shininess: 30,
-          transparent: highlighted,
-          opacity: highlighted ? 0.8 : 1.0,
-          side: THREE.DoubleSide,
-        });
-        child.castShadow = true;
-        child.receiveShadow = true;
+    const scene = sceneRef.current;
+    const cache = layerObjectsRef.current;
+    let changed = false;
+
+    cache.forEach((entry, id) => {
+      if (!layers.some(layer => layer.id === id)) {
+        contentRef.current.remove(entry.object);
+        releaseResources(entry.resources);
+        cache.delete(id);
+        changed = true;
+      }
+    });
+
+    layers.forEach((layer) => {
+      const entry = cache.get(layer.id);
+      const keepFileMaterials = layer.appearance?.keepFileMaterials ?? false;
+      if (entry && entry.model === layer.model && entry.deviation === layer.deviation &&
+          entry.keepFileMaterials === keepFileMaterials) return;
+      if (entry) {
+        contentRef.current.remove(entry.object);
+        releaseResources(entry.resources);
       }
+      const object = buildLayerObject(layer.model, layer.deviation, keepFileMaterials);
+      contentRef.current.add(object);
+      cache.set(layer.id, {
+        model: layer.model,
+        deviation: layer.deviation,
+        keepFileMaterials,
+        object,
+        resources: retainResources(object),
+      });
+      changed = true;
     });
 
-    // Add model to scene
-    sceneRef.current.add(model);
+    if (!scene.children.includes(contentRef.current)) {
+      scene.add(contentRef.current);
+    }
+    if (!changed && frameRef.current === frame) return;
+    frameRef.current = frame;
+    if (cache.size === 0) return;
 
-    // Center and scale model
-    const box = new THREE.Box3().setFromObject(model);
+    // Center and scale all layers together so they stay in one frame
+    const root = contentRef.current;
+    root.position.set(0, 0, 0);
+    root.scale.set(1, 1, 1);
+    root.updateMatrixWorld(true);
+    // Layers only, so highlights and measurements never change the framing
+    const box = frame ? frame.clone() : new THREE.Box3();
+    if (!frame) cache.forEach(entry => box.expandByObject(entry.object));
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
 
     const maxDim = Math.max(size.x, size.y, size.z);
     const scale = 5 / maxDim;
-    model.scale.multiplyScalar(scale);
-    model.position.sub(center.multiplyScalar(scale));
-    model.position.y = 0;
+    root.scale.multiplyScalar(scale);
+    root.position.sub(center.multiplyScalar(scale));
+    root.position.y = 0;
 
     // Adjust camera
     const distance = maxDim * 2;
     cameraRef.current.position.set(distance, distance, distance);
     cameraRef.current.lookAt(0, 0, 0);
     controlsRef.current?.update();
-  }, [modelData, highlighted]);
+  }, [layers, frame]);
+
+  // Appearance, opacity, visibility and display mode are cheap to change in place
+  useEffect(() => {
+    const { mode, flatShading } = display;
+    layers.forEach((layer) => {
+      const entry = layerObjectsRef.current.get(layer.id);
+      if (!entry) return;
+
+      const opacity = mode === 'xray' ? Math.min(layer.opacity ?? 1, XRAY_OPACITY) : layer.opacity ?? 1;
+      entry.object.visible = layer.visible ?? true;
+      entry.object.traverse((child) => {
+        if (!child.isMesh) return;
+        meshMaterials(child).forEach((material) => {
+          if (material.userData.appearance) {
+            material.color.set(layer.color ?? layer.appearance?.color ?? DEFAULT_COLOR);
+            material.metalness = layer.appearance?.metalness ?? DEFAULT_METALNESS;
+            material.roughness = layer.appearance?.roughness ?? DEFAULT_ROUGHNESS;
+          }
+          material.opacity = opacity;
+          material.transparent = opacity < 1;
+          // A ghost must not hide what is drawn behind it
+          material.depthWrite = opacity >= 1;
+          material.wireframe = mode === 'wireframe';
+          material.flatShading = flatShading;
+          // Hidden line keeps only the depth, so the surface hides the edges behind it
+          material.colorWrite = mode !== 'hiddenLine';
+          // Push the surface back so its own edges are not buried in it
+          material.polygonOffset = DISPLAY_MODES[mode].edges;
+          material.polygonOffsetFactor = 1;
+          material.polygonOffsetUnits = 1;
+          material.needsUpdate = true;
+        });
+      });
+    });
+  }, [layers, display]);
+
+  const { mode: displayMode, creaseAngle } = display;
+
+  // Feature edges for the modes that draw them
+  useEffect(() => {
+    if (!DISPLAY_MODES[displayMode].edges) return;
+
+    const lines = [];
+    layerObjectsRef.current.forEach(({ object }) => {
+      const meshes = [];
+      object.traverse((child) => {
+        if (child.isMesh) meshes.push(child);
+      });
+      meshes.forEach((mesh) => {
+        const edges = new THREE.LineSegments(
+          new THREE.EdgesGeometry(mesh.geometry, creaseAngle),
+          new THREE.LineBasicMaterial({
+            color: EDGE_COLOR,
+            // X-ray shows the edges on the far side as well
+            depthTest: displayMode !== 'xray',
+            transparent: displayMode === 'xray',
+            opacity: displayMode === 'xray' ? 0.6 : 1,
+            clippingPlanes: meshMaterials(mesh)[0].clippingPlanes,
+          })
+        );
+        if (displayMode === 'xray') edges.renderOrder = 1;
+        // Picks only want faces, and testing every segment would undo the BVH
+        edges.raycast = () => {};
+        mesh.add(edges);
+        lines.push(edges);
+      });
+    });
+
+    return () => {
+      lines.forEach((edges) => {
+        edges.removeFromParent();
+        edges.geometry.dispose();
+        edges.material.dispose();
+      });
+    };
+  }, [layers, displayMode, creaseAngle]);
+
+  // Draw highlighted locations on top of the model
+  useEffect(() => {
+    const root = contentRef.current;
+    if (highlightRef.current) {
+      root.remove(highlightRef.current);
+      highlightRef.current.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      highlightRef.current = null;
+    }
+    if (!highlight) return;
+
+    const group = new THREE.Group();
+    if (highlight.points?.length) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(highlight.points, 3));
+      group.add(new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: HIGHLIGHT_COLOR,
+        size: 8,
+        sizeAttenuation: false,
+        depthTest: false,
+      })));
+    }
+    if (highlight.segments?.length) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(highlight.segments, 3));
+      group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: HIGHLIGHT_COLOR,
+        depthTest: false,
+      })));
+    }
+    // Always visible, even through the part
+    group.children.forEach((child) => {
+      child.renderOrder = 999;
+    });
+    if (highlight.matrix) {
+      group.applyMatrix4(new THREE.Matrix4().fromArray(highlight.matrix));
+    }
+
+    root.add(group);
+    highlightRef.current = group;
+  }, [highlight]);
 
-  // Animation loop
+  // Clip the layers and draw the section outlines and caps
   useEffect(() => {
-    let animationFrameId;
+    const root = contentRef.current;
+    if (sectionGroupRef.current) {
+      root.remove(sectionGroupRef.current);
+      sectionGroupRef.current.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      sectionGroupRef.current = null;
+    }
+
+    // The plane is given in model space; clipping happens in world space
+    root.updateMatrixWorld(true);
+    if (section) {
+      clipPlaneRef.current
+        .set(new THREE.Vector3().fromArray(section.normal), section.constant)
+        .applyMatrix4(root.matrixWorld);
+    }
+    layerObjectsRef.current.forEach(({ object }) => {
+      // Feature edges are clipped along with their surfaces
+      object.traverse((child) => {
+        if (!child.material) return;
+        meshMaterials(child).forEach((material) => {
+          material.clippingPlanes = section ? [clipPlaneRef.current] : null;
+          material.needsUpdate = true;
+        });
+      });
+    });
+    if (!section) return;
 
-    const animate = () => {
-      animationFrameId = requestAnimationFrame(animate);
-      if (rendererRef.current && sceneRef.current && cameraRef.current) {
-        controlsRef.current?.update();
-        rendererRef.current.render(sceneRef.current, cameraRef.current);
+    const group = new THREE.Group();
+    section.shapes.forEach((shape) => {
+      if (shape.cap) {
+        const geometry = sectionCapGeometry(shape.section);
+        if (geometry) {
+          group.add(new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+            color: shape.color,
+            side: THREE.DoubleSide,
+            // Keep the cap behind its own outline
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1,
+          })));
+        }
       }
+      if (shape.section.segments.length) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(shape.section.segments, 3));
+        const outline = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+          color: shape.color,
+          depthTest: false,
+        }));
+        // Outlines of both parts stay visible where they coincide with a cap
+        outline.renderOrder = 998;
+        group.add(outline);
+      }
+    });
+
+    root.add(group);
+    sectionGroupRef.current = group;
+  }, [section, layers, frame]);
+
+  // Centre of mass and principal axes of every visible layer that has them
+  useEffect(() => {
+    const root = contentRef.current;
+    if (gizmoGroupRef.current) {
+      root.remove(gizmoGroupRef.current);
+      gizmoGroupRef.current.children.forEach((child) => {
+        // Arrow helpers share one geometry between all instances, so only markers own theirs
+        if (child.isMesh) child.geometry.dispose();
+        child.traverse(node => node.material?.dispose());
+      });
+      gizmoGroupRef.current = null;
+    }
+
+    const group = new THREE.Group();
+    // A fixed share of the view, whatever the model's size
+    const length = 1.5 / root.scale.x;
+    layers
+      .filter(layer => layer.massProperties && (layer.visible ?? true))
+      .forEach((layer) => {
+        const center = new THREE.Vector3().fromArray(layer.massProperties.centerOfMass);
+        const marker = new THREE.Mesh(
+          new THREE.SphereGeometry(length * 0.04, 16, 8),
+          new THREE.MeshBasicMaterial({ color: 0x111111, depthTest: false })
+        );
+        marker.position.copy(center);
+        group.add(marker);
+
+        layer.massProperties.principalAxes.forEach((axis, i) => {
+          group.add(new THREE.ArrowHelper(
+            new THREE.Vector3().fromArray(axis),
+            center,
+            length,
+            AXIS_COLORS[i],
+            length * 0.15,
+            length * 0.07
+          ));
+        });
+      });
+
+    // Drawn through the part so the gizmo is never hidden inside it
+    group.traverse((child) => {
+      if (child.material) child.material.depthTest = false;
+      child.renderOrder = 997;
+    });
+    root.add(group);
+    gizmoGroupRef.current = group;
+  }, [layers, frame]);
+
+  // Mirror the camera with linked viewers
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!cameraLink || !controls) return;
+
+    // Set while a remote view is applied so it is not published straight back
+    let applying = false;
+
+    const unsubscribe = cameraLink.subscribe(viewerId, (view) => {
+      applying = true;
+      applyCameraView(cameraRef.current, controls, view);
+      applying = false;
+    });
+
+    const handleChange = () => {
+      if (applying) return;
+      cameraLink.publish(viewerId, readCameraView(cameraRef.current, controls));
     };
 
-    animate();
-    return () => cancelAnimationFrame(animationFrameId);
-  }, []);
+    controls.addEventListener('change', handleChange);
+    return () => {
+      controls.removeEventListener('change', handleChange);
+      unsubscribe();
+    };
+  }, [cameraLink, viewerId]);
+
+  // After the layers were framed, so a restored view is not reset by them
+  useEffect(() => {
+    if (view && controlsRef.current) {
+      applyCameraView(cameraRef.current, controlsRef.current, view);
+    }
+  }, [view]);
+
+  // Vertex normals of every visible layer, for checking the mesh's shading data
+  useEffect(() => {
+    if (!display.showNormals) return;
+
+    const scene = sceneRef.current;
+    const group = new THREE.Group();
+    layers
+      .filter(layer => layer.visible ?? true)
+      .forEach((layer) => {
+        layerObjectsRef.current.get(layer.id)?.object.traverse((child) => {
+          // Helpers are built in world space, after the layers were framed
+          if (child.isMesh && child.geometry.attributes.normal) {
+            group.add(new VertexNormalsHelper(child, 0.1, NORMAL_COLOR));
+          }
+        });
+      });
+    scene.add(group);
+
+    return () => {
+      scene.remove(group);
+      group.children.forEach((helper) => helper.dispose());
+    };
+  }, [layers, frame, display.showNormals]);
+
+  // Restore this viewer's display mode once mounted
+  useEffect(() => {
+    if (displayKey) setDisplay(loadDisplaySettings(displayKey));
+  }, [displayKey]);
+
+  // Linked viewers take over each other's display mode
+  useEffect(() => {
+    if (!displayLink) return;
+    return displayLink.subscribe(viewerId, ({ mode, flatShading, showNormals, creaseAngle }) => {
+      const next = { mode, flatShading, showNormals, creaseAngle };
+      setDisplay(next);
+      if (displayKey) saveDisplaySettings(displayKey, next);
+    });
+  }, [displayLink, displayKey, viewerId]);
+
+  const changeDisplay = useCallback((changes) => {
+    const next = { ...display, ...changes };
+    setDisplay(next);
+    if (displayKey) saveDisplaySettings(displayKey, next);
+    displayLink?.publish(viewerId, next);
+  }, [display, displayKey, displayLink, viewerId]);
+
+  const modelKey = useMemo(() => layers.map(layer => layer.model.uuid).join(), [layers]);
+  const measure = useMeasurementTool({
+    canvasRef,
+    cameraRef,
+    contentRef,
+    layerObjectsRef,
+    unit,
+    width,
+    height,
+    resetKey: modelKey,
+  });
+
+  // Measuring and placing notes both take the click, so only one can be on
+  const measureMode = measure.mode;
+  const setMeasureMode = measure.setMode;
+  useEffect(() => {
+    if (measureMode) setAnnotating(false);
+  }, [measureMode]);
+  const toggleAnnotating = () => {
+    if (!annotating) setMeasureMode(null);
+    setAnnotating(!annotating);
+  };
+  useAnnotationPins({
+    canvasRef,
+    cameraRef,
+    contentRef,
+    layerObjectsRef,
+    layers,
+    active: annotating && Boolean(onAnnotate),
+    selectedId: selectedAnnotation,
+    onPick: (pick) => {
+      setAnnotating(false);
+      onAnnotate?.({ ...pick, view: readCameraView(cameraRef.current, controlsRef.current) });
+    },
+    onSelect: onAnnotationSelect,
+  });
+
+  useImperativeHandle(ref, () => ({
+    // Drawn first, so the picture includes changes still waiting for their frame
+    captureSnapshot: () => {
+      if (!controlsRef.current) return null;
+      renderFrame();
+      return canvasRef.current.toDataURL('image/png');
+    },
+    getView: () => (controlsRef.current ? readCameraView(cameraRef.current, controlsRef.current) : null),
+    flyTo: (target) => {
+      if (!controlsRef.current || !target) return;
+      flightRef.current = {
+        from: readCameraView(cameraRef.current, controlsRef.current),
+        to: target,
+        start: performance.now(),
+      };
+      invalidate();
+    }
+  }));
+
+  // Whatever this render changed in the scene is drawn in the next frame
+  useEffect(() => {
+    invalidate();
+  });
 
   return (
-    <div 
-      ref={containerRef} 
-      style={{ 
-        width: `${width}px`, 
-        height: `${height}px`,
-        backgroundColor: '#f5f5f5',
-        border: '1px solid #ddd',
-        borderRadius: '4px'
-      }}
-    />
+    <div className="relative">
+      <div 
+        ref={containerRef} 
+        style={{ 
+          width: `${width}px`, 
+          height: `${height}px`,
+          backgroundColor: '#f5f5f5',
+          border: '1px solid #ddd',
+          borderRadius: '4px'
+        }}
+      >
+        <canvas ref={canvasRef} style={{ display: 'block', width: `${width}px`, height: `${height}px` }} />
+      </div>
+      {layers.length > 0 && (
+        <MeasurementToolbar
+          mode={measure.mode}
+          onModeChange={measure.setMode}
+          pendingPicks={measure.pendingPicks}
+          measurements={measure.measurements}
+          error={measure.error}
+          onRemove={measure.removeMeasurement}
+          onClear={measure.clearMeasurements}
+          unit={unit}
+          className="absolute top-2 left-2"
+        />
+      )}
+      {layers.length > 0 && onAnnotate && (
+        <button
+          type="button"
+          onClick={toggleAnnotating}
+          className={cn(
+            'absolute bottom-2 right-2 flex items-center gap-1 rounded px-2 py-1 text-xs shadow',
+            annotating ? 'bg-blue-600 text-white' : 'bg-white/90 hover:bg-gray-100'
+          )}
+          title="Click a point on the part to pin a note there"
+        >
+          <MessageSquarePlus className="w-4 h-4" />
+          {annotating ? 'Click the part…' : 'Add note'}
+        </button>
+      )}
+      {layers.length > 0 && (
+        <DisplayModeToolbar
+          display={display}
+          onChange={changeDisplay}
+          className="absolute bottom-2 left-2"
+        />
+      )}
+      {legend && (
+        <DeviationLegend
+          min={legend.min}
+          max={legend.max}
+          range={legend.range}
+          tolerance={legend.tolerance}
+          className="absolute top-2 right-2"
+        />
+      )}
+    </div>
   );
-};
+});
+
+ModelViewer.displayName = 'ModelViewer';
 
 export { ModelViewer };
\ No newline at end of file
@@ -0,0 +1,109 @@
+// components/RevisionList.jsx
+import React from 'react';
+import { ArrowDown, ArrowUp, Trash2 } from 'lucide-react';
+import UnitSelector from './UnitSelector';
+import { cn } from '../lib/utils';
+
+const SLOTS = [['original', 'Baseline'], ['modified', 'Candidate']];
+
+// Ordered, labeled revisions; any two can be compared as baseline and candidate
+const RevisionList = ({
+  revisions,
+  selection,
+  onSelect,
+  onRename,
+  onMove,
+  onRemove,
+  onUnitChange,
+  className,
+}) => {
+  if (revisions.length === 0) return null;
+
+  return (
+    <table className={cn('w-full text-sm', className)}>
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="font-normal">Revision</th>
+          <th className="font-normal">File</th>
+          <th className="font-normal">Units</th>
+          <th className="font-normal">Compare as</th>
+          <th className="font-normal"></th>
+        </tr>
+      </thead>
+      <tbody>
+        {revisions.map((revision, index) => (
+          <tr
+            key={revision.id}
+            className={cn(Object.values(selection).includes(revision.id) && 'bg-blue-50')}
+          >
+            <td className="py-1">
+              <input
+                type="text"
+                value={revision.label}
+                onChange={(e) => onRename(revision.id, e.target.value)}
+                className="w-20 p-1 border rounded"
+              />
+            </td>
+            <td className="max-w-[12rem] truncate" title={revision.file.name}>{revision.file.name}</td>
+            <td>
+              <UnitSelector
+                label={null}
+                units={revision.info.units}
+                onChange={(unit) => onUnitChange(revision.id, unit)}
+              />
+            </td>
+            <td>
+              <div className="flex gap-1">
+                {SLOTS.map(([slot, label]) => (
+                  <button
+                    key={slot}
+                    type="button"
+                    onClick={() => onSelect(slot, revision.id)}
+                    className={cn(
+                      'rounded px-2 py-1 text-xs border',
+                      selection[slot] === revision.id ? 'bg-gray-800 text-white border-gray-800' : 'hover:bg-gray-100'
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </td>
+            <td>
+              <div className="flex justify-end gap-1 text-gray-500">
+                <button
+                  type="button"
+                  onClick={() => onMove(revision.id, -1)}
+                  disabled={index === 0}
+                  className="hover:text-gray-900 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(revision.id, 1)}
+                  disabled={index === revisions.length - 1}
+                  className="hover:text-gray-900 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemove(revision.id)}
+                  className="hover:text-red-600"
+                  title="Remove revision"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default RevisionList;
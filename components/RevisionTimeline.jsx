@@ -0,0 +1,81 @@
+// components/RevisionTimeline.jsx
+import React from 'react';
+import { TIMELINE_METRICS } from '../lib/revisions';
+import { convertFromMillimetres, unitLabels } from '../lib/units';
+import { cn } from '../lib/utils';
+
+const WIDTH = 240;
+const HEIGHT = 90;
+const PADDING = 8;
+
+const formatValue = value => value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+
+// One small line chart per metric, revisions in list order along x.
+// `points` are [{ id, label, values: { [metric key]: number | null } }] in mm and g.
+const RevisionTimeline = ({ points, unit = 'mm', selection, onSelect, className }) => {
+  if (!points || points.length < 2) return null;
+
+  const labels = unitLabels(unit);
+  const x = index => PADDING + (index / (points.length - 1)) * (WIDTH - PADDING * 2);
+
+  return (
+    <div className={cn('grid grid-cols-2 gap-4 text-xs', className)}>
+      {TIMELINE_METRICS.map((metric) => {
+        const values = points.map(point => (
+          typeof point.values[metric.key] === 'number'
+            ? convertFromMillimetres(point.values[metric.key], metric.kind, unit)
+            : null
+        ));
+        const known = values.filter(value => value !== null);
+        if (known.length === 0) return null;
+
+        const min = Math.min(...known);
+        const max = Math.max(...known);
+        // A flat series is drawn through the middle
+        const span = max - min || 1;
+        const y = value => (max === min ? HEIGHT / 2 : HEIGHT - PADDING - ((value - min) / span) * (HEIGHT - PADDING * 2));
+        const path = values
+          .map((value, index) => (value === null ? null : `${x(index)},${y(value)}`))
+          .filter(Boolean)
+          .join(' ');
+
+        return (
+          <div key={metric.key}>
+            <div className="flex justify-between text-gray-500">
+              <span className="font-medium text-gray-700">{metric.label} ({labels[metric.kind]})</span>
+              <span>{formatValue(min)} – {formatValue(max)}</span>
+            </div>
+            <svg width={WIDTH} height={HEIGHT + 14} className="overflow-visible">
+              <polyline points={path} fill="none" stroke="#2563eb" strokeWidth={1.5} />
+              {points.map((point, index) => {
+                const isBaseline = selection?.original === point.id;
+                const isCandidate = selection?.modified === point.id;
+                return (
+                  <g key={point.id}>
+                    {values[index] !== null && (
+                      <circle
+                        cx={x(index)}
+                        cy={y(values[index])}
+                        r={isBaseline || isCandidate ? 4 : 3}
+                        fill={isBaseline ? '#111827' : isCandidate ? '#dc2626' : '#2563eb'}
+                        className="cursor-pointer"
+                        onClick={() => onSelect?.(point.id)}
+                      >
+                        <title>{`${point.label}: ${formatValue(values[index])} ${labels[metric.kind]}`}</title>
+                      </circle>
+                    )}
+                    <text x={x(index)} y={HEIGHT + 12} textAnchor="middle" fill="#6b7280">
+                      {point.label}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RevisionTimeline;
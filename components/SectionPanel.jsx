@@ -0,0 +1,138 @@
+// components/SectionPanel.jsx
+import React from 'react';
+import { Scissors } from 'lucide-react';
+import { SECTION_AXES } from '../lib/section';
+import { DEFAULT_UNIT, convertFromMillimetres, unitLabels } from '../lib/units';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+
+const formatValue = (value, label) => (
+  value === undefined || isNaN(value)
+    ? '-'
+    : `${value.toLocaleString(undefined, { maximumFractionDigits: 3 })} ${label}`
+);
+
+// Section plane controls and the area/perimeter of each part's cut.
+// `results` is { original, modified }, either side may be missing; they and
+// `position` are in mm and shown in `unit` (see lib/units).
+const SectionPanel = ({ settings, onChange, position, results, colors, unit = DEFAULT_UNIT, className }) => {
+  const labels = unitLabels(unit);
+  const length = value => formatValue(convertFromMillimetres(value, 'length', unit), labels.length);
+  const area = value => formatValue(convertFromMillimetres(value, 'area', unit), labels.area);
+  const rows = [
+    ['original', 'Original'],
+    ['modified', 'Modified'],
+  ].filter(([key]) => results?.[key]);
+  const both = results?.original && results?.modified;
+
+  return (
+    <div className={cn('text-sm', className)}>
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 font-medium">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onChange('enabled', e.target.checked)}
+          />
+          <Scissors className="w-4 h-4" />
+          Section plane
+        </label>
+        <div className="flex gap-1">
+          {Object.entries(SECTION_AXES).map(([axis, { label }]) => (
+            <Button
+              key={axis}
+              size="sm"
+              variant={settings.axis === axis ? 'default' : 'outline'}
+              disabled={!settings.enabled}
+              onClick={() => onChange('axis', axis)}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+        {settings.axis === 'custom' && (
+          <div className="flex items-center gap-1">
+            Normal
+            {settings.customNormal.map((component, i) => (
+              <input
+                key={i}
+                type="number"
+                step={0.1}
+                value={component}
+                disabled={!settings.enabled}
+                onChange={(e) => {
+                  const normal = [...settings.customNormal];
+                  normal[i] = parseFloat(e.target.value) || 0;
+                  onChange('customNormal', normal);
+                }}
+                className="w-16 p-1 border rounded"
+              />
+            ))}
+          </div>
+        )}
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={settings.flip}
+            disabled={!settings.enabled}
+            onChange={(e) => onChange('flip', e.target.checked)}
+          />
+          Flip
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.001}
+            value={settings.offset}
+            disabled={!settings.enabled}
+            onChange={(e) => onChange('offset', parseFloat(e.target.value))}
+          />
+          {settings.enabled && length(position)}
+        </label>
+      </div>
+
+      {settings.enabled && rows.length > 0 && (
+        <table className="mt-3 w-full">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-normal">Section</th>
+              <th className="font-normal">Area</th>
+              <th className="font-normal">Perimeter</th>
+              <th className="font-normal">Loops</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([key, label]) => (
+              <tr key={key}>
+                <td className="flex items-center gap-2">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: colors[key] }} />
+                  {label}
+                </td>
+                <td>{area(results[key].area)}</td>
+                <td>{length(results[key].perimeter)}</td>
+                <td>
+                  {results[key].loops.length}
+                  {results[key].openChains > 0 && (
+                    <span className="text-yellow-600"> ({results[key].openChains} open)</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {both && (
+              <tr className="font-medium">
+                <td>Difference</td>
+                <td>{area(results.modified.area - results.original.area)}</td>
+                <td>{length(results.modified.perimeter - results.original.perimeter)}</td>
+                <td />
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SectionPanel;
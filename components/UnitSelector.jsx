@@ -0,0 +1,33 @@
+// components/UnitSelector.jsx
+import React from 'react';
+import { UNITS } from '../lib/units';
+import { cn } from '../lib/utils';
+
+const DETECTION_NOTES = {
+  file: 'from file',
+  size: 'guessed from size',
+  default: 'assumed',
+};
+
+// Unit a loaded file is in, with how it was worked out until the user picks one
+const UnitSelector = ({ label = 'Units', units, onChange, className }) => (
+  <label className={cn('flex items-center gap-2 text-sm', className)}>
+    {label}
+    <select
+      value={units.unit}
+      onChange={(e) => onChange(e.target.value)}
+      className="p-1 border rounded"
+    >
+      {Object.entries(UNITS).map(([id, unit]) => (
+        <option key={id} value={id}>{unit.label} ({unit.length})</option>
+      ))}
+    </select>
+    {DETECTION_NOTES[units.detectedBy] && (
+      <span className={cn('text-xs', units.detectedBy === 'file' ? 'text-gray-500' : 'text-amber-600')}>
+        {DETECTION_NOTES[units.detectedBy]}
+      </span>
+    )}
+  </label>
+);
+
+export default UnitSelector;
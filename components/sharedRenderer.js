@@ -0,0 +1,111 @@
+// components/sharedRenderer.js
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment';
+
+// One WebGL context for every viewer: { renderer, environment, users }
+let shared = null;
+// How many displayed objects use each geometry, material and texture
+const usage = new Map();
+const _size = new THREE.Vector2();
+
+/**
+ * The renderer shared by all viewers and the environment map lit with it.
+ * Every call must be paired with `releaseRenderer()`; the last one disposes it.
+ */
+export function acquireRenderer() {
+  if (!shared) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setClearColor(0xf0f0f0);
+    renderer.shadowMap.enabled = true;
+    renderer.localClippingEnabled = true;
+    renderer.setScissorTest(true);
+
+    // Image-based lighting from a procedural room, so metals have something to reflect
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    const environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmrem.dispose();
+
+    shared = { renderer, environment, users: 0 };
+  }
+  shared.users++;
+  return shared;
+}
+
+export function releaseRenderer() {
+  if (!shared || --shared.users > 0) return;
+  shared.environment.dispose();
+  shared.renderer.dispose();
+  shared = null;
+}
+
+/**
+ * Draws `scene` into the top-left `width` x `height` region of the shared
+ * canvas, limited to it by the viewport and scissor, and copies that region
+ * onto the viewer's own 2D `canvas`. The copy has to happen straight away,
+ * before the browser is free to clear the drawing buffer.
+ */
+export function renderToCanvas(scene, camera, canvas, width, height) {
+  if (!shared || width <= 0 || height <= 0) return;
+  const { renderer } = shared;
+
+  // Grows to the largest viewer; smaller ones use a corner of it
+  renderer.getSize(_size);
+  if (_size.x < width || _size.y < height) {
+    renderer.setSize(Math.max(_size.x, width), Math.max(_size.y, height), false);
+    renderer.getSize(_size);
+  }
+  const bottom = _size.y - height;
+  renderer.setViewport(0, bottom, width, height);
+  renderer.setScissor(0, bottom, width, height);
+  renderer.render(scene, camera);
+
+  const context = canvas.getContext('2d');
+  const pixelRatio = renderer.getPixelRatio();
+  context.drawImage(
+    renderer.domElement,
+    0, 0, Math.floor(width * pixelRatio), Math.floor(height * pixelRatio),
+    0, 0, canvas.width, canvas.height
+  );
+}
+
+const resourcesOf = (object) => {
+  const resources = new Set();
+  object.traverse((child) => {
+    if (child.geometry) resources.add(child.geometry);
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.filter(Boolean).forEach((material) => {
+      resources.add(material);
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) resources.add(value);
+      });
+    });
+  });
+  return resources;
+};
+
+/**
+ * Counts the geometries, materials and textures under `object` as used and
+ * returns them for `releaseResources`. Viewers show clones that share their
+ * geometries with the loaded model, and with each other, so GPU memory can
+ * only be freed once nothing displays them any more.
+ */
+export function retainResources(object) {
+  const resources = resourcesOf(object);
+  resources.forEach(resource => usage.set(resource, (usage.get(resource) ?? 0) + 1));
+  return resources;
+}
+
+// Disposes the resources nothing else displays; they upload again if shown later
+export function releaseResources(resources) {
+  resources.forEach((resource) => {
+    const count = usage.get(resource);
+    if (count === undefined) return;
+    if (count > 1) {
+      usage.set(resource, count - 1);
+    } else {
+      usage.delete(resource);
+      resource.dispose();
+    }
+  });
+}
@@ -11,15 +11,17 @@ const Progress = React.forwardRef(({
 }, ref) => (
   <ProgressPrimitive.Root
     ref={ref}
+    value={value}
     className={cn(
       "relative h-2 w-full overflow-hidden rounded-full bg-gray-100",
       className
     )}
     {...props}
   >
+    {/* A null value is indeterminate: a pulsing full bar instead of a made-up figure */}
     <ProgressPrimitive.Indicator
-      className="h-full w-full flex-1 bg-primary transition-all"
-      style={{ transform: `translateX(-${100 - (value || 0)}%)` }}
+      className={cn("h-full w-full flex-1 bg-primary transition-all", value == null && "animate-pulse")}
+      style={{ transform: `translateX(-${value == null ? 0 : 100 - value}%)` }}
     />
   </ProgressPrimitive.Root>
 ))
@@ -0,0 +1,129 @@
+// components/useAnnotationPins.js
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer';
+import { useEffect, useRef } from 'react';
+
+// A press that travels further than this is an orbit drag, not a pick
+const CLICK_TOLERANCE_PX = 4;
+
+const PIN_CLASSES = {
+  open: 'bg-red-600',
+  resolved: 'bg-green-600',
+};
+
+const createPin = (pin, selected, onSelect) => {
+  const element = document.createElement('button');
+  element.type = 'button';
+  element.className = [
+    'flex items-center justify-center w-5 h-5 rounded-full text-white text-[10px] font-semibold shadow',
+    PIN_CLASSES[pin.status] ?? PIN_CLASSES.open,
+    selected ? 'ring-2 ring-offset-1 ring-blue-500' : '',
+  ].join(' ');
+  element.textContent = String(pin.number);
+  element.title = pin.text || `Note ${pin.number}`;
+  // The label layer ignores the pointer; pins have to take it back
+  element.style.pointerEvents = 'auto';
+  element.addEventListener('pointerdown', event => event.stopPropagation());
+  element.addEventListener('click', () => onSelect?.(pin.id));
+  return new CSS2DObject(element);
+};
+
+/**
+ * Numbered note pins on a viewer's layers, and click-to-place while `active`.
+ * Each layer may carry `annotations`: { pins: [{ id, number, point, status,
+ * text }], matrix }, with points in the layer model's own space and `matrix`
+ * (if any) placing that space in the viewer, as for highlights. A pick calls
+ * `onPick({ layerId, point, normal })` in the same space.
+ */
+export function useAnnotationPins({ canvasRef, cameraRef, contentRef, layerObjectsRef, layers, active, selectedId, onPick, onSelect }) {
+  const groupRef = useRef(new THREE.Group());
+  const onPickRef = useRef(onPick);
+  onPickRef.current = onPick;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!active || !canvas) return;
+
+    const raycaster = new THREE.Raycaster();
+    let pressed = null;
+
+    const pick = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      raycaster.setFromCamera(new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      ), cameraRef.current);
+
+      const entries = [...layerObjectsRef.current.entries()].filter(([, entry]) => entry.object.visible);
+      const hit = raycaster
+        .intersectObjects(entries.map(([, entry]) => entry.object), true)
+        .find(intersection => intersection.face && intersection.object.isMesh);
+      if (!hit) return;
+
+      let layerId = null;
+      hit.object.traverseAncestors((ancestor) => {
+        const match = entries.find(([, entry]) => entry.object === ancestor);
+        if (match) layerId = match[0];
+      });
+      const layer = layers.find(candidate => candidate.id === layerId);
+      if (!layer) return;
+
+      // Back from the viewer's frame into the layer model's own space
+      const toModel = layer.annotations?.matrix
+        ? new THREE.Matrix4().fromArray(layer.annotations.matrix).invert()
+        : new THREE.Matrix4();
+      const point = contentRef.current.worldToLocal(hit.point.clone()).applyMatrix4(toModel);
+      const normal = hit.face.normal.clone()
+        .transformDirection(hit.object.matrixWorld)
+        // The fit-to-view transform only scales uniformly and alignments are rigid
+        .transformDirection(toModel);
+      onPickRef.current?.({ layerId, point: point.toArray(), normal: normal.toArray() });
+    };
+
+    const handlePointerDown = (event) => {
+      pressed = { x: event.clientX, y: event.clientY };
+    };
+    const handlePointerUp = (event) => {
+      if (!pressed) return;
+      const travel = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+      pressed = null;
+      if (travel <= CLICK_TOLERANCE_PX && event.button === 0) pick(event);
+    };
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.style.cursor = 'crosshair';
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.style.cursor = '';
+    };
+  }, [active, layers, canvasRef, cameraRef, contentRef, layerObjectsRef]);
+
+  // Pins live in the content group, so they follow the model while orbiting
+  useEffect(() => {
+    const group = groupRef.current;
+    if (group.parent !== contentRef.current) contentRef.current.add(group);
+
+    layers
+      .filter(layer => layer.annotations?.pins.length && (layer.visible ?? true))
+      .forEach((layer) => {
+        const toViewer = layer.annotations.matrix
+          ? new THREE.Matrix4().fromArray(layer.annotations.matrix)
+          : null;
+        layer.annotations.pins.forEach((pin) => {
+          const label = createPin(pin, pin.id === selectedId, id => onSelectRef.current?.(id));
+          label.position.fromArray(pin.point);
+          if (toViewer) label.position.applyMatrix4(toViewer);
+          group.add(label);
+        });
+      });
+
+    return () => {
+      // CSS2DObject removes its element from the page once it leaves the scene
+      [...group.children].forEach(child => group.remove(child));
+    };
+  }, [layers, selectedId, contentRef]);
+}
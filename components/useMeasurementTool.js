@@ -0,0 +1,187 @@
+// components/useMeasurementTool.js
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer';
+import { useEffect, useRef, useState } from 'react';
+import {
+  MEASUREMENT_MODES,
+  circlePoints,
+  createMeasurement,
+  formatMeasurement,
+  snapPoint,
+} from '../lib/measurement';
+
+const MEASURE_COLOR = 0xf97316;
+// A press that travels further than this is an orbit drag, not a pick
+const CLICK_TOLERANCE_PX = 4;
+
+const disposeChildren = (group) => {
+  [...group.children].forEach((child) => {
+    group.remove(child);
+    child.traverse((node) => {
+      node.geometry?.dispose();
+      node.material?.dispose();
+    });
+  });
+};
+
+const createLabel = (text) => {
+  const element = document.createElement('div');
+  element.className = 'px-1 rounded bg-orange-500 text-white text-xs whitespace-nowrap';
+  element.textContent = text;
+  return new CSS2DObject(element);
+};
+
+const createPoints = (points) => new THREE.Points(
+  new THREE.BufferGeometry().setFromPoints(points),
+  new THREE.PointsMaterial({ color: MEASURE_COLOR, size: 7, sizeAttenuation: false, depthTest: false })
+);
+
+const createLine = (points) => new THREE.Line(
+  new THREE.BufferGeometry().setFromPoints(points),
+  new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+);
+
+/**
+ * Click-to-pick measurements on a viewer. Picks are raycast against the
+ * visible layers, snapped to nearby features, and stored in model space
+ * (inside `contentRef`, before the viewer's fit-to-view scaling), so every
+ * value is in the model's own units (mm); labels show them in `unit`.
+ */
+export function useMeasurementTool({ canvasRef, cameraRef, contentRef, layerObjectsRef, unit, width, height, resetKey }) {
+  const [mode, setMode] = useState(null);
+  const [picks, setPicks] = useState([]);
+  const [measurements, setMeasurements] = useState([]);
+  const [error, setError] = useState(null);
+  const picksRef = useRef([]);
+  const groupRef = useRef(new THREE.Group());
+
+  const updatePicks = (next) => {
+    picksRef.current = next;
+    setPicks(next);
+  };
+
+  // Measurements belong to the model they were taken on
+  useEffect(() => {
+    updatePicks([]);
+    setMeasurements([]);
+  }, [resetKey]);
+
+  const changeMode = (next) => {
+    updatePicks([]);
+    setError(null);
+    setMode(next);
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!mode || !canvas) return;
+
+    const raycaster = new THREE.Raycaster();
+    let pressed = null;
+
+    const pick = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const ndc = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(ndc, cameraRef.current);
+
+      const targets = [...layerObjectsRef.current.values()]
+        .map(entry => entry.object)
+        .filter(object => object.visible);
+      const hit = raycaster.intersectObjects(targets, true).find(intersection => intersection.face);
+      if (!hit) return;
+
+      const snapped = snapPoint(hit, cameraRef.current, rect.width, rect.height);
+      const next = [...picksRef.current, {
+        point: contentRef.current.worldToLocal(snapped.point.clone()),
+        // The fit-to-view transform only scales uniformly, so directions carry over
+        normal: hit.face.normal.clone().transformDirection(hit.object.matrixWorld),
+        kind: snapped.kind,
+      }];
+
+      if (next.length < MEASUREMENT_MODES[mode].picks) {
+        updatePicks(next);
+        return;
+      }
+
+      updatePicks([]);
+      try {
+        const measurement = createMeasurement(mode, next);
+        setMeasurements(prev => [...prev, { ...measurement, id: `${Date.now()}-${prev.length}` }]);
+        setError(null);
+      } catch (measureError) {
+        setError(measureError.message);
+      }
+    };
+
+    const handlePointerDown = (event) => {
+      pressed = { x: event.clientX, y: event.clientY };
+    };
+    const handlePointerUp = (event) => {
+      if (!pressed) return;
+      const travel = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+      pressed = null;
+      if (travel <= CLICK_TOLERANCE_PX && event.button === 0) pick(event);
+    };
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.style.cursor = 'crosshair';
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.style.cursor = '';
+    };
+  }, [mode, canvasRef, cameraRef, contentRef, layerObjectsRef, width, height]);
+
+  // Redraw markers, lines and labels
+  useEffect(() => {
+    const group = groupRef.current;
+    if (group.parent !== contentRef.current) contentRef.current.add(group);
+    disposeChildren(group);
+
+    measurements.forEach((measurement) => {
+      const { type, points, circle } = measurement;
+      group.add(createPoints(circle ? [...points, circle.center] : points));
+
+      let anchor;
+      if (type === 'distance') {
+        group.add(createLine(points));
+        anchor = points[0].clone().add(points[1]).multiplyScalar(0.5);
+      } else if (type === 'angle') {
+        group.add(createLine(points));
+        anchor = points[1].clone();
+      } else if (type === 'faceAngle') {
+        group.add(createLine(points));
+        anchor = points[0].clone().add(points[1]).multiplyScalar(0.5);
+      } else {
+        group.add(createLine(circlePoints(circle)));
+        group.add(createLine([circle.center, points[0]]));
+        anchor = circle.center.clone();
+      }
+
+      const label = createLabel(formatMeasurement(measurement, unit));
+      label.position.copy(anchor);
+      group.add(label);
+    });
+
+    if (picks.length > 0) {
+      group.add(createPoints(picks.map(p => p.point)));
+    }
+    group.children.forEach((child) => {
+      child.renderOrder = 1000;
+    });
+  }, [measurements, picks, unit, contentRef]);
+
+  return {
+    mode,
+    setMode: changeMode,
+    pendingPicks: picks.length,
+    measurements,
+    error,
+    removeMeasurement: id => setMeasurements(prev => prev.filter(m => m.id !== id)),
+    clearMeasurements: () => setMeasurements([]),
+  };
+}
@@ -0,0 +1,250 @@
+// lib/alignment.js
+import * as THREE from 'three';
+import { createSurfaceIndex } from './surfaceIndex';
+
+const DEFAULT_OPTIONS = {
+  samples: 2000,
+  maxIterations: 50,
+  // Stop once the RMS error improves by less than this fraction per iteration
+  convergence: 1e-5,
+  // Fraction of the closest pairs kept each iteration; revisions really do
+  // differ, and the changed regions must not drag the fit towards them
+  inlierRatio: 0.9,
+};
+
+/**
+ * Eigen decomposition of a small symmetric matrix (array of rows) using
+ * cyclic Jacobi rotations. Eigenvectors are returned as columns of `vectors`,
+ * sorted by descending eigenvalue.
+ */
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => row.slice());
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: v.map(row => order.map(i => row[i])),
+  };
+}
+
+// Evenly strided world-space vertex sample of every mesh under `object`
+export function samplePoints(object, maxCount) {
+  const points = [];
+  let total = 0;
+  object.traverse((child) => {
+    if (child.isMesh && child.geometry?.attributes.position) total += child.geometry.attributes.position.count;
+  });
+  const stride = Math.max(1, Math.floor(total / maxCount));
+
+  object.updateMatrixWorld(true);
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes.position) return;
+    const position = child.geometry.attributes.position;
+    for (let i = 0; i < position.count; i += stride) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld));
+    }
+  });
+  return points;
+}
+
+const principalFrame = (points) => {
+  const centroid = new THREE.Vector3();
+  points.forEach(point => centroid.add(point));
+  centroid.divideScalar(points.length || 1);
+
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const d = new THREE.Vector3();
+  points.forEach((point) => {
+    d.subVectors(point, centroid);
+    const c = [d.x, d.y, d.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) covariance[i][j] += c[i] * c[j];
+    }
+  });
+
+  const { vectors } = symmetricEigen(covariance);
+  const axes = new THREE.Matrix4().makeBasis(
+    new THREE.Vector3(vectors[0][0], vectors[1][0], vectors[2][0]),
+    new THREE.Vector3(vectors[0][1], vectors[1][1], vectors[2][1]),
+    new THREE.Vector3(vectors[0][2], vectors[1][2], vectors[2][2])
+  );
+  // Keep the frame right-handed so the result is a rotation, not a mirror
+  if (axes.determinant() < 0) {
+    axes.multiply(new THREE.Matrix4().makeScale(1, 1, -1));
+  }
+  return { centroid, axes };
+};
+
+const rmsError = (points, matrix, index) => {
+  const moved = new THREE.Vector3();
+  let sum = 0;
+  points.forEach((point) => {
+    const hit = index.closestPoint(moved.copy(point).applyMatrix4(matrix));
+    sum += hit ? hit.distance * hit.distance : 0;
+  });
+  return Math.sqrt(sum / (points.length || 1));
+};
+
+/**
+ * Coarse alignment from principal axes. The eigenvector signs are ambiguous,
+ * so every proper flip (and the untouched pose) is scored and the best kept.
+ */
+export function pcaAlignment(sourcePoints, targetPoints, index) {
+  const source = principalFrame(sourcePoints);
+  const target = principalFrame(targetPoints);
+  const sourceInverse = source.axes.clone().transpose();
+
+  const flips = [[1, 1, 1], [-1, -1, 1], [-1, 1, -1], [1, -1, -1]];
+  const candidates = [
+    new THREE.Matrix4(),
+    new THREE.Matrix4().makeTranslation(target.centroid.clone().sub(source.centroid)),
+    ...flips.map(([x, y, z]) => new THREE.Matrix4()
+      .makeTranslation(target.centroid)
+      .multiply(target.axes)
+      .multiply(new THREE.Matrix4().makeScale(x, y, z))
+      .multiply(sourceInverse)
+      .multiply(new THREE.Matrix4().makeTranslation(source.centroid.clone().negate()))),
+  ];
+
+  const scoringPoints = sourcePoints.filter((_, i) => i % 4 === 0);
+  let best = null;
+  candidates.forEach((matrix) => {
+    const error = rmsError(scoringPoints, matrix, index);
+    if (!best || error < best.error) best = { matrix, error };
+  });
+  return best.matrix;
+}
+
+// Least-squares rigid transform mapping `from` onto `to` (Horn's quaternion method)
+const bestRigidTransform = (from, to) => {
+  const cf = new THREE.Vector3();
+  const ct = new THREE.Vector3();
+  from.forEach(p => cf.add(p));
+  to.forEach(p => ct.add(p));
+  cf.divideScalar(from.length);
+  ct.divideScalar(to.length);
+
+  let sxx = 0, sxy = 0, sxz = 0, syx = 0, syy = 0, syz = 0, szx = 0, szy = 0, szz = 0;
+  for (let i = 0; i < from.length; i++) {
+    const ax = from[i].x - cf.x, ay = from[i].y - cf.y, az = from[i].z - cf.z;
+    const bx = to[i].x - ct.x, by = to[i].y - ct.y, bz = to[i].z - ct.z;
+    sxx += ax * bx; sxy += ax * by; sxz += ax * bz;
+    syx += ay * bx; syy += ay * by; syz += ay * bz;
+    szx += az * bx; szy += az * by; szz += az * bz;
+  }
+
+  const { vectors } = symmetricEigen([
+    [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+    [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+    [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+    [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz],
+  ]);
+  const quaternion = new THREE.Quaternion(vectors[1][0], vectors[2][0], vectors[3][0], vectors[0][0]).normalize();
+  const translation = ct.clone().sub(cf.clone().applyQuaternion(quaternion));
+
+  return new THREE.Matrix4().compose(translation, quaternion, new THREE.Vector3(1, 1, 1));
+};
+
+/**
+ * Rigidly aligns `source` onto `target`: PCA pre-alignment followed by trimmed
+ * point-to-surface ICP. Returns the world-space transform to apply to
+ * `source` and the final RMS error of the inlier pairs.
+ */
+export function alignModels(source, target, options = {}) {
+  const { samples, maxIterations, convergence, inlierRatio } = { ...DEFAULT_OPTIONS, ...options };
+  const index = createSurfaceIndex(target);
+  const sourcePoints = samplePoints(source, samples);
+  const targetPoints = samplePoints(target, samples);
+
+  if (sourcePoints.length < 3 || index.triangleCount === 0) {
+    throw new Error('Not enough geometry to align');
+  }
+
+  const matrix = pcaAlignment(sourcePoints, targetPoints, index);
+  const moved = sourcePoints.map(() => new THREE.Vector3());
+  // ICP can overshoot on noisy or symmetric parts; what is returned is the best transform seen
+  const best = { matrix: matrix.clone(), error: Infinity };
+  // Below this the error is rounding noise, which goes up as often as down
+  const noise = 1e-9 * index.bounds.getSize(new THREE.Vector3()).length();
+  let previousError = Infinity;
+  let iterations = 0;
+  let converged = false;
+
+  for (; iterations < maxIterations; iterations++) {
+    const pairs = sourcePoints.map((point, i) => {
+      moved[i].copy(point).applyMatrix4(matrix);
+      const hit = index.closestPoint(moved[i]);
+      return { from: moved[i], to: hit.point, distance: hit.distance };
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+    const inliers = pairs.slice(0, Math.max(3, Math.floor(pairs.length * inlierRatio)));
+
+    const error = Math.sqrt(inliers.reduce((sum, pair) => sum + pair.distance * pair.distance, 0) / inliers.length);
+    if (error < best.error) {
+      best.matrix.copy(matrix);
+      best.error = error;
+    }
+    if (error <= noise) {
+      converged = true;
+      break;
+    }
+    if (previousError !== Infinity) {
+      const improvement = previousError - error;
+      // Getting worse is not converging; stop and keep the better transform
+      if (improvement < 0) break;
+      if (improvement <= convergence * Math.max(previousError, 1e-12)) {
+        converged = true;
+        break;
+      }
+    }
+    previousError = error;
+
+    matrix.premultiply(bestRigidTransform(inliers.map(pair => pair.from), inliers.map(pair => pair.to)));
+  }
+
+  return {
+    matrix: best.matrix,
+    rmsError: best.error,
+    iterations,
+    converged,
+  };
+}
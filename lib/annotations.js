@@ -0,0 +1,133 @@
+// lib/annotations.js
+
+export const ANNOTATION_FORMAT = 'cad-annotations';
+export const ANNOTATION_VERSION = 1;
+
+export const ANNOTATION_STATUSES = {
+  open: { label: 'Open' },
+  resolved: { label: 'Resolved' },
+};
+
+const AUTHOR_KEY = 'cad-compare.annotationAuthor';
+
+const isPoint = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+// A camera view as the viewer's getView() returns it
+const isView = value => (
+  isPoint(value?.position) && isPoint(value.up) && isPoint(value.target) && Number.isFinite(value.zoom) && value.zoom > 0
+);
+
+/**
+ * A new open note pinned to `point` (with the surface `normal` there) on the
+ * revision `revisionId`. Points are in the revision's model space, in mm;
+ * `view` is the camera view (see ModelViewer's getView) it was made from.
+ */
+export function createAnnotation({ revisionId, point, normal, view, author = '' }) {
+  const now = new Date().toISOString();
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    revisionId,
+    point,
+    normal,
+    view,
+    text: '',
+    author,
+    status: 'open',
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * JSON for exporting `annotations`. Each note names the file it was made on
+ * (by name and SHA-256) so it can find that file again wherever it is imported.
+ */
+export function serializeAnnotations(annotations, revisions) {
+  const fileOf = id => revisions.find(revision => revision.id === id)?.file ?? null;
+  return JSON.stringify({
+    format: ANNOTATION_FORMAT,
+    version: ANNOTATION_VERSION,
+    exportedAt: new Date().toISOString(),
+    annotations: annotations.map(({ revisionId, ...annotation }) => {
+      const file = fileOf(revisionId);
+      return { ...annotation, file: file && { name: file.name, sha256: file.sha256 } };
+    }),
+  }, null, 2);
+}
+
+/**
+ * Reads exported annotations and attaches each to the revision with the same
+ * file, by SHA-256 first and then by name. Returns { annotations, unmatched }
+ * where `unmatched` counts notes whose file is not loaded or that are malformed.
+ */
+export function parseAnnotations(text, revisions) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Annotations file is not valid JSON');
+  }
+  if (data?.format !== ANNOTATION_FORMAT || !Array.isArray(data.annotations)) {
+    throw new Error('Not an annotations file');
+  }
+  if (data.version > ANNOTATION_VERSION) {
+    throw new Error(`Annotations version ${data.version} is newer than this app supports`);
+  }
+
+  const findRevision = (file) => {
+    if (!file) return null;
+    return revisions.find(revision => file.sha256 && revision.file.sha256 === file.sha256)
+      ?? revisions.find(revision => revision.file.name === file.name)
+      ?? null;
+  };
+
+  const annotations = [];
+  let unmatched = 0;
+  data.annotations.forEach((entry) => {
+    if (!entry || typeof entry !== 'object') {
+      unmatched++;
+      return;
+    }
+    const { file, ...annotation } = entry;
+    const revision = findRevision(file);
+    if (!revision || !isPoint(annotation.point)) {
+      unmatched++;
+      return;
+    }
+    annotations.push({
+      ...annotation,
+      id: String(annotation.id ?? `${Date.now().toString(36)}-${annotations.length}`),
+      revisionId: revision.id,
+      normal: isPoint(annotation.normal) ? annotation.normal : null,
+      text: String(annotation.text ?? ''),
+      author: String(annotation.author ?? ''),
+      status: ANNOTATION_STATUSES[annotation.status] ? annotation.status : 'open',
+      view: isView(annotation.view) ? annotation.view : null,
+    });
+  });
+  return { annotations, unmatched };
+}
+
+/**
+ * Adds `imported` to `existing`; a note with an id that is already there replaces it.
+ */
+export function mergeAnnotations(existing, imported) {
+  const importedIds = new Set(imported.map(annotation => annotation.id));
+  return [...existing.filter(annotation => !importedIds.has(annotation.id)), ...imported];
+}
+
+// Who is reviewing is remembered per browser, so new notes are signed without asking
+export function loadAnnotationAuthor() {
+  try {
+    return window.localStorage.getItem(AUTHOR_KEY) ?? '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveAnnotationAuthor(author) {
+  try {
+    window.localStorage.setItem(AUTHOR_KEY, author);
+  } catch (error) {
+    console.warn('Could not store the annotation author:', error.message);
+  }
+}
@@ -0,0 +1,99 @@
+// lib/batch.js
+// Pairing, pass/fail checks and summaries for comparing many parts at once (see cli/)
+import { csvCell } from './report';
+
+export const BATCH_FORMAT = 'cad-comparison-batch';
+export const BATCH_VERSION = 1;
+
+// Limits a comparison can be held to; `value` reads the checked quantity from compareResults
+export const THRESHOLDS = {
+  volume: {
+    label: 'Volume change',
+    unit: '%',
+    value: results => Math.abs(results.volumeDiff),
+  },
+  area: {
+    label: 'Surface area change',
+    unit: '%',
+    value: results => Math.abs(results.surfaceAreaDiff),
+  },
+  dimension: {
+    label: 'Largest dimension change',
+    unit: '%',
+    value: results => Math.max(...Object.values(results.dimensionDiff).map(Math.abs)),
+  },
+  deviation: {
+    label: 'Hausdorff distance',
+    unit: 'mm',
+    value: results => results.deviation?.hausdorff ?? null,
+  },
+  rms: {
+    label: 'Deviation RMS',
+    unit: 'mm',
+    value: results => results.deviation?.rms ?? null,
+  },
+};
+
+/**
+ * The thresholds (keys of THRESHOLDS mapped to limits) that `results` exceed,
+ * as [{ key, label, unit, value, limit }]. Unset limits are not checked.
+ */
+export function checkThresholds(results, limits) {
+  return Object.entries(limits)
+    .filter(([key, limit]) => THRESHOLDS[key] && typeof limit === 'number')
+    .map(([key, limit]) => ({ key, ...THRESHOLDS[key], value: THRESHOLDS[key].value(results), limit }))
+    .filter(({ value, limit }) => typeof value === 'number' && value > limit)
+    .map(({ key, label, unit, value, limit }) => ({ key, label, unit, value, limit }));
+}
+
+// Relative path without its extension, so a part can change format between drops
+const pairKey = path => path.replace(/\\/g, '/').replace(/\.[^./]+$/, '').toLowerCase();
+
+/**
+ * Matches two lists of relative paths by name, ignoring extension and case.
+ * Returns { pairs: [{ name, original, modified }], onlyOriginal, onlyModified },
+ * pairs sorted by name.
+ */
+export function pairFiles(originalPaths, modifiedPaths) {
+  const modifiedByKey = new Map(modifiedPaths.map(path => [pairKey(path), path]));
+  const pairs = [];
+  const onlyOriginal = [];
+  originalPaths.forEach((path) => {
+    const key = pairKey(path);
+    if (modifiedByKey.has(key)) {
+      pairs.push({ name: path.replace(/\.[^./\\]+$/, ''), original: path, modified: modifiedByKey.get(key) });
+      modifiedByKey.delete(key);
+    } else {
+      onlyOriginal.push(path);
+    }
+  });
+  pairs.sort((a, b) => a.name.localeCompare(b.name));
+  return { pairs, onlyOriginal, onlyModified: [...modifiedByKey.values()] };
+}
+
+/**
+ * One row per compared pair: { name, status, volume, area, dimension,
+ * deviation, rms, failures } with status 'pass', 'fail' or 'error'.
+ * `entries` are { name, results, failures, error }.
+ */
+export function summaryRows(entries) {
+  return entries.map(({ name, results, failures = [], error = null }) => ({
+    name,
+    status: error ? 'error' : failures.length > 0 ? 'fail' : 'pass',
+    ...Object.fromEntries(Object.entries(THRESHOLDS).map(([key, { value }]) => [key, results ? value(results) : null])),
+    failures: error ?? failures.map(({ label, value, limit, unit }) => `${label} ${value.toFixed(3)} ${unit} > ${limit} ${unit}`).join('; '),
+  }));
+}
+
+export function summaryToCSV(rows) {
+  const header = [
+    'name',
+    'status',
+    ...Object.entries(THRESHOLDS).map(([key, { unit }]) => `${key}_${unit === '%' ? 'change_percent' : unit}`),
+    'failures',
+  ];
+  const lines = rows.map(row => [
+    row.name, row.status, ...Object.keys(THRESHOLDS).map(key => row[key]), row.failures,
+  ].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
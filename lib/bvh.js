@@ -0,0 +1,280 @@
+// lib/bvh.js
+import * as THREE from 'three';
+
+// Leaves hold at most this many triangles; median splits keep at least half of it
+const LEAF_SIZE = 8;
+
+const _triangle = new THREE.Triangle();
+const _closest = new THREE.Vector3();
+const _hit = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+/**
+ * Bounding volume hierarchy over a flat triangle array (9 floats per
+ * triangle, see `collectTriangles`). Nodes are split at the median centroid
+ * of their longest axis, so the tree is balanced and its size bounded, and
+ * queries only visit the boxes that can still beat the best answer so far.
+ */
+export function createBVH(triangles) {
+  const triangleCount = Math.floor(triangles.length / 9);
+  const order = new Uint32Array(triangleCount);
+  const centroids = new Float32Array(triangleCount * 3);
+  for (let t = 0; t < triangleCount; t++) {
+    order[t] = t;
+    for (let axis = 0; axis < 3; axis++) {
+      const o = t * 9 + axis;
+      centroids[t * 3 + axis] = (triangles[o] + triangles[o + 3] + triangles[o + 6]) / 3;
+    }
+  }
+
+  const capacity = 2 * Math.ceil(triangleCount / (LEAF_SIZE / 2)) + 1;
+  // min x, y, z, max x, y, z per node
+  const boxes = new Float32Array(capacity * 6);
+  // A leaf's first entry in `order`, or an inner node's left child (the right one follows it)
+  const offsets = new Uint32Array(capacity);
+  // Triangles in a leaf; 0 marks an inner node
+  const counts = new Uint32Array(capacity);
+
+  // Moves the entries of order[start, end) so the k-th smallest centroid on `axis` lands at k
+  const select = (start, end, k, axis) => {
+    const key = i => centroids[order[i] * 3 + axis];
+    let lo = start;
+    let hi = end - 1;
+    while (hi > lo) {
+      const pivot = key((lo + hi) >>> 1);
+      let i = lo;
+      let j = hi;
+      while (i <= j) {
+        while (key(i) < pivot) i++;
+        while (key(j) > pivot) j--;
+        if (i <= j) {
+          const swap = order[i];
+          order[i] = order[j];
+          order[j] = swap;
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) hi = j;
+      else if (k >= i) lo = i;
+      else break;
+    }
+  };
+
+  let nodeCount = 1;
+  const pending = triangleCount > 0 ? [[0, 0, triangleCount]] : [];
+  while (pending.length > 0) {
+    const [node, start, end] = pending.pop();
+
+    if (end - start <= LEAF_SIZE) {
+      offsets[node] = start;
+      counts[node] = end - start;
+      const box = node * 6;
+      boxes.fill(Infinity, box, box + 3);
+      boxes.fill(-Infinity, box + 3, box + 6);
+      for (let i = start; i < end; i++) {
+        for (let v = 0; v < 9; v++) {
+          const value = triangles[order[i] * 9 + v];
+          const axis = v % 3;
+          if (value < boxes[box + axis]) boxes[box + axis] = value;
+          if (value > boxes[box + 3 + axis]) boxes[box + 3 + axis] = value;
+        }
+      }
+      continue;
+    }
+
+    const spread = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const centroid = centroids[order[i] * 3 + axis];
+        if (centroid < spread[axis]) spread[axis] = centroid;
+        if (centroid > spread[3 + axis]) spread[3 + axis] = centroid;
+      }
+    }
+    const extents = [0, 1, 2].map(axis => spread[3 + axis] - spread[axis]);
+    const axis = extents.indexOf(Math.max(...extents));
+    const middle = (start + end) >>> 1;
+    select(start, end, middle, axis);
+
+    const left = nodeCount;
+    nodeCount += 2;
+    offsets[node] = left;
+    counts[node] = 0;
+    pending.push([left, start, middle], [left + 1, middle, end]);
+  }
+
+  // Children always come after their parent, so walking backwards sees them first
+  for (let node = nodeCount - 1; node >= 0; node--) {
+    if (counts[node] > 0) continue;
+    const left = offsets[node] * 6;
+    for (let k = 0; k < 3; k++) {
+      boxes[node * 6 + k] = Math.min(boxes[left + k], boxes[left + 6 + k]);
+      boxes[node * 6 + 3 + k] = Math.max(boxes[left + 3 + k], boxes[left + 9 + k]);
+    }
+  }
+
+  const bounds = new THREE.Box3();
+  if (triangleCount > 0) {
+    bounds.min.fromArray(boxes, 0);
+    bounds.max.fromArray(boxes, 3);
+  }
+
+  const setTriangle = (t) => {
+    const o = t * 9;
+    _triangle.a.set(triangles[o], triangles[o + 1], triangles[o + 2]);
+    _triangle.b.set(triangles[o + 3], triangles[o + 4], triangles[o + 5]);
+    _triangle.c.set(triangles[o + 6], triangles[o + 7], triangles[o + 8]);
+  };
+
+  const boxDistanceSquared = (node, point) => {
+    const box = node * 6;
+    let sum = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      const value = point.getComponent(axis);
+      const below = boxes[box + axis] - value;
+      const above = value - boxes[box + 3 + axis];
+      const outside = below > 0 ? below : above > 0 ? above : 0;
+      sum += outside * outside;
+    }
+    return sum;
+  };
+
+  /**
+   * Finds the nearest surface point to `point`. The signed distance is positive
+   * on the side the nearest triangle's normal faces (outside for a closed part).
+   */
+  const closestPoint = (point, target = new THREE.Vector3()) => {
+    if (triangleCount === 0) {
+      return null;
+    }
+
+    let best = Infinity;
+    let bestTriangle = -1;
+    const stack = [0];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (boxDistanceSquared(node, point) >= best) continue;
+
+      if (counts[node] > 0) {
+        for (let i = offsets[node]; i < offsets[node] + counts[node]; i++) {
+          setTriangle(order[i]);
+          _triangle.closestPointToPoint(point, _closest);
+          const distance = _closest.distanceToSquared(point);
+          if (distance < best) {
+            best = distance;
+            bestTriangle = order[i];
+            target.copy(_closest);
+          }
+        }
+        continue;
+      }
+
+      // The nearer child goes on top so it tightens `best` before the other is checked
+      const left = offsets[node];
+      const right = left + 1;
+      if (boxDistanceSquared(left, point) < boxDistanceSquared(right, point)) {
+        stack.push(right, left);
+      } else {
+        stack.push(left, right);
+      }
+    }
+
+    setTriangle(bestTriangle);
+    _triangle.getNormal(_normal);
+    const distance = Math.sqrt(best);
+    const side = _closest.subVectors(point, target).dot(_normal);
+
+    return {
+      point: target,
+      distance,
+      signedDistance: side < 0 ? -distance : distance,
+      triangle: bestTriangle,
+    };
+  };
+
+  // Distance along `ray` to where it enters the node's box, or Infinity if it misses
+  const boxEntry = (node, ray) => {
+    const box = node * 6;
+    let near = 0;
+    let far = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+      const origin = ray.origin.getComponent(axis);
+      const direction = ray.direction.getComponent(axis);
+      const min = boxes[box + axis];
+      const max = boxes[box + 3 + axis];
+      if (direction === 0) {
+        if (origin < min || origin > max) return Infinity;
+        continue;
+      }
+      let t0 = (min - origin) / direction;
+      let t1 = (max - origin) / direction;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      if (t0 > near) near = t0;
+      if (t1 < far) far = t1;
+      if (near > far) return Infinity;
+    }
+    return near;
+  };
+
+  /**
+   * The first triangle `ray` hits, from either side: { point, distance,
+   * normal, triangle } with the distance along the ray, or null. Hits that
+   * `accept(point, triangle)` turns down are skipped, so the nearest one it
+   * takes is returned.
+   */
+  const raycast = (ray, accept = null) => {
+    if (triangleCount === 0) {
+      return null;
+    }
+
+    let best = Infinity;
+    let bestTriangle = -1;
+    const point = new THREE.Vector3();
+    const stack = [0];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (boxEntry(node, ray) >= best) continue;
+
+      if (counts[node] > 0) {
+        for (let i = offsets[node]; i < offsets[node] + counts[node]; i++) {
+          setTriangle(order[i]);
+          if (!ray.intersectTriangle(_triangle.a, _triangle.b, _triangle.c, false, _hit)) continue;
+          const distance = ray.origin.distanceTo(_hit);
+          if (distance < best && (!accept || accept(_hit, order[i]))) {
+            best = distance;
+            bestTriangle = order[i];
+            point.copy(_hit);
+          }
+        }
+        continue;
+      }
+
+      const left = offsets[node];
+      const right = left + 1;
+      if (boxEntry(left, ray) < boxEntry(right, ray)) {
+        stack.push(right, left);
+      } else {
+        stack.push(left, right);
+      }
+    }
+
+    if (bestTriangle === -1) {
+      return null;
+    }
+    setTriangle(bestTriangle);
+    return {
+      point,
+      distance: best,
+      normal: _triangle.getNormal(new THREE.Vector3()),
+      triangle: bestTriangle,
+    };
+  };
+
+  return {
+    bounds,
+    triangleCount,
+    nodeCount,
+    closestPoint,
+    raycast,
+  };
+}
@@ -0,0 +1,31 @@
+// lib/cameraLink.js
+
+/**
+ * Shares one camera view between any number of viewers. Each viewer
+ * subscribes with an `apply` callback and publishes its own view when the
+ * user moves it; the publisher is never called back with its own state.
+ */
+export function createCameraLink() {
+  const subscribers = new Map();
+  let lastView = null;
+
+  const subscribe = (id, apply) => {
+    subscribers.set(id, apply);
+    // Joining viewers snap to whatever the group is already looking at
+    if (lastView && lastView.source !== id) {
+      apply(lastView);
+    }
+    return () => subscribers.delete(id);
+  };
+
+  const publish = (id, view) => {
+    lastView = { ...view, source: id };
+    subscribers.forEach((apply, subscriberId) => {
+      if (subscriberId !== id) {
+        apply(lastView);
+      }
+    });
+  };
+
+  return { subscribe, publish };
+}
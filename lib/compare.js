@@ -0,0 +1,281 @@
+// lib/compare.js
+import * as THREE from 'three';
+import { computeMeshMetrics, computeMass } from './meshMetrics';
+import { analyzeMeshIntegrity } from './meshIntegrity';
+import { computeDeviationAnalysis, fractionWithinTolerance } from './deviation';
+import { alignModels } from './alignment';
+import { compareMassProperties, computeMassProperties, computeVolumeIntegrals } from './massProperties';
+import { MATERIAL_PROPERTIES } from './materials';
+import { detectUnit, toMillimetres } from './units';
+
+// Shared by the page and the /api/compare route, so both report exactly the same numbers
+
+export const DEFAULT_DEVIATION_TOLERANCE = 0.1;
+
+// Whether any mesh brought its own material rather than a loader stand-in
+const hasFileMaterials = (model) => {
+  let found = false;
+  model.traverse((child) => {
+    if (child.isMesh && [child.material].flat().some(material => material && !material.userData.generated)) {
+      found = true;
+    }
+  });
+  return found;
+};
+
+const largestExtent = ({ x, y, z }) => Math.max(x, y, z);
+
+/**
+ * Vertex/face counts, world-space bounds, enclosed volume and area of a model.
+ */
+export function computeModelStats(model) {
+  let vertexCount = 0;
+  let faceCount = 0;
+  let volume = 0;
+  let surfaceArea = 0;
+  let openEdges = 0;
+  const meshes = [];
+  const boundingBox = new THREE.Box3();
+
+  model.updateMatrixWorld(true);
+  model.traverse((child) => {
+    if (child.isMesh) {
+      if (!child.geometry) {
+        throw new Error('Mesh geometry is undefined');
+      }
+
+      const geometry = child.geometry;
+      vertexCount += geometry.attributes.position.count;
+      faceCount += geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+
+      geometry.computeBoundingBox();
+      boundingBox.expandByObject(child);
+
+      // Enclosed volume and area, in world space so nested transforms are respected
+      const metrics = computeMeshMetrics(geometry, child.matrixWorld);
+      volume += metrics.volume;
+      surfaceArea += metrics.surfaceArea;
+      openEdges += metrics.openEdges + metrics.nonManifoldEdges;
+      meshes.push({ name: child.name || `Mesh ${meshes.length + 1}`, ...metrics });
+    }
+  });
+
+  if (!boundingBox.min || !boundingBox.max) {
+    throw new Error('Failed to calculate model dimensions');
+  }
+
+  return {
+    vertices: vertexCount,
+    faces: faceCount,
+    dimensions: {
+      x: boundingBox.max.x - boundingBox.min.x,
+      y: boundingBox.max.y - boundingBox.min.y,
+      z: boundingBox.max.z - boundingBox.min.z,
+    },
+    volume,
+    surfaceArea,
+    isClosed: openEdges === 0,
+    meshes,
+  };
+}
+
+/**
+ * Unit of a freshly parsed `object` as { unit, detectedBy }: what the file
+ * declares, else a guess from its size next to `reference` (a model info in mm).
+ */
+export function detectModelUnits(object, reference = null) {
+  const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+  const { unit, source } = detectUnit({
+    declared: object.userData.declaredUnit,
+    size: largestExtent(size),
+    referenceSize: reference && largestExtent(reference.stats.dimensions),
+  });
+  return { unit, detectedBy: source };
+}
+
+/**
+ * Everything derived from a loaded file, with the model converted to millimetres.
+ * `source` is the object as parsed, kept so the unit can be changed later;
+ * `units` is { unit, detectedBy } with detectedBy 'file', 'size', 'default' or 'user'.
+ */
+export function createModelInfo(source, units) {
+  const model = toMillimetres(source, units.unit);
+  return {
+    source,
+    units,
+    model,
+    stats: computeModelStats(model),
+    integrity: analyzeMeshIntegrity(model),
+    hasFileMaterials: hasFileMaterials(model),
+  };
+}
+
+/**
+ * A copy of `source` rigidly aligned onto `target`, with the alignment result;
+ * a `saved` result (from a project) is applied as is instead of aligning again.
+ */
+export function alignCopy(source, target, saved = null) {
+  const result = saved
+    ? { ...saved, matrix: new THREE.Matrix4().fromArray(saved.matrix) }
+    : alignModels(source, target);
+  const model = new THREE.Group();
+  model.name = source.name;
+  model.add(source.clone());
+  model.applyMatrix4(result.matrix);
+  return { ...result, model };
+}
+
+/**
+ * How far `model` deviates from `original`, as `{ rms, max }` in mm, after
+ * aligning it onto `original` when `autoAlign` is set. Used per revision by
+ * the timeline.
+ */
+export function measureRevisionDeviation(original, model, autoAlign) {
+  const compared = autoAlign ? alignCopy(model, original).model : model;
+  const analysis = computeDeviationAnalysis(original, compared);
+  return { rms: analysis.forward.rms, max: analysis.hausdorff };
+}
+
+const percentageDiff = (newValue, oldValue) => {
+  if (typeof newValue !== 'number' || typeof oldValue !== 'number' || oldValue === 0) {
+    return 0;
+  }
+  return ((newValue - oldValue) / oldValue) * 100;
+};
+
+/**
+ * The comparison result from already computed parts: `original` and
+ * `modified` model infos, the resolved `materials` of both, their
+ * `massProperties`, the `alignment` (or null) and the `deviationAnalysis`
+ * (or null). Plain data only, so it can be sent as JSON or stored.
+ */
+export function summarizeComparison({
+  original: originalInfo,
+  modified: modifiedInfo,
+  materials,
+  massProperties,
+  alignment = null,
+  deviationAnalysis = null,
+  deviationTolerance = DEFAULT_DEVIATION_TOLERANCE,
+}) {
+  const original = originalInfo.stats;
+  const modified = alignment ? alignment.stats : modifiedInfo.stats;
+
+  const dimensionDiff = Object.fromEntries(['x', 'y', 'z'].map(axis => [
+    axis,
+    percentageDiff(modified.dimensions?.[axis], original.dimensions?.[axis]),
+  ]));
+  const originalMass = computeMass(original.volume, materials.original.density);
+  const modifiedMass = computeMass(modified.volume, materials.modified.density);
+  // Material cost from the mass in kg
+  const originalCost = (originalMass / 1000) * materials.original.costPerKg;
+  const modifiedCost = (modifiedMass / 1000) * materials.modified.costPerKg;
+
+  // Volume (and therefore mass) of an open surface cannot be trusted
+  const warnings = [];
+  [['Original', original], ['Modified', modified]].forEach(([label, stats]) => {
+    stats.meshes
+      ?.filter(mesh => !mesh.isClosed)
+      .forEach((mesh) => {
+        warnings.push(
+          `${label} part "${mesh.name}" is not closed ` +
+          `(${mesh.openEdges} open, ${mesh.nonManifoldEdges} non-manifold edges); volume and mass are unreliable`
+        );
+      });
+  });
+
+  // Surface deviation, modified → original unless noted
+  const deviation = deviationAnalysis && {
+    hausdorff: deviationAnalysis.hausdorff,
+    min: deviationAnalysis.forward.min,
+    max: deviationAnalysis.forward.max,
+    mean: deviationAnalysis.forward.mean,
+    rms: deviationAnalysis.forward.rms,
+    reverse: {
+      min: deviationAnalysis.reverse.min,
+      max: deviationAnalysis.reverse.max,
+      mean: deviationAnalysis.reverse.mean,
+      rms: deviationAnalysis.reverse.rms,
+    },
+    tolerance: deviationTolerance,
+    withinTolerance: fractionWithinTolerance(deviationAnalysis.values.modified, deviationTolerance),
+    histogram: deviationAnalysis.forward.histogram,
+  };
+
+  const materialDiffs = {
+    colorDiff: materials.original.color !== materials.modified.color,
+    presetChanged: materials.original.presetId !== materials.modified.presetId,
+    ...Object.fromEntries(Object.keys(MATERIAL_PROPERTIES).map(key => [
+      `${key}Diff`,
+      percentageDiff(materials.modified[key], materials.original[key]),
+    ])),
+  };
+
+  return {
+    vertexDiff: percentageDiff(modified.vertices, original.vertices),
+    faceDiff: percentageDiff(modified.faces, original.faces),
+    dimensionDiff,
+    volumeDiff: percentageDiff(modified.volume, original.volume),
+    surfaceAreaDiff: percentageDiff(modified.surfaceArea, original.surfaceArea),
+    massDiff: percentageDiff(modifiedMass, originalMass),
+    costDiff: percentageDiff(modifiedCost, originalCost),
+    massPropertiesDiff: compareMassProperties(massProperties.original, massProperties.modified),
+    deviation,
+    alignment: alignment && {
+      matrix: alignment.matrix.toArray(),
+      rmsError: alignment.rmsError,
+      iterations: alignment.iterations,
+      converged: alignment.converged,
+    },
+    materialDiffs,
+    warnings,
+    units: {
+      original: originalInfo.units,
+      modified: modifiedInfo.units,
+    },
+    original: {
+      ...original,
+      mass: originalMass,
+      cost: originalCost,
+      massProperties: massProperties.original,
+      material: materials.original,
+    },
+    modified: {
+      ...modified,
+      mass: modifiedMass,
+      cost: modifiedCost,
+      massProperties: massProperties.modified,
+      material: materials.modified,
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compares two model infos (see createModelInfo) from scratch: optional
+ * rigid alignment, mass properties and surface deviation, summarized as
+ * summarizeComparison does. Used where nothing is cached between runs.
+ */
+export function compareModelInfos(original, modified, {
+  materials,
+  autoAlign = true,
+  deviationTolerance = DEFAULT_DEVIATION_TOLERANCE,
+} = {}) {
+  const aligned = autoAlign ? alignCopy(modified.model, original.model) : null;
+  const alignment = aligned && { ...aligned, stats: computeModelStats(aligned.model) };
+  const comparedModel = alignment ? alignment.model : modified.model;
+  const massProperties = {
+    original: computeMassProperties(computeVolumeIntegrals(original.model), materials.original.density),
+    modified: computeMassProperties(computeVolumeIntegrals(comparedModel), materials.modified.density),
+  };
+  const deviationAnalysis = computeDeviationAnalysis(original.model, comparedModel);
+  return summarizeComparison({
+    original,
+    modified,
+    materials,
+    massProperties,
+    alignment,
+    deviationAnalysis,
+    deviationTolerance,
+  });
+}
@@ -0,0 +1,599 @@
+// lib/decimate.js
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter';
+import { createSurfaceIndex, geometryTriangles } from './surfaceIndex';
+
+export const DECIMATION_MODES = {
+  faces: { label: 'Triangle count' },
+  error: { label: 'Maximum error' },
+};
+
+export const DEFAULT_DECIMATION = {
+  mode: 'faces',
+  // Share of the source's triangles kept when simplifying to a count
+  ratio: 0.25,
+  // In mm, when simplifying until the error would exceed it
+  maxError: 0.05,
+  // Faces meeting at a sharper angle than this (degrees) form an edge that is kept
+  featureAngle: 30,
+  preserveBoundaries: true,
+};
+
+// Moving off a boundary or feature edge costs this much more than moving off a face
+const CONSTRAINT_WEIGHT = 1000;
+// A collapse that turns a neighbouring face further than this (as a cosine) would fold it over
+const MIN_FLIP_COSINE = 0.2;
+// The deviation report measures at most this many vertices of each surface
+const MAX_MEASURED_VERTICES = 250000;
+
+// Adds `weight` times the squared distance to the plane ax + by + cz + d = 0 to
+// vertex `v`'s quadric, stored as [aa, ab, ac, ad, bb, bc, bd, cc, cd, dd]
+const addPlane = (quadrics, v, a, b, c, d, weight) => {
+  const o = v * 10;
+  quadrics[o] += weight * a * a;
+  quadrics[o + 1] += weight * a * b;
+  quadrics[o + 2] += weight * a * c;
+  quadrics[o + 3] += weight * a * d;
+  quadrics[o + 4] += weight * b * b;
+  quadrics[o + 5] += weight * b * c;
+  quadrics[o + 6] += weight * b * d;
+  quadrics[o + 7] += weight * c * c;
+  quadrics[o + 8] += weight * c * d;
+  quadrics[o + 9] += weight * d * d;
+};
+
+const quadricError = (q, x, y, z) => (
+  q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+  q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+  q[7] * z * z + 2 * q[8] * z + q[9]
+);
+
+// Merges the corners of a triangle soup that sit at exactly the same position
+const weldTriangles = (triangles) => {
+  const cornerCount = triangles.length / 3;
+  const bits = new Uint32Array(triangles.buffer, triangles.byteOffset, triangles.length);
+  const size = 2 ** Math.ceil(Math.log2(cornerCount + 1));
+  const table = new Int32Array(size).fill(-1);
+  const firstCorner = new Uint32Array(cornerCount);
+  const faces = new Uint32Array(cornerCount);
+  let vertexCount = 0;
+
+  for (let corner = 0; corner < cornerCount; corner++) {
+    const x = bits[corner * 3];
+    const y = bits[corner * 3 + 1];
+    const z = bits[corner * 3 + 2];
+    let slot = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & (size - 1);
+    for (;;) {
+      const vertex = table[slot];
+      if (vertex === -1) {
+        table[slot] = vertexCount;
+        firstCorner[vertexCount] = corner;
+        faces[corner] = vertexCount++;
+        break;
+      }
+      const o = firstCorner[vertex] * 3;
+      if (bits[o] === x && bits[o + 1] === y && bits[o + 2] === z) {
+        faces[corner] = vertex;
+        break;
+      }
+      slot = (slot + 1) & (size - 1);
+    }
+  }
+
+  const positions = new Float64Array(vertexCount * 3);
+  for (let v = 0; v < vertexCount; v++) {
+    positions.set(triangles.subarray(firstCorner[v] * 3, firstCorner[v] * 3 + 3), v * 3);
+  }
+  return { positions, faces };
+};
+
+// Min-heap of candidate collapses; entries go stale instead of being removed
+const createEdgeHeap = (capacity) => {
+  let costs = new Float64Array(capacity);
+  let edges = new Uint32Array(capacity * 3);
+  let size = 0;
+
+  const swap = (i, j) => {
+    const cost = costs[i];
+    costs[i] = costs[j];
+    costs[j] = cost;
+    for (let k = 0; k < 3; k++) {
+      const edge = edges[i * 3 + k];
+      edges[i * 3 + k] = edges[j * 3 + k];
+      edges[j * 3 + k] = edge;
+    }
+  };
+
+  const push = (cost, u, v, time) => {
+    if (size === costs.length) {
+      const grownCosts = new Float64Array(size * 2);
+      grownCosts.set(costs);
+      const grownEdges = new Uint32Array(size * 6);
+      grownEdges.set(edges);
+      costs = grownCosts;
+      edges = grownEdges;
+    }
+    let i = size++;
+    costs[i] = cost;
+    edges[i * 3] = u;
+    edges[i * 3 + 1] = v;
+    edges[i * 3 + 2] = time;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (costs[parent] <= costs[i]) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  // Moves the cheapest entry into `out` ({ cost, u, v, time }); false once empty
+  const pop = (out) => {
+    if (size === 0) return false;
+    out.cost = costs[0];
+    out.u = edges[0];
+    out.v = edges[1];
+    out.time = edges[2];
+    size--;
+    if (size > 0) {
+      costs[0] = costs[size];
+      edges.copyWithin(0, size * 3, size * 3 + 3);
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < size && costs[left] < costs[smallest]) smallest = left;
+        if (right < size && costs[right] < costs[smallest]) smallest = right;
+        if (smallest === i) break;
+        swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return true;
+  };
+
+  return { push, pop };
+};
+
+/**
+ * Quadric error simplification (Garland and Heckbert) of one indexed
+ * triangle mesh: the cheapest edge collapse is applied until `targetFaces`
+ * remain or the next one would move the surface further than `maxError`
+ * from the planes of the faces it replaces. Boundary and feature edges get
+ * heavily weighted constraint planes so they stay where they are, and
+ * collapses that fold a face over or make the mesh non-manifold are skipped.
+ * Returns the kept triangles as a soup, 9 floats each.
+ */
+export function simplifyMesh(positions, faces, options, onProgress) {
+  const { targetFaces = 0, maxError = null, featureAngle, preserveBoundaries } = options;
+  const vertexCount = positions.length / 3;
+  const initialFaces = faces.length / 3;
+  const quadrics = new Float64Array(vertexCount * 10);
+  const faceAlive = new Uint8Array(initialFaces);
+  const faceNormals = new Float64Array(initialFaces * 3);
+  const vertexAlive = new Uint8Array(vertexCount);
+  // When each vertex last moved; heap entries older than either end are stale
+  const stamps = new Uint32Array(vertexCount);
+  let time = 0;
+  let faceCount = 0;
+
+  // Unnormalized normal (twice the area) of the triangle a, b, c into `out`
+  const triangleNormal = (ax, ay, az, bx, by, bz, cx, cy, cz, out) => {
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    out[0] = uy * vz - uz * vy;
+    out[1] = uz * vx - ux * vz;
+    out[2] = ux * vy - uy * vx;
+    return Math.hypot(out[0], out[1], out[2]);
+  };
+  const normal = new Float64Array(3);
+  const p = positions;
+
+  for (let f = 0; f < initialFaces; f++) {
+    const a = faces[f * 3], b = faces[f * 3 + 1], c = faces[f * 3 + 2];
+    // Welding can leave slivers with a repeated corner; they cover nothing
+    if (a === b || b === c || a === c) continue;
+    faceAlive[f] = 1;
+    faceCount++;
+    vertexAlive[a] = vertexAlive[b] = vertexAlive[c] = 1;
+
+    const length = triangleNormal(
+      p[a * 3], p[a * 3 + 1], p[a * 3 + 2], p[b * 3], p[b * 3 + 1], p[b * 3 + 2], p[c * 3], p[c * 3 + 1], p[c * 3 + 2], normal
+    );
+    if (length === 0) continue;
+    const nx = normal[0] / length, ny = normal[1] / length, nz = normal[2] / length;
+    faceNormals.set([nx, ny, nz], f * 3);
+    const d = -(nx * p[a * 3] + ny * p[a * 3 + 1] + nz * p[a * 3 + 2]);
+    [a, b, c].forEach(v => addPlane(quadrics, v, nx, ny, nz, d, 1));
+  }
+  const sourceFaces = faceCount;
+
+  // Faces around each vertex; a collapse appends the merged list at the end
+  const refStart = new Uint32Array(vertexCount);
+  const refCount = new Uint32Array(vertexCount);
+  let refs;
+  let refEnd = 0;
+  const buildRefs = () => {
+    refCount.fill(0);
+    for (let f = 0; f < initialFaces; f++) {
+      if (!faceAlive[f]) continue;
+      for (let k = 0; k < 3; k++) refCount[faces[f * 3 + k]]++;
+    }
+    let total = 0;
+    for (let v = 0; v < vertexCount; v++) {
+      refStart[v] = total;
+      total += refCount[v];
+      refCount[v] = 0;
+    }
+    refs = new Uint32Array(Math.max(total * 2, 16));
+    for (let f = 0; f < initialFaces; f++) {
+      if (!faceAlive[f]) continue;
+      for (let k = 0; k < 3; k++) {
+        const v = faces[f * 3 + k];
+        refs[refStart[v] + refCount[v]++] = f;
+      }
+    }
+    refEnd = total;
+  };
+  buildRefs();
+
+  const hasCorner = (f, v) => faces[f * 3] === v || faces[f * 3 + 1] === v || faces[f * 3 + 2] === v;
+
+  // A plane through the edge a-b standing upright on face f
+  const constrainEdge = (f, a, b) => {
+    const ex = p[b * 3] - p[a * 3], ey = p[b * 3 + 1] - p[a * 3 + 1], ez = p[b * 3 + 2] - p[a * 3 + 2];
+    const nx = faceNormals[f * 3], ny = faceNormals[f * 3 + 1], nz = faceNormals[f * 3 + 2];
+    let px = ey * nz - ez * ny, py = ez * nx - ex * nz, pz = ex * ny - ey * nx;
+    const length = Math.hypot(px, py, pz);
+    if (length === 0) return;
+    px /= length;
+    py /= length;
+    pz /= length;
+    const d = -(px * p[a * 3] + py * p[a * 3 + 1] + pz * p[a * 3 + 2]);
+    addPlane(quadrics, a, px, py, pz, d, CONSTRAINT_WEIGHT);
+    addPlane(quadrics, b, px, py, pz, d, CONSTRAINT_WEIGHT);
+  };
+
+  const sum = new Float64Array(10);
+  const candidate = { x: 0, y: 0, z: 0, cost: 0 };
+  // Best position for merging u and v, and the error of putting it there
+  const evaluate = (u, v) => {
+    for (let k = 0; k < 10; k++) sum[k] = quadrics[u * 10 + k] + quadrics[v * 10 + k];
+    const q0 = sum[0], q1 = sum[1], q2 = sum[2], q3 = sum[3], q4 = sum[4];
+    const q5 = sum[5], q6 = sum[6], q7 = sum[7], q8 = sum[8];
+    const mx = (p[u * 3] + p[v * 3]) / 2, my = (p[u * 3 + 1] + p[v * 3 + 1]) / 2, mz = (p[u * 3 + 2] + p[v * 3 + 2]) / 2;
+    const edgeLength = Math.hypot(p[u * 3] - p[v * 3], p[u * 3 + 1] - p[v * 3 + 1], p[u * 3 + 2] - p[v * 3 + 2]);
+
+    const det = q0 * (q4 * q7 - q5 * q5) - q1 * (q1 * q7 - q5 * q2) + q2 * (q1 * q5 - q4 * q2);
+    const trace = q0 + q4 + q7;
+    if (trace > 0 && Math.abs(det) > 1e-9 * trace ** 3) {
+      const r0 = -q3, r1 = -q6, r2 = -q8;
+      const x = (r0 * (q4 * q7 - q5 * q5) - q1 * (r1 * q7 - q5 * r2) + q2 * (r1 * q5 - q4 * r2)) / det;
+      const y = (q0 * (r1 * q7 - q5 * r2) - r0 * (q1 * q7 - q5 * q2) + q2 * (q1 * r2 - r1 * q2)) / det;
+      const z = (q0 * (q4 * r2 - r1 * q5) - q1 * (q1 * r2 - r1 * q2) + r0 * (q1 * q5 - q4 * q2)) / det;
+      // A nearly flat quadric can put the optimum far away; stay near the edge
+      if (Math.hypot(x - mx, y - my, z - mz) <= edgeLength) {
+        candidate.x = x;
+        candidate.y = y;
+        candidate.z = z;
+        candidate.cost = Math.max(0, quadricError(sum, x, y, z));
+        return candidate;
+      }
+    }
+
+    // Otherwise the better of the two ends and the middle
+    candidate.cost = Infinity;
+    for (let option = 0; option < 3; option++) {
+      const x = option === 0 ? p[u * 3] : option === 1 ? p[v * 3] : mx;
+      const y = option === 0 ? p[u * 3 + 1] : option === 1 ? p[v * 3 + 1] : my;
+      const z = option === 0 ? p[u * 3 + 2] : option === 1 ? p[v * 3 + 2] : mz;
+      const cost = Math.max(0, quadricError(sum, x, y, z));
+      if (cost < candidate.cost) {
+        candidate.x = x;
+        candidate.y = y;
+        candidate.z = z;
+        candidate.cost = cost;
+      }
+    }
+    return candidate;
+  };
+
+  const heap = createEdgeHeap(Math.max(initialFaces * 2, 16));
+  const featureCosine = Math.cos(THREE.MathUtils.degToRad(featureAngle));
+  const others = [];
+  for (let f = 0; f < initialFaces; f++) {
+    if (!faceAlive[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const a = faces[f * 3 + k];
+      const b = faces[f * 3 + (k + 1) % 3];
+      others.length = 0;
+      for (let i = refStart[a]; i < refStart[a] + refCount[a]; i++) {
+        if (refs[i] !== f && hasCorner(refs[i], b)) others.push(refs[i]);
+      }
+      // Each edge is handled once, by the lowest numbered face on it
+      if (others.some(g => g < f)) continue;
+
+      if (others.length === 0) {
+        if (preserveBoundaries) constrainEdge(f, a, b);
+      } else {
+        const dot = faceNormals[f * 3] * faceNormals[others[0] * 3] +
+          faceNormals[f * 3 + 1] * faceNormals[others[0] * 3 + 1] +
+          faceNormals[f * 3 + 2] * faceNormals[others[0] * 3 + 2];
+        // More than two faces on an edge is non-manifold, and kept like a feature
+        if (others.length > 1 || dot < featureCosine) {
+          constrainEdge(f, a, b);
+          others.forEach(g => constrainEdge(g, a, b));
+        }
+      }
+    }
+  }
+  for (let f = 0; f < initialFaces; f++) {
+    if (!faceAlive[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const a = faces[f * 3 + k];
+      const b = faces[f * 3 + (k + 1) % 3];
+      const { cost } = evaluate(a, b);
+      heap.push(cost, a, b, 0);
+    }
+  }
+
+  const marks = new Uint32Array(vertexCount);
+  let mark = 0;
+  const before = new Float64Array(3);
+  const after = new Float64Array(3);
+
+  // Whether moving `moved` to (x, y, z) keeps every face it shares with no `other` facing the same way
+  const keepsOrientation = (moved, other, x, y, z) => {
+    for (let i = refStart[moved]; i < refStart[moved] + refCount[moved]; i++) {
+      const f = refs[i];
+      if (!faceAlive[f] || hasCorner(f, other)) continue;
+      const a = faces[f * 3], b = faces[f * 3 + 1], c = faces[f * 3 + 2];
+      const oldLength = triangleNormal(
+        p[a * 3], p[a * 3 + 1], p[a * 3 + 2], p[b * 3], p[b * 3 + 1], p[b * 3 + 2], p[c * 3], p[c * 3 + 1], p[c * 3 + 2], before
+      );
+      if (oldLength === 0) continue;
+      // Rotate the corners so the moved one comes first, keeping the winding
+      const [second, third] = moved === a ? [b, c] : moved === b ? [c, a] : [a, b];
+      const newLength = triangleNormal(
+        x, y, z,
+        p[second * 3], p[second * 3 + 1], p[second * 3 + 2], p[third * 3], p[third * 3 + 1], p[third * 3 + 2], after
+      );
+      if (newLength <= 1e-12 * oldLength) return false;
+      const cosine = (before[0] * after[0] + before[1] * after[1] + before[2] * after[2]) / (oldLength * newLength);
+      if (cosine < MIN_FLIP_COSINE) return false;
+    }
+    return true;
+  };
+
+  // Merges v into u at (x, y, z); false when that would damage the mesh
+  const collapse = (u, v, x, y, z) => {
+    // Link condition: u and v may only share the neighbours of the faces on their edge
+    mark += 2;
+    for (let i = refStart[u]; i < refStart[u] + refCount[u]; i++) {
+      const f = refs[i];
+      if (!faceAlive[f]) continue;
+      for (let k = 0; k < 3; k++) marks[faces[f * 3 + k]] = mark;
+    }
+    let shared = 0;
+    let common = 0;
+    for (let i = refStart[v]; i < refStart[v] + refCount[v]; i++) {
+      const f = refs[i];
+      if (!faceAlive[f]) continue;
+      if (hasCorner(f, u)) shared++;
+      for (let k = 0; k < 3; k++) {
+        const w = faces[f * 3 + k];
+        if (w !== u && w !== v && marks[w] === mark) {
+          marks[w] = mark + 1;
+          common++;
+        }
+      }
+    }
+    if (shared === 0 || common !== shared) return false;
+    if (!keepsOrientation(u, v, x, y, z) || !keepsOrientation(v, u, x, y, z)) return false;
+
+    if (refEnd + refCount[u] + refCount[v] > refs.length) buildRefs();
+    const start = refEnd;
+    for (let i = refStart[u]; i < refStart[u] + refCount[u]; i++) {
+      const f = refs[i];
+      if (!faceAlive[f]) continue;
+      if (hasCorner(f, v)) {
+        faceAlive[f] = 0;
+        faceCount--;
+      } else {
+        refs[refEnd++] = f;
+      }
+    }
+    for (let i = refStart[v]; i < refStart[v] + refCount[v]; i++) {
+      const f = refs[i];
+      if (!faceAlive[f]) continue;
+      for (let k = 0; k < 3; k++) {
+        if (faces[f * 3 + k] === v) faces[f * 3 + k] = u;
+      }
+      refs[refEnd++] = f;
+    }
+    refStart[u] = start;
+    refCount[u] = refEnd - start;
+
+    p[u * 3] = x;
+    p[u * 3 + 1] = y;
+    p[u * 3 + 2] = z;
+    for (let k = 0; k < 10; k++) quadrics[u * 10 + k] += quadrics[v * 10 + k];
+    vertexAlive[v] = 0;
+    stamps[u] = ++time;
+
+    mark += 2;
+    marks[u] = mark;
+    for (let i = refStart[u]; i < refStart[u] + refCount[u]; i++) {
+      const f = refs[i];
+      for (let k = 0; k < 3; k++) {
+        const w = faces[f * 3 + k];
+        if (marks[w] === mark) continue;
+        marks[w] = mark;
+        heap.push(evaluate(u, w).cost, u, w, time);
+      }
+    }
+    return true;
+  };
+
+  const maxCost = maxError === null ? Infinity : maxError * maxError;
+  const removable = Math.max(sourceFaces - targetFaces, 1);
+  const entry = { cost: 0, u: 0, v: 0, time: 0 };
+  let reported = 0;
+  while (faceCount > targetFaces && heap.pop(entry)) {
+    // The heap hands out the cheapest first, so nothing left is within the error
+    if (entry.cost > maxCost) break;
+    const { u, v } = entry;
+    if (!vertexAlive[u] || !vertexAlive[v] || stamps[u] > entry.time || stamps[v] > entry.time) continue;
+    const { x, y, z } = evaluate(u, v);
+    if (!collapse(u, v, x, y, z)) continue;
+
+    const done = (sourceFaces - faceCount) / removable;
+    if (done - reported >= 0.01) {
+      reported = done;
+      onProgress?.(Math.min(done, 1));
+    }
+  }
+
+  const triangles = new Float32Array(faceCount * 9);
+  let offset = 0;
+  for (let f = 0; f < initialFaces; f++) {
+    if (!faceAlive[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const v = faces[f * 3 + k];
+      triangles[offset++] = p[v * 3];
+      triangles[offset++] = p[v * 3 + 1];
+      triangles[offset++] = p[v * 3 + 2];
+    }
+  }
+  return triangles;
+}
+
+const concat = (arrays) => {
+  const joined = new Float64Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  arrays.forEach((array) => {
+    joined.set(array, offset);
+    offset += array.length;
+  });
+  return joined;
+};
+
+// Largest and RMS distance from evenly spread `points` (x, y, z triples) to the surface of `index`
+const measureDistances = (points, index) => {
+  const count = points.length / 3;
+  const stride = Math.max(1, Math.ceil(count / MAX_MEASURED_VERTICES));
+  const point = new THREE.Vector3();
+  const closest = new THREE.Vector3();
+  let max = 0;
+  let sumOfSquares = 0;
+  let measured = 0;
+  for (let i = 0; i < count; i += stride) {
+    const distance = index.closestPoint(point.fromArray(points, i * 3), closest)?.distance ?? 0;
+    max = Math.max(max, distance);
+    sumOfSquares += distance * distance;
+    measured++;
+  }
+  return { max, rms: measured > 0 ? Math.sqrt(sumOfSquares / measured) : 0 };
+};
+
+/**
+ * Simplified copy of `object`, every mesh decimated on its own and baked into
+ * the object's frame. `options` are those of DEFAULT_DECIMATION, with
+ * `targetFaces` for the whole object in 'faces' mode and `maxError` in the
+ * object's own units in 'error' mode. `onProgress(phase, fraction)` reports
+ * 'simplifying' and then 'measuring'.
+ *
+ * Returns { object, report } where the report has the triangle and (welded)
+ * vertex counts before and after, and the achieved `deviation` from the
+ * source: the symmetric Hausdorff distance between the two surfaces, measured
+ * at their vertices, and the RMS distance of the source's vertices. Large
+ * meshes are measured at an evenly spread sample of their vertices.
+ */
+export function decimateObject(object, options, onProgress) {
+  const settings = { ...DEFAULT_DECIMATION, ...options };
+  // A detached copy, so the meshes are placed relative to the object and not the scene
+  const source = object.clone();
+  source.updateMatrixWorld(true);
+
+  const meshes = [];
+  source.traverse((child) => {
+    if (child.isMesh && child.geometry?.attributes.position) meshes.push(child);
+  });
+  const soups = meshes.map(mesh => geometryTriangles(mesh.geometry, mesh.matrixWorld));
+  const sourceFaces = soups.reduce((total, soup) => total + soup.length / 9, 0);
+  if (sourceFaces === 0) {
+    throw new Error('The model has no triangles to simplify');
+  }
+
+  const result = new THREE.Group();
+  result.name = object.name;
+  const sourcePoints = [];
+  const points = [];
+  let faces = 0;
+  let simplified = 0;
+
+  meshes.forEach((mesh, i) => {
+    const soup = soups[i];
+    const share = soup.length / 9 / sourceFaces;
+    const { positions, faces: corners } = weldTriangles(soup);
+    // Simplifying moves the vertices in place
+    sourcePoints.push(positions.slice());
+
+    const triangles = simplifyMesh(positions, corners, {
+      targetFaces: settings.mode === 'faces' ? Math.round(settings.targetFaces * share) : 0,
+      maxError: settings.mode === 'error' ? settings.maxError : null,
+      featureAngle: settings.featureAngle,
+      preserveBoundaries: settings.preserveBoundaries,
+    }, fraction => onProgress?.('simplifying', (simplified + fraction * soup.length / 9) / sourceFaces));
+    simplified += soup.length / 9;
+
+    faces += triangles.length / 9;
+    if (triangles.length === 0) return;
+    points.push(weldTriangles(triangles).positions);
+
+    // Laid out like a freshly loaded STL, so it matches the file it is saved as
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(triangles, 3));
+    geometry.computeVertexNormals();
+    const material = new THREE.MeshPhongMaterial();
+    material.userData.generated = true;
+    const simplifiedMesh = new THREE.Mesh(geometry, material);
+    simplifiedMesh.name = mesh.name;
+    result.add(simplifiedMesh);
+  });
+  result.updateMatrixWorld(true);
+
+  onProgress?.('measuring', 0);
+  const sourceVertices = concat(sourcePoints);
+  const vertices = concat(points);
+  const backward = measureDistances(sourceVertices, createSurfaceIndex(result));
+  onProgress?.('measuring', 0.5);
+  const forward = measureDistances(vertices, createSurfaceIndex(source));
+  onProgress?.('measuring', 1);
+
+  return {
+    object: result,
+    report: {
+      sourceFaces,
+      faces,
+      sourceVertices: sourceVertices.length / 3,
+      vertices: vertices.length / 3,
+      deviation: {
+        hausdorff: Math.max(forward.max, backward.max),
+        rms: backward.rms,
+      },
+    },
+  };
+}
+
+/**
+ * A decimated object as a binary STL File named after `sourceName`, with
+ * `unit` noted in the header so the file reads back at the same size.
+ */
+export function decimatedFile(object, sourceName, unit) {
+  const data = new STLExporter().parse(object, { binary: true });
+  const header = new TextEncoder().encode(`UNITS=${unit} decimated from ${sourceName}`).subarray(0, 80);
+  new Uint8Array(data.buffer, 0, 80).set(header);
+  const name = `${sourceName.replace(/\.[^.]+$/, '')}-decimated.stl`;
+  return new File([data.buffer], name, { type: 'model/stl' });
+}
@@ -0,0 +1,31 @@
+// lib/decimate.worker.js
+import { decimateObject } from './decimate';
+import { deserializeObject, serializeObject } from './serialization';
+
+// Collapses come by the thousand; only report whole percents
+const PROGRESS_STEP = 0.01;
+
+let lastReported = { phase: null, fraction: -1 };
+
+const reportProgress = (phase, fraction) => {
+  if (phase === lastReported.phase && fraction - lastReported.fraction < PROGRESS_STEP && fraction !== 1) {
+    return;
+  }
+  lastReported = { phase, fraction };
+  self.postMessage({ type: 'progress', phase, fraction });
+};
+
+self.onmessage = ({ data }) => {
+  const { model, options } = data;
+
+  try {
+    const { object, report } = decimateObject(deserializeObject(model), options, reportProgress);
+
+    const { data: result, transfer } = serializeObject(object, (done, total) => {
+      reportProgress('transferring', done / total);
+    });
+    self.postMessage({ type: 'result', model: result, report }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,95 @@
+// lib/decimateModel.js
+import { decimateObject } from './decimate';
+import { deserializeObject, serializeObject } from './serialization';
+
+// Share of the progress bar given to each phase; the collapses take most of the time
+const PHASE_RANGES = {
+  simplifying: [0, 80],
+  measuring: [80, 95],
+  transferring: [95, 100],
+};
+
+const toPercent = (phase, fraction) => {
+  const [from, to] = PHASE_RANGES[phase];
+  return from + (to - from) * fraction;
+};
+
+const cancelledError = () => {
+  const error = new Error('Simplifying was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const decimateInWorker = (object, options, onProgress) => {
+  const worker = new Worker(new URL('./decimate.worker.js', import.meta.url), { type: 'module' });
+  let rejectDecimation;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectDecimation = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.({ phase: data.phase, percent: toPercent(data.phase, data.fraction) });
+      } else if (data.type === 'result') {
+        worker.terminate();
+        resolve({ object: deserializeObject(data.model), report: data.report });
+      } else if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Simplification worker failed'));
+    };
+
+    // Posted without its transfer list, so the shown model keeps its buffers
+    worker.postMessage({ model: serializeObject(object).data, options });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    rejectDecimation(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+// Without workers the page blocks until it is done; cancelling only drops the result
+const decimateOnMainThread = (object, options, onProgress) => {
+  let cancelled = false;
+  let rejectDecimation;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectDecimation = reject;
+    setTimeout(() => {
+      try {
+        const result = decimateObject(object, options, (phase, fraction) => {
+          onProgress?.({ phase, percent: toPercent(phase, fraction) });
+        });
+        if (!cancelled) resolve(result);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    rejectDecimation(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Simplifies `object` (see `decimateObject`) off the main thread where
+ * workers are available. Returns `{ promise, cancel }`; the promise resolves
+ * with `{ object, report }` and rejects with an `AbortError` after `cancel()`.
+ */
+export function decimateModel(object, options, { onProgress } = {}) {
+  if (typeof Worker !== 'undefined') {
+    return decimateInWorker(object, options, onProgress);
+  }
+  return decimateOnMainThread(object, options, onProgress);
+}
@@ -0,0 +1,133 @@
+// lib/deviation.js
+import * as THREE from 'three';
+import { createSurfaceIndex } from './surfaceIndex';
+
+const DEFAULT_BINS = 20;
+
+const WITHIN_TOLERANCE_COLOR = new THREE.Color(0x22c55e);
+const ABOVE_COLOR = new THREE.Color(0xef4444);
+const BELOW_COLOR = new THREE.Color(0x3b82f6);
+
+/**
+ * Signed distance from every vertex of `source` to the nearest point on the
+ * surface of `reference`. Values are keyed by geometry uuid so the viewer can
+ * find them again on a cloned model (clones share their geometries).
+ */
+export function computeVertexDeviation(source, reference) {
+  const index = createSurfaceIndex(reference);
+  const values = new Map();
+  const vertex = new THREE.Vector3();
+  const closest = new THREE.Vector3();
+
+  source.updateMatrixWorld(true);
+  source.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes.position) return;
+
+    const position = child.geometry.attributes.position;
+    const distances = new Float32Array(position.count);
+
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld);
+      distances[i] = index.closestPoint(vertex, closest)?.signedDistance ?? 0;
+    }
+
+    values.set(child.geometry.uuid, distances);
+  });
+
+  return values;
+}
+
+export function summarizeDeviation(values, bins = DEFAULT_BINS) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  values.forEach((distances) => {
+    for (let i = 0; i < distances.length; i++) {
+      const d = distances[i];
+      if (d < min) min = d;
+      if (d > max) max = d;
+      sum += d;
+      sumSquares += d * d;
+      count++;
+    }
+  });
+
+  if (count === 0) {
+    return { min: 0, max: 0, mean: 0, rms: 0, maxAbs: 0, count: 0, histogram: [] };
+  }
+
+  const binWidth = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * binWidth,
+    to: min + (i + 1) * binWidth,
+    count: 0,
+  }));
+  values.forEach((distances) => {
+    for (let i = 0; i < distances.length; i++) {
+      histogram[Math.min(bins - 1, Math.floor((distances[i] - min) / binWidth))].count++;
+    }
+  });
+
+  return {
+    min,
+    max,
+    mean: sum / count,
+    rms: Math.sqrt(sumSquares / count),
+    maxAbs: Math.max(Math.abs(min), Math.abs(max)),
+    count,
+    histogram,
+  };
+}
+
+export function fractionWithinTolerance(values, tolerance) {
+  let inside = 0;
+  let count = 0;
+  values.forEach((distances) => {
+    for (let i = 0; i < distances.length; i++) {
+      if (Math.abs(distances[i]) <= tolerance) inside++;
+      count++;
+    }
+  });
+  return count ? inside / count : 1;
+}
+
+/**
+ * Two-way surface deviation between the original and the modified part.
+ * `forward` is modified → original, `reverse` is original → modified; the
+ * Hausdorff distance is the larger of the two one-sided maxima.
+ */
+export function computeDeviationAnalysis(original, modified, { bins = DEFAULT_BINS } = {}) {
+  const forwardValues = computeVertexDeviation(modified, original);
+  const reverseValues = computeVertexDeviation(original, modified);
+  const forward = summarizeDeviation(forwardValues, bins);
+  const reverse = summarizeDeviation(reverseValues, bins);
+
+  return {
+    values: {
+      original: reverseValues,
+      modified: forwardValues,
+    },
+    forward,
+    reverse,
+    hausdorff: Math.max(forward.maxAbs, reverse.maxAbs),
+  };
+}
+
+// Green inside the tolerance band, fading to red (above) or blue (below) at ±range
+export function deviationColor(value, range, tolerance, target = new THREE.Color()) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= tolerance || range <= tolerance) {
+    return target.copy(WITHIN_TOLERANCE_COLOR);
+  }
+  const t = Math.min(1, (magnitude - tolerance) / (range - tolerance));
+  return target.copy(WITHIN_TOLERANCE_COLOR).lerp(value > 0 ? ABOVE_COLOR : BELOW_COLOR, t);
+}
+
+export const DEVIATION_COLORS = {
+  within: `#${WITHIN_TOLERANCE_COLOR.getHexString()}`,
+  above: `#${ABOVE_COLOR.getHexString()}`,
+  below: `#${BELOW_COLOR.getHexString()}`,
+};
@@ -0,0 +1,46 @@
+// lib/displayModes.js
+
+export const DISPLAY_MODES = {
+  shaded: { label: 'Shaded', edges: false },
+  edges: { label: 'Shaded + edges', edges: true },
+  wireframe: { label: 'Wireframe', edges: false },
+  hiddenLine: { label: 'Hidden line', edges: true },
+  xray: { label: 'X-ray', edges: true },
+};
+
+export const DEFAULT_DISPLAY = {
+  mode: 'shaded',
+  flatShading: false,
+  showNormals: false,
+  // Edges between faces meeting at more than this many degrees count as features
+  creaseAngle: 30,
+};
+
+const STORAGE_PREFIX = 'cad-compare.display.';
+
+/**
+ * Display settings stored for the viewer `key`, falling back to the
+ * defaults for anything missing or unreadable.
+ */
+export function loadDisplaySettings(key) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key) ?? 'null');
+    if (!stored || !DISPLAY_MODES[stored.mode]) return DEFAULT_DISPLAY;
+    return {
+      mode: stored.mode,
+      flatShading: Boolean(stored.flatShading),
+      showNormals: Boolean(stored.showNormals),
+      creaseAngle: Number.isFinite(stored.creaseAngle) ? stored.creaseAngle : DEFAULT_DISPLAY.creaseAngle,
+    };
+  } catch {
+    return DEFAULT_DISPLAY;
+  }
+}
+
+export function saveDisplaySettings(key, settings) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not store display settings:', error.message);
+  }
+}
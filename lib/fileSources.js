@@ -0,0 +1,109 @@
+// lib/fileSources.js
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { getFileExtension, getFileFormat } from './formats';
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+export function isModelFile(name) {
+  return Boolean(getFileFormat(name));
+}
+
+export function isArchive(name) {
+  return getFileExtension(name) === 'zip';
+}
+
+// Keep the path inside the folder or archive so the picker can show it
+const withPath = (file, path) => {
+  Object.defineProperty(file, 'relativePath', { value: path });
+  return file;
+};
+
+const readDirectory = (directory) => new Promise((resolve, reject) => {
+  const reader = directory.createReader();
+  const entries = [];
+  // readEntries returns at most ~100 entries per call
+  const readBatch = () => reader.readEntries((batch) => {
+    if (batch.length === 0) {
+      resolve(entries);
+    } else {
+      entries.push(...batch);
+      readBatch();
+    }
+  }, reject);
+  readBatch();
+});
+
+const entryToFiles = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [withPath(file, entry.fullPath.replace(/^\//, ''))];
+  }
+  const children = await readDirectory(entry);
+  const nested = await Promise.all(children.map(entryToFiles));
+  return nested.flat();
+};
+
+/**
+ * Files from a drop event, with dropped folders expanded recursively.
+ * Returns `{ files, fromFolder }`.
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken synchronously, before the first await
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return { files: Array.from(dataTransfer.files || []), fromFolder: false };
+  }
+
+  const files = (await Promise.all(entries.map(entryToFiles))).flat();
+  return { files, fromFolder: entries.some(entry => entry.isDirectory) };
+}
+
+// Model files inside a ZIP archive, as File objects
+export async function expandArchive(file) {
+  const contents = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: entry => isModelFile(entry.name),
+  });
+  return Object.entries(contents).map(([path, data]) =>
+    withPath(new File([data], path.split('/').pop()), `${file.name}/${path}`));
+}
+
+// The last path segment, undecoded if it is not valid percent-encoding
+const fileNameFromUrl = (url) => {
+  const name = url.pathname.split('/').pop() || 'model';
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+};
+
+/**
+ * Downloads a model from a same-origin or local URL. Anything else is
+ * rejected up front rather than left to CORS. `signal` aborts the download.
+ */
+export async function fetchModelFile(value, { signal } = {}) {
+  let url;
+  try {
+    url = new URL(value, window.location.href);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+
+  const isLocal = url.origin === window.location.origin
+    || url.protocol === 'blob:'
+    || LOCAL_HOSTNAMES.includes(url.hostname);
+  if (!isLocal) {
+    throw new Error('Only same-origin or local URLs can be loaded');
+  }
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+  }
+
+  return new File([await response.blob()], fileNameFromUrl(url));
+}
@@ -0,0 +1,229 @@
+// lib/formats.js
+import * as THREE from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader';
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { parseCADFile } from './occt';
+import { parseUnitName, unitFromText } from './units';
+
+const meshFromGeometry = (geometry, name) => {
+  // Scanner output often carries per-vertex color; keep it when present
+  const material = new THREE.MeshPhongMaterial({
+    vertexColors: Boolean(geometry.attributes.color),
+  });
+  // Without vertex colors the file carries no appearance of its own
+  material.userData.generated = !geometry.attributes.color;
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  return mesh;
+};
+
+// Faces between progress reports while parsing binary STL
+const STL_PROGRESS_FACES = 1 << 16;
+
+// Binary STL read in a plain loop so it can report progress; the layout
+// matches STLLoader's (flat normals, non-indexed). Coloured variants and
+// ASCII files go to STLLoader, which parses in one call.
+const parseSTL = (content, onProgress) => {
+  const view = new DataView(content);
+  const faceCount = content.byteLength >= 84 ? view.getUint32(80, true) : -1;
+  if (84 + faceCount * 50 !== content.byteLength || /COLOR=/.test(headerText(content, 80))) {
+    onProgress?.(null);
+    return new STLLoader().parse(content);
+  }
+
+  const positions = new Float32Array(faceCount * 9);
+  const normals = new Float32Array(faceCount * 9);
+  for (let face = 0; face < faceCount; face++) {
+    const offset = 84 + face * 50;
+    for (let corner = 0; corner < 3; corner++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const i = face * 9 + corner * 3 + axis;
+        normals[i] = view.getFloat32(offset + axis * 4, true);
+        positions[i] = view.getFloat32(offset + 12 + corner * 12 + axis * 4, true);
+      }
+    }
+    if (face % STL_PROGRESS_FACES === 0) onProgress?.(face / faceCount);
+  }
+  onProgress?.(1);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  return geometry;
+};
+
+const parseGLTF = (content) => new Promise((resolve, reject) => {
+  new GLTFLoader().parse(content, '', (gltf) => resolve(gltf.scene), reject);
+});
+
+// Unit the file says it is in (see lib/units), if it says; read by handleFileLoad
+const declareUnit = (object, unit) => {
+  if (object && unit) object.userData.declaredUnit = unit;
+  return object;
+};
+
+const headerText = (content, length) => (
+  new TextDecoder().decode(new Uint8Array(content, 0, Math.min(length, content.byteLength)))
+);
+
+// 3MF states its unit on the <model> element, millimetres when absent
+const threeMFUnit = (content) => {
+  const files = unzipSync(new Uint8Array(content));
+  const modelPath = Object.keys(files).find(path => /^3D\/.*\.model$/i.test(path));
+  if (!modelPath) return null;
+  const match = /<model\b[^>]*\bunit="([^"]+)"/.exec(new TextDecoder().decode(files[modelPath]));
+  return match ? parseUnitName(match[1]) : 'mm';
+};
+
+/**
+ * Every supported input format. `read` is how the file has to be read
+ * (FileReader method suffix) and `parse(content, name, options, onProgress)`
+ * turns that content into an Object3D, which is the shape `handleFileLoad`
+ * expects. Parsers call `onProgress(fraction)` as they go, or
+ * `onProgress(null)` when their loader cannot tell how far it is.
+ * `worker: false` marks loaders that need DOM APIs (DOMParser, image
+ * decoding) and therefore have to run on the main thread.
+ */
+export const FILE_FORMATS = [
+  {
+    id: 'stl',
+    worker: true,
+    label: 'STL',
+    extensions: ['stl'],
+    read: 'ArrayBuffer',
+    // Some exporters note the unit in the 80-byte header or the "solid" line
+    parse: async (content, name, options, onProgress) => declareUnit(
+      meshFromGeometry(parseSTL(content, onProgress), name),
+      unitFromText(headerText(content, 80))
+    ),
+  },
+  {
+    id: 'obj',
+    worker: true,
+    label: 'OBJ',
+    extensions: ['obj'],
+    read: 'Text',
+    parse: async (content, name, options, onProgress) => {
+      onProgress?.(null);
+      const object = new OBJLoader().parse(content);
+      // Unnamed materials are the loader's stand-ins for a missing usemtl
+      object.traverse((child) => {
+        [child.material].flat().forEach((material) => {
+          if (material && !material.name) material.userData.generated = true;
+        });
+      });
+      const comments = content.split('\n', 100).filter(line => line.startsWith('#')).join('\n');
+      return declareUnit(object, unitFromText(comments));
+    },
+  },
+  {
+    id: 'gltf',
+    worker: false,
+    label: 'glTF/GLB',
+    extensions: ['glb', 'gltf'],
+    read: 'ArrayBuffer',
+    // glTF is always in metres
+    parse: async (content, name, options, onProgress) => {
+      onProgress?.(null);
+      return declareUnit(await parseGLTF(content), 'm');
+    },
+  },
+  {
+    id: 'ply',
+    worker: true,
+    label: 'PLY',
+    extensions: ['ply'],
+    read: 'ArrayBuffer',
+    parse: async (content, name, options, onProgress) => {
+      onProgress?.(null);
+      const geometry = new PLYLoader().parse(content);
+      if (!geometry.attributes.normal && geometry.index) {
+        geometry.computeVertexNormals();
+      }
+      const header = headerText(content, 1024).split('end_header')[0];
+      const comments = header.split('\n').filter(line => line.startsWith('comment')).join('\n');
+      return declareUnit(meshFromGeometry(geometry, name), unitFromText(comments));
+    },
+  },
+  {
+    id: '3mf',
+    worker: false,
+    label: '3MF',
+    extensions: ['3mf'],
+    read: 'ArrayBuffer',
+    parse: async (content, name, options, onProgress) => {
+      onProgress?.(null);
+      return declareUnit(new ThreeMFLoader().parse(content), threeMFUnit(content));
+    },
+  },
+  {
+    id: 'step',
+    worker: true,
+    label: 'STEP',
+    extensions: ['step', 'stp'],
+    read: 'ArrayBuffer',
+    // OpenCascade converts the file's own unit to millimetres
+    parse: async (content, name, options, onProgress) => declareUnit(
+      await parseCADFile('step', content, name, options?.tessellation, onProgress),
+      'mm'
+    ),
+  },
+  {
+    id: 'iges',
+    worker: true,
+    label: 'IGES',
+    extensions: ['iges', 'igs'],
+    read: 'ArrayBuffer',
+    parse: async (content, name, options, onProgress) => declareUnit(
+      await parseCADFile('iges', content, name, options?.tessellation, onProgress),
+      'mm'
+    ),
+  },
+];
+
+export const ACCEPTED_EXTENSIONS = FILE_FORMATS.flatMap(format => format.extensions.map(ext => `.${ext}`));
+
+export const ACCEPTED_FORMATS_LABEL = FILE_FORMATS.map(format => format.label).join(', ');
+
+export function getFileExtension(filename) {
+  return filename.split('.').pop().toLowerCase();
+}
+
+export function getFileFormat(filename) {
+  const extension = getFileExtension(filename);
+  return FILE_FORMATS.find(format => format.extensions.includes(extension)) || null;
+}
+
+// Parses already-read file content into an Object3D named after the file;
+// `onProgress` is passed on to the format's parser
+export async function parseModel(format, content, filename, options = {}, onProgress) {
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  const object = await format.parse(content, baseName, options, onProgress);
+  if (!object) {
+    throw new Error(`No geometry found in ${filename}`);
+  }
+  if (!object.name) {
+    object.name = baseName;
+  }
+  return object;
+}
+
+/**
+ * Parses a file outside the browser (API route, CLI). `read(kind)` returns
+ * the file's content as 'ArrayBuffer' or 'Text'. Formats whose loaders need
+ * the DOM are refused.
+ */
+export async function parseModelHeadless(filename, read, options = {}) {
+  const format = getFileFormat(filename);
+  if (!format) {
+    throw new Error(`Unsupported file format: ${filename}`);
+  }
+  if (!format.worker) {
+    throw new Error(`${format.label} files can only be compared in the browser`);
+  }
+  return parseModel(format, await read(format.read), filename, options);
+}
@@ -0,0 +1,108 @@
+// lib/loadModelFile.js
+import { parseModel } from './formats';
+import { deserializeObject } from './serialization';
+
+// Share of the progress bar given to each phase; reading is the slow part on disk,
+// parsing dominates for STEP/IGES
+const PHASE_RANGES = {
+  reading: [0, 40],
+  parsing: [40, 90],
+  transferring: [90, 100],
+};
+
+// null while the phase cannot tell how far it is
+const toPercent = (phase, loaded, total) => {
+  if (loaded === null) return null;
+  const [from, to] = PHASE_RANGES[phase];
+  return from + (to - from) * (total ? loaded / total : 0);
+};
+
+// Same name fetch() uses for aborted requests, so callers can check error.name
+const cancelledError = () => {
+  const error = new Error('Loading was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const loadInWorker = (file, format, options, onProgress) => {
+  const worker = new Worker(new URL('./parser.worker.js', import.meta.url), { type: 'module' });
+  let rejectLoad;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectLoad = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.({ phase: data.phase, percent: toPercent(data.phase, data.loaded, data.total) });
+      } else if (data.type === 'result') {
+        worker.terminate();
+        resolve(deserializeObject(data.model));
+      } else if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Parser worker failed'));
+    };
+
+    worker.postMessage({ file, formatId: format.id, options });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    rejectLoad(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+// Formats whose loaders need the DOM; reading still reports byte progress
+const loadOnMainThread = (file, format, options, onProgress) => {
+  const reader = new FileReader();
+  let cancelled = false;
+  let rejectLoad;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectLoad = reject;
+
+    reader.onprogress = (event) => {
+      onProgress?.({ phase: 'reading', percent: toPercent('reading', event.loaded, event.total) });
+    };
+    reader.onerror = () => reject(new Error('Error reading file'));
+    reader.onload = async (e) => {
+      try {
+        const object = await parseModel(format, e.target.result, file.name, options, (fraction) => {
+          onProgress?.({ phase: 'parsing', percent: toPercent('parsing', fraction, 1) });
+        });
+        if (!cancelled) resolve(object);
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    reader[`readAs${format.read}`](file);
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    if (reader.readyState === FileReader.LOADING) reader.abort();
+    rejectLoad(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Reads and parses `file` off the main thread where the format allows it.
+ * Returns `{ promise, cancel }`; the promise resolves with an Object3D and
+ * rejects with an `AbortError` after `cancel()`. `onProgress` gets
+ * `{ phase, percent }`, with a null percent while parsing cannot be measured.
+ */
+export function loadModelFile(file, format, { options, onProgress } = {}) {
+  if (format.worker && typeof Worker !== 'undefined') {
+    return loadInWorker(file, format, options, onProgress);
+  }
+  return loadOnMainThread(file, format, options, onProgress);
+}
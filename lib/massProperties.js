@@ -0,0 +1,144 @@
+// lib/massProperties.js
+import * as THREE from 'three';
+import { collectTriangles } from './surfaceIndex';
+import { symmetricEigen } from './alignment';
+
+// Polynomial subexpressions of Eberly's polyhedral mass properties algorithm
+const subexpressions = (w0, w1, w2) => {
+  const temp0 = w0 + w1;
+  const f1 = temp0 + w2;
+  const temp1 = w0 * w0;
+  const temp2 = temp1 + w1 * temp0;
+  const f2 = temp2 + w2 * f1;
+  const f3 = w0 * temp1 + w1 * temp2 + w2 * f2;
+  return {
+    f1,
+    f2,
+    f3,
+    g0: f2 + w0 * (f1 + w0),
+    g1: f2 + w1 * (f1 + w1),
+    g2: f2 + w2 * (f1 + w2),
+  };
+};
+
+/**
+ * Geometric volume integrals of the closed triangle mesh(es) under `object`,
+ * in its world space: volume, centroid and the unit-density inertia tensor
+ * about the centroid (array of rows). Independent of the material, so it can
+ * be computed once per model. Returns `null` for meshes enclosing no volume.
+ */
+export function computeVolumeIntegrals(object) {
+  const triangles = collectTriangles(object);
+  if (triangles.length === 0) return null;
+
+  // Integrate relative to the bounding box centre; far-off models lose precision otherwise
+  const bounds = new THREE.Box3();
+  const point = new THREE.Vector3();
+  for (let i = 0; i < triangles.length; i += 3) {
+    bounds.expandByPoint(point.fromArray(triangles, i));
+  }
+  const reference = bounds.getCenter(new THREE.Vector3());
+
+  // 1, x, y, z, x², y², z², xy, yz, zx
+  const integral = new Float64Array(10);
+  const p = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const e1 = new THREE.Vector3();
+  const e2 = new THREE.Vector3();
+  const d = new THREE.Vector3();
+
+  for (let t = 0; t < triangles.length; t += 9) {
+    for (let k = 0; k < 3; k++) p[k].fromArray(triangles, t + k * 3).sub(reference);
+    d.crossVectors(e1.subVectors(p[1], p[0]), e2.subVectors(p[2], p[0]));
+
+    const x = subexpressions(p[0].x, p[1].x, p[2].x);
+    const y = subexpressions(p[0].y, p[1].y, p[2].y);
+    const z = subexpressions(p[0].z, p[1].z, p[2].z);
+
+    integral[0] += d.x * x.f1;
+    integral[1] += d.x * x.f2;
+    integral[2] += d.y * y.f2;
+    integral[3] += d.z * z.f2;
+    integral[4] += d.x * x.f3;
+    integral[5] += d.y * y.f3;
+    integral[6] += d.z * z.f3;
+    integral[7] += d.x * (p[0].y * x.g0 + p[1].y * x.g1 + p[2].y * x.g2);
+    integral[8] += d.y * (p[0].z * y.g0 + p[1].z * y.g1 + p[2].z * y.g2);
+    integral[9] += d.z * (p[0].x * z.g0 + p[1].x * z.g1 + p[2].x * z.g2);
+  }
+
+  const factors = [1 / 6, 1 / 24, 1 / 24, 1 / 24, 1 / 60, 1 / 60, 1 / 60, 1 / 120, 1 / 120, 1 / 120];
+  // Inward-facing winding flips every integral's sign, not the solid
+  const sign = integral[0] < 0 ? -1 : 1;
+  const [volume, mx, my, mz, xx, yy, zz, xy, yz, zx] = Array.from(integral, (value, i) => value * factors[i] * sign);
+
+  const size = bounds.getSize(new THREE.Vector3());
+  if (volume <= size.x * size.y * size.z * 1e-12) return null;
+
+  const cx = mx / volume;
+  const cy = my / volume;
+  const cz = mz / volume;
+
+  return {
+    volume,
+    centroid: [reference.x + cx, reference.y + cy, reference.z + cz],
+    // Parallel-axis shift from the reference point to the centroid
+    inertia: [
+      [yy + zz - volume * (cy * cy + cz * cz), -(xy - volume * cx * cy), -(zx - volume * cz * cx)],
+      [-(xy - volume * cx * cy), xx + zz - volume * (cx * cx + cz * cz), -(yz - volume * cy * cz)],
+      [-(zx - volume * cz * cx), -(yz - volume * cy * cz), xx + yy - volume * (cx * cx + cy * cy)],
+    ],
+  };
+}
+
+/**
+ * Mass properties for a uniform `density` in g/cm³, with the model in mm:
+ * mass in g, centre of mass in mm and inertia tensors in g·mm², about the
+ * centre of mass and about the origin. Principal moments are sorted in
+ * descending order; `principalAxes[i]` is the unit axis of moment `i`.
+ */
+export function computeMassProperties(integrals, density) {
+  if (!integrals) return null;
+
+  // g/cm³ → g/mm³
+  const scale = density / 1000;
+  const mass = integrals.volume * scale;
+  const [cx, cy, cz] = integrals.centroid;
+  const inertiaCom = integrals.inertia.map(row => row.map(value => value * scale));
+  const inertiaOrigin = [
+    [inertiaCom[0][0] + mass * (cy * cy + cz * cz), inertiaCom[0][1] - mass * cx * cy, inertiaCom[0][2] - mass * cx * cz],
+    [inertiaCom[1][0] - mass * cy * cx, inertiaCom[1][1] + mass * (cx * cx + cz * cz), inertiaCom[1][2] - mass * cy * cz],
+    [inertiaCom[2][0] - mass * cz * cx, inertiaCom[2][1] - mass * cz * cy, inertiaCom[2][2] + mass * (cx * cx + cy * cy)],
+  ];
+
+  const { values, vectors } = symmetricEigen(inertiaCom);
+  const principalAxes = [0, 1, 2].map(i => new THREE.Vector3(vectors[0][i], vectors[1][i], vectors[2][i]).normalize());
+  // Right-handed frame, so the axes can be drawn or used as a rotation
+  if (principalAxes[0].clone().cross(principalAxes[1]).dot(principalAxes[2]) < 0) principalAxes[2].negate();
+
+  return {
+    mass,
+    volume: integrals.volume,
+    centerOfMass: [cx, cy, cz],
+    inertiaCom,
+    inertiaOrigin,
+    principalMoments: values,
+    principalAxes: principalAxes.map(axis => axis.toArray()),
+  };
+}
+
+/**
+ * Original → modified changes: centre-of-mass shift (mm), and the percentage
+ * change of each principal moment.
+ */
+export function compareMassProperties(original, modified) {
+  if (!original || !modified) return null;
+
+  const shift = modified.centerOfMass.map((value, i) => value - original.centerOfMass[i]);
+  const percent = (b, a) => (a === 0 ? 0 : ((b - a) / a) * 100);
+  return {
+    centerOfMassShift: shift,
+    centerOfMassDistance: Math.hypot(...shift),
+    principalMomentsDiff: modified.principalMoments.map((value, i) => percent(value, original.principalMoments[i])),
+    inertiaComDelta: modified.inertiaCom.map((row, i) => row.map((value, j) => value - original.inertiaCom[i][j])),
+  };
+}
@@ -0,0 +1,262 @@
+// lib/materials.js
+
+// Engineering properties every library material carries, with the units they are stored in
+export const MATERIAL_PROPERTIES = {
+  density: {
+    name: 'Density',
+    defaultValue: 1.0,
+    unit: 'g/cm³',
+    range: [0.1, 25]
+  },
+  elasticModulus: {
+    name: 'Elastic Modulus',
+    defaultValue: 200,
+    unit: 'GPa',
+    range: [0.001, 1000]
+  },
+  yieldStrength: {
+    name: 'Yield Strength',
+    defaultValue: 250,
+    unit: 'MPa',
+    range: [1, 3000]
+  },
+  poissonRatio: {
+    name: "Poisson's Ratio",
+    defaultValue: 0.3,
+    unit: '',
+    range: [0, 0.5]
+  },
+  thermalConductivity: {
+    name: 'Thermal Conductivity',
+    defaultValue: 50,
+    unit: 'W/(m·K)',
+    range: [0.01, 500]
+  },
+  costPerKg: {
+    name: 'Cost',
+    defaultValue: 5,
+    unit: 'USD/kg',
+    range: [0, 10000]
+  },
+  metallic: {
+    name: 'Metallic',
+    defaultValue: 0.5,
+    unit: '',
+    range: [0, 1]
+  },
+  roughness: {
+    name: 'Roughness',
+    defaultValue: 0.5,
+    unit: '',
+    range: [0, 1]
+  }
+};
+
+export const DEFAULT_MATERIAL = {
+  id: null,
+  name: 'Default Material',
+  category: 'Generic',
+  color: '#cccccc',
+  ...Object.fromEntries(Object.entries(MATERIAL_PROPERTIES).map(([key, { defaultValue }]) => [key, defaultValue]))
+};
+
+// Typical room-temperature datasheet values; cost is a rough bar-stock or pellet/powder price
+export const MATERIAL_PRESETS = [
+  {
+    id: 'al-6061-t6', name: 'Aluminium 6061-T6', category: 'Aluminium', color: '#c0c4c8',
+    density: 2.70, elasticModulus: 68.9, yieldStrength: 276, poissonRatio: 0.33,
+    thermalConductivity: 167, costPerKg: 4, metallic: 1, roughness: 0.4
+  },
+  {
+    id: 'al-7075-t6', name: 'Aluminium 7075-T6', category: 'Aluminium', color: '#b8bcc2',
+    density: 2.81, elasticModulus: 71.7, yieldStrength: 503, poissonRatio: 0.33,
+    thermalConductivity: 130, costPerKg: 7, metallic: 1, roughness: 0.4
+  },
+  {
+    id: 'steel-1018', name: 'Steel 1018', category: 'Steel', color: '#8a8d91',
+    density: 7.87, elasticModulus: 205, yieldStrength: 370, poissonRatio: 0.29,
+    thermalConductivity: 51.9, costPerKg: 1.5, metallic: 1, roughness: 0.5
+  },
+  {
+    id: 'ss-304', name: 'Stainless Steel 304', category: 'Steel', color: '#a8abb0',
+    density: 8.00, elasticModulus: 193, yieldStrength: 215, poissonRatio: 0.29,
+    thermalConductivity: 16.2, costPerKg: 4, metallic: 1, roughness: 0.3
+  },
+  {
+    id: 'ss-316l', name: 'Stainless Steel 316L', category: 'Steel', color: '#a3a7ad',
+    density: 8.00, elasticModulus: 193, yieldStrength: 170, poissonRatio: 0.30,
+    thermalConductivity: 16.3, costPerKg: 5.5, metallic: 1, roughness: 0.3
+  },
+  {
+    id: 'ti-6al-4v', name: 'Titanium Ti-6Al-4V', category: 'Titanium', color: '#9a9690',
+    density: 4.43, elasticModulus: 113.8, yieldStrength: 880, poissonRatio: 0.342,
+    thermalConductivity: 6.7, costPerKg: 30, metallic: 1, roughness: 0.45
+  },
+  {
+    id: 'brass-c360', name: 'Brass C360', category: 'Copper alloys', color: '#c9a54a',
+    density: 8.50, elasticModulus: 97, yieldStrength: 310, poissonRatio: 0.31,
+    thermalConductivity: 115, costPerKg: 7, metallic: 1, roughness: 0.35
+  },
+  {
+    id: 'abs', name: 'ABS', category: 'Plastics', color: '#e8e4d8',
+    density: 1.04, elasticModulus: 2.3, yieldStrength: 40, poissonRatio: 0.35,
+    thermalConductivity: 0.17, costPerKg: 3, metallic: 0, roughness: 0.6
+  },
+  {
+    id: 'pa12', name: 'Nylon PA12', category: 'Plastics', color: '#f2f0ea',
+    density: 1.01, elasticModulus: 1.7, yieldStrength: 48, poissonRatio: 0.40,
+    thermalConductivity: 0.23, costPerKg: 60, metallic: 0, roughness: 0.8
+  },
+  {
+    id: 'pla', name: 'PLA', category: 'Plastics', color: '#f5f5f0',
+    density: 1.24, elasticModulus: 3.5, yieldStrength: 60, poissonRatio: 0.36,
+    thermalConductivity: 0.13, costPerKg: 25, metallic: 0, roughness: 0.5
+  },
+  {
+    id: 'pc', name: 'Polycarbonate', category: 'Plastics', color: '#dfe6ea',
+    density: 1.20, elasticModulus: 2.4, yieldStrength: 62, poissonRatio: 0.37,
+    thermalConductivity: 0.20, costPerKg: 4, metallic: 0, roughness: 0.3
+  },
+  {
+    id: 'pom', name: 'Acetal (POM)', category: 'Plastics', color: '#f4f4f2',
+    density: 1.41, elasticModulus: 2.9, yieldStrength: 65, poissonRatio: 0.35,
+    thermalConductivity: 0.31, costPerKg: 3.5, metallic: 0, roughness: 0.45
+  },
+  {
+    id: 'peek', name: 'PEEK', category: 'Plastics', color: '#c9b48a',
+    density: 1.30, elasticModulus: 3.6, yieldStrength: 100, poissonRatio: 0.38,
+    thermalConductivity: 0.25, costPerKg: 100, metallic: 0, roughness: 0.5
+  }
+];
+
+export const MATERIAL_LIBRARY_FORMAT = 'cad-material-library';
+export const MATERIAL_LIBRARY_VERSION = 1;
+const STORAGE_KEY = 'cad-compare.customMaterials';
+
+/**
+ * A part's material: the library entry it is assigned to (or the default
+ * material) with any per-property overrides applied on top.
+ */
+export function resolveMaterial(assignment, library) {
+  const base = library.find(material => material.id === assignment.presetId) ?? DEFAULT_MATERIAL;
+  return {
+    ...base,
+    ...assignment.overrides,
+    presetId: base.id,
+    overridden: Object.keys(assignment.overrides)
+  };
+}
+
+const slugify = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Checks one imported or user-created material and fills in anything
+ * missing from the default material. Throws if it cannot be used.
+ */
+export function normalizeMaterial(material) {
+  if (!material || typeof material.name !== 'string' || !material.name.trim()) {
+    throw new Error('Every material needs a name');
+  }
+
+  const normalized = {
+    id: typeof material.id === 'string' && material.id ? material.id : `custom-${slugify(material.name)}`,
+    name: material.name.trim(),
+    category: typeof material.category === 'string' && material.category ? material.category : 'Custom',
+    color: /^#[0-9a-f]{6}$/i.test(material.color) ? material.color : DEFAULT_MATERIAL.color
+  };
+  Object.entries(MATERIAL_PROPERTIES).forEach(([key, { name, range }]) => {
+    const value = material[key] ?? DEFAULT_MATERIAL[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+      throw new Error(`${normalized.name}: ${name} must be a number between ${range[0]} and ${range[1]}`);
+    }
+    normalized[key] = value;
+  });
+  return normalized;
+}
+
+// The raw entries of an exported library (or a bare array of materials)
+const readMaterialEntries = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Material library is not valid JSON');
+  }
+
+  const materials = Array.isArray(data) ? data : data?.materials;
+  if (!Array.isArray(materials)) {
+    throw new Error('Material library must contain a "materials" array');
+  }
+  if (!Array.isArray(data) && data.version > MATERIAL_LIBRARY_VERSION) {
+    throw new Error(`Material library version ${data.version} is newer than this app supports`);
+  }
+  return materials;
+};
+
+/**
+ * Parses an exported library (or a bare array of materials) into materials
+ * ready to be added to the custom library.
+ */
+export function parseMaterialLibrary(text) {
+  return readMaterialEntries(text).map(normalizeMaterial);
+}
+
+export function serializeMaterialLibrary(materials) {
+  return JSON.stringify({
+    format: MATERIAL_LIBRARY_FORMAT,
+    version: MATERIAL_LIBRARY_VERSION,
+    materials
+  }, null, 2);
+}
+
+/**
+ * Custom materials survive reloads in localStorage. A broken entry is dropped
+ * on its own; null means the stored library could not be read at all and
+ * must not be saved over.
+ */
+export function loadCustomMaterials() {
+  let entries;
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    entries = stored ? readMaterialEntries(stored) : [];
+  } catch (error) {
+    console.warn('Ignoring stored custom materials:', error.message);
+    return null;
+  }
+
+  return entries.flatMap((entry) => {
+    try {
+      return [normalizeMaterial(entry)];
+    } catch (error) {
+      console.warn('Dropping stored custom material:', error.message);
+      return [];
+    }
+  });
+}
+
+export function saveCustomMaterials(materials) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, serializeMaterialLibrary(materials));
+  } catch (error) {
+    console.warn('Could not store custom materials:', error.message);
+  }
+}
+
+/**
+ * Adds `materials` to `existing`, replacing entries with the same id. Ids
+ * that clash with a built-in preset are suffixed so presets stay intact.
+ */
+export function mergeMaterials(existing, materials) {
+  const merged = [...existing];
+  materials.forEach((material) => {
+    const id = MATERIAL_PRESETS.some(preset => preset.id === material.id) ? `${material.id}-custom` : material.id;
+    const entry = { ...material, id };
+    const index = merged.findIndex(candidate => candidate.id === id);
+    if (index >= 0) {
+      merged[index] = entry;
+    } else {
+      merged.push(entry);
+    }
+  });
+  return merged;
+}
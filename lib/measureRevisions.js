@@ -0,0 +1,101 @@
+// lib/measureRevisions.js
+import { measureRevisionDeviation } from './compare';
+import { serializeObject } from './serialization';
+
+const cancelledError = () => {
+  const error = new Error('Measuring revisions was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const reportFailure = (revision, message) => {
+  console.error(`Deviation analysis error for revision ${revision.label}:`, message);
+};
+
+const measureInWorker = (original, revisions, autoAlign, onResult) => {
+  const worker = new Worker(new URL('./revisionDeviation.worker.js', import.meta.url), { type: 'module' });
+  let rejectMeasuring;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectMeasuring = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'result') {
+        if (data.message) reportFailure(revisions.find(({ key }) => key === data.key), data.message);
+        onResult?.(data.key, data.deviation);
+      } else if (data.type === 'done') {
+        worker.terminate();
+        resolve();
+      } else if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Revision measuring worker failed'));
+    };
+
+    // Posted without transfer lists, so the shown models keep their buffers
+    worker.postMessage({
+      original: serializeObject(original).data,
+      revisions: revisions.map(({ key, model }) => ({ key, model: serializeObject(model).data })),
+      autoAlign,
+    });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    rejectMeasuring(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+// Without workers one revision is measured per task, so the page stays responsive in between
+const measureOnMainThread = (original, revisions, autoAlign, onResult) => {
+  let cancelled = false;
+  let rejectMeasuring;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectMeasuring = reject;
+    const measureNext = (index) => {
+      if (cancelled) return;
+      if (index === revisions.length) {
+        resolve();
+        return;
+      }
+      const revision = revisions[index];
+      let deviation = null;
+      try {
+        deviation = measureRevisionDeviation(original, revision.model, autoAlign);
+      } catch (error) {
+        reportFailure(revision, error.message);
+      }
+      onResult?.(revision.key, deviation);
+      setTimeout(() => measureNext(index + 1));
+    };
+    setTimeout(() => measureNext(0));
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    rejectMeasuring(cancelledError());
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Measures how far each of `revisions` ([{ key, label, model }]) deviates from
+ * `original`, off the main thread where workers are available. `onResult(key,
+ * deviation)` is called as each revision is done, with null when it failed.
+ * Returns `{ promise, cancel }`; the promise rejects with an `AbortError`
+ * after `cancel()`.
+ */
+export function measureRevisions(original, revisions, { autoAlign, onResult } = {}) {
+  if (typeof Worker !== 'undefined') {
+    return measureInWorker(original, revisions, autoAlign, onResult);
+  }
+  return measureOnMainThread(original, revisions, autoAlign, onResult);
+}
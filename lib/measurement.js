@@ -0,0 +1,147 @@
+// lib/measurement.js
+import * as THREE from 'three';
+import { DEFAULT_UNIT, convertFromMillimetres, unitLabels } from './units';
+
+// Picks closer than this (in screen pixels) to a feature snap onto it
+export const SNAP_DISTANCE_PX = 12;
+
+export const MEASUREMENT_MODES = {
+  distance: { label: 'Distance', picks: 2 },
+  angle: { label: 'Angle (3 points)', picks: 3 },
+  faceAngle: { label: 'Angle (2 faces)', picks: 2 },
+  radius: { label: 'Radius (3 points)', picks: 3 },
+};
+
+/**
+ * Snap candidates for a raycast hit: the triangle's corners, edge midpoints
+ * and centre, in world space.
+ */
+export function snapCandidates(intersection) {
+  const { object, face } = intersection;
+  const position = object.geometry.attributes.position;
+  const corners = [face.a, face.b, face.c].map(index =>
+    object.localToWorld(new THREE.Vector3().fromBufferAttribute(position, index)));
+
+  return [
+    ...corners.map(point => ({ point, kind: 'vertex' })),
+    ...[[0, 1], [1, 2], [2, 0]].map(([i, j]) => ({
+      point: corners[i].clone().add(corners[j]).multiplyScalar(0.5),
+      kind: 'edge midpoint',
+    })),
+    {
+      point: corners[0].clone().add(corners[1]).add(corners[2]).divideScalar(3),
+      kind: 'face center',
+    },
+  ];
+}
+
+/**
+ * Picks the snap candidate closest to the cursor on screen, or the raw hit
+ * point if none is within `SNAP_DISTANCE_PX`. Returns a world-space point.
+ */
+export function snapPoint(intersection, camera, viewportWidth, viewportHeight) {
+  const toScreen = (point) => {
+    const ndc = point.clone().project(camera);
+    return new THREE.Vector2((ndc.x + 1) * viewportWidth / 2, (1 - ndc.y) * viewportHeight / 2);
+  };
+  const cursor = toScreen(intersection.point);
+
+  let best = { point: intersection.point.clone(), kind: 'surface' };
+  let bestDistance = SNAP_DISTANCE_PX;
+  snapCandidates(intersection).forEach((candidate) => {
+    const distance = toScreen(candidate.point).distanceTo(cursor);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = candidate;
+    }
+  });
+  return best;
+}
+
+export function measureAngle(a, vertex, c) {
+  const u = a.clone().sub(vertex);
+  const v = c.clone().sub(vertex);
+  return THREE.MathUtils.radToDeg(u.angleTo(v));
+}
+
+// Dihedral-style angle between two picked faces, from their normals
+export function measureFaceAngle(normalA, normalB) {
+  return THREE.MathUtils.radToDeg(normalA.angleTo(normalB));
+}
+
+/**
+ * Circle through three points. Returns `null` when they are (nearly)
+ * collinear and no unique circle exists.
+ */
+export function circleFromThreePoints(a, b, c) {
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const normal = ab.clone().cross(ac);
+  const normalLengthSq = normal.lengthSq();
+  if (normalLengthSq < 1e-12 * ab.lengthSq() * ac.lengthSq()) {
+    return null;
+  }
+
+  // Circumcentre relative to a
+  const offset = normal.clone().cross(ab).multiplyScalar(ac.lengthSq())
+    .add(ac.clone().cross(normal).multiplyScalar(ab.lengthSq()))
+    .divideScalar(2 * normalLengthSq);
+
+  return {
+    center: a.clone().add(offset),
+    radius: offset.length(),
+    normal: normal.normalize(),
+  };
+}
+
+// Closed polyline approximating a circle, for drawing a fitted radius
+export function circlePoints({ center, radius, normal }, segments = 64) {
+  const u = new THREE.Vector3().crossVectors(normal, Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0)).normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  return Array.from({ length: segments + 1 }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2;
+    return center.clone()
+      .addScaledVector(u, Math.cos(angle) * radius)
+      .addScaledVector(v, Math.sin(angle) * radius);
+  });
+}
+
+/**
+ * Turns completed picks into a measurement. Pick points and normals must be
+ * in model space so the values come out in the model's own units.
+ */
+export function createMeasurement(mode, picks) {
+  const points = picks.map(pick => pick.point);
+
+  switch (mode) {
+    case 'distance':
+      return { type: mode, points, value: points[0].distanceTo(points[1]) };
+    case 'angle':
+      return { type: mode, points, value: measureAngle(points[0], points[1], points[2]) };
+    case 'faceAngle':
+      return { type: mode, points, value: measureFaceAngle(picks[0].normal, picks[1].normal) };
+    case 'radius': {
+      const circle = circleFromThreePoints(points[0], points[1], points[2]);
+      if (!circle) {
+        throw new Error('The three points are collinear; pick points around the arc');
+      }
+      return { type: mode, points, value: circle.radius, circle };
+    }
+    default:
+      throw new Error(`Unknown measurement mode: ${mode}`);
+  }
+}
+
+// Label for a measurement taken in mm, with lengths shown in `unit` (see lib/units)
+export function formatMeasurement(measurement, unit = DEFAULT_UNIT) {
+  const length = convertFromMillimetres(measurement.value, 'length', unit);
+  const { length: label } = unitLabels(unit);
+  switch (measurement.type) {
+    case 'distance':
+      return `${length.toFixed(3)} ${label}`;
+    case 'radius':
+      return `R ${length.toFixed(3)} ${label} (⌀ ${(length * 2).toFixed(3)})`;
+    default:
+      return `${measurement.value.toFixed(2)}°`;
+  }
+}
@@ -0,0 +1,227 @@
+// lib/meshIntegrity.js
+import * as THREE from 'three';
+import { getTriangleIndices, weldVertices, WELD_TOLERANCE } from './meshMetrics';
+
+// Locations kept per issue kind; enough to highlight, bounded for huge meshes
+const MAX_LOCATIONS = 2000;
+
+export const ISSUE_KINDS = {
+  boundaryLoops: { label: 'Open boundary loops', severity: 'error' },
+  nonManifoldEdges: { label: 'Non-manifold edges', severity: 'error' },
+  nonManifoldVertices: { label: 'Non-manifold vertices', severity: 'error' },
+  inconsistentWinding: { label: 'Inconsistent winding', severity: 'error' },
+  zeroAreaFaces: { label: 'Zero-area triangles', severity: 'warning' },
+  duplicateVertices: { label: 'Duplicate vertices', severity: 'info' },
+  shells: { label: 'Disconnected shells', severity: 'info' },
+};
+
+const createUnionFind = (size) => {
+  const parent = new Int32Array(size);
+  for (let i = 0; i < size; i++) parent[i] = i;
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[ra] = rb;
+  };
+  return { find, union };
+};
+
+const createIssues = () => Object.fromEntries(
+  Object.keys(ISSUE_KINDS).map(kind => [kind, { count: 0, points: [], segments: [] }])
+);
+
+const pushLocation = (list, ...coordinates) => {
+  if (list.length / coordinates.length < MAX_LOCATIONS) list.push(...coordinates);
+};
+
+const analyzeMesh = (mesh, issues) => {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  const indices = getTriangleIndices(geometry);
+  const matrix = mesh.matrixWorld;
+  const triangleCount = indices.length / 3;
+
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const diagonal = geometry.boundingBox.clone().applyMatrix4(matrix).getSize(new THREE.Vector3()).length() || 1;
+  const weldIds = weldVertices(position, matrix, diagonal * WELD_TOLERANCE);
+
+  // World-space position of each welded vertex
+  const welded = new Map();
+  const firstVertex = new Map();
+  const otherAttributes = Object.entries(geometry.attributes)
+    .filter(([name]) => name !== 'position')
+    .map(([, attribute]) => attribute);
+  // Hard edges and UV seams legitimately split a vertex to carry a second normal or UV
+  const isSplitOnPurpose = (i, j) => otherAttributes.some(attribute => {
+    for (let c = 0; c < attribute.itemSize; c++) {
+      if (attribute.getComponent(i, c) !== attribute.getComponent(j, c)) return true;
+    }
+    return false;
+  });
+
+  for (let i = 0; i < position.count; i++) {
+    if (!welded.has(weldIds[i])) {
+      welded.set(weldIds[i], new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(matrix));
+      firstVertex.set(weldIds[i], i);
+    } else if (geometry.index && !isSplitOnPurpose(i, firstVertex.get(weldIds[i]))) {
+      // Only indexed formats could have shared the vertex in the first place
+      issues.duplicateVertices.count++;
+      const p = welded.get(weldIds[i]);
+      pushLocation(issues.duplicateVertices.points, p.x, p.y, p.z);
+    }
+  }
+
+  const area = new THREE.Triangle();
+  const minArea = (diagonal * 1e-9) ** 2;
+  const valid = new Uint8Array(triangleCount);
+  const edges = new Map();
+
+  for (let t = 0; t < triangleCount; t++) {
+    const corners = [weldIds[indices[t * 3]], weldIds[indices[t * 3 + 1]], weldIds[indices[t * 3 + 2]]];
+    area.set(welded.get(corners[0]), welded.get(corners[1]), welded.get(corners[2]));
+
+    if (corners[0] === corners[1] || corners[1] === corners[2] || corners[2] === corners[0] || area.getArea() <= minArea) {
+      issues.zeroAreaFaces.count++;
+      const c = area.getMidpoint(new THREE.Vector3());
+      pushLocation(issues.zeroAreaFaces.points, c.x, c.y, c.z);
+      continue;
+    }
+    valid[t] = 1;
+
+    for (let k = 0; k < 3; k++) {
+      const from = corners[k];
+      const to = corners[(k + 1) % 3];
+      const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { a: Math.min(from, to), b: Math.max(from, to), triangles: [], direction: 0 };
+        edges.set(key, edge);
+      }
+      edge.triangles.push(t);
+      // Two well-oriented neighbours walk a shared edge in opposite directions
+      edge.direction += from < to ? 1 : -1;
+    }
+  }
+
+  const shells = createUnionFind(triangleCount);
+  // One node per triangle corner; corners around a vertex joined across manifold edges form its fans
+  const corners = createUnionFind(triangleCount * 3);
+  const cornerOf = (t, vertex) => {
+    for (let k = 0; k < 3; k++) {
+      if (weldIds[indices[t * 3 + k]] === vertex) return t * 3 + k;
+    }
+    return -1;
+  };
+  const boundaryAdjacency = new Map();
+
+  edges.forEach((edge) => {
+    const pa = welded.get(edge.a);
+    const pb = welded.get(edge.b);
+    const uses = edge.triangles.length;
+
+    if (uses === 1) {
+      pushLocation(issues.boundaryLoops.segments, pa.x, pa.y, pa.z, pb.x, pb.y, pb.z);
+      [[edge.a, edge.b], [edge.b, edge.a]].forEach(([from, to]) => {
+        if (!boundaryAdjacency.has(from)) boundaryAdjacency.set(from, []);
+        boundaryAdjacency.get(from).push(to);
+      });
+    } else if (uses > 2) {
+      issues.nonManifoldEdges.count++;
+      pushLocation(issues.nonManifoldEdges.segments, pa.x, pa.y, pa.z, pb.x, pb.y, pb.z);
+    } else {
+      const [t1, t2] = edge.triangles;
+      if (edge.direction !== 0) {
+        issues.inconsistentWinding.count++;
+        pushLocation(issues.inconsistentWinding.segments, pa.x, pa.y, pa.z, pb.x, pb.y, pb.z);
+      }
+      corners.union(cornerOf(t1, edge.a), cornerOf(t2, edge.a));
+      corners.union(cornerOf(t1, edge.b), cornerOf(t2, edge.b));
+    }
+
+    for (let i = 1; i < uses; i++) shells.union(edge.triangles[0], edge.triangles[i]);
+  });
+
+  // Each connected chain of boundary edges is one hole
+  const seen = new Set();
+  boundaryAdjacency.forEach((_, start) => {
+    if (seen.has(start)) return;
+    issues.boundaryLoops.count++;
+    const stack = [start];
+    while (stack.length) {
+      const vertex = stack.pop();
+      if (seen.has(vertex)) continue;
+      seen.add(vertex);
+      boundaryAdjacency.get(vertex).forEach(next => stack.push(next));
+    }
+  });
+
+  const fans = new Map();
+  for (let t = 0; t < triangleCount; t++) {
+    if (!valid[t]) continue;
+    for (let k = 0; k < 3; k++) {
+      const vertex = weldIds[indices[t * 3 + k]];
+      if (!fans.has(vertex)) fans.set(vertex, new Set());
+      fans.get(vertex).add(corners.find(t * 3 + k));
+    }
+  }
+  fans.forEach((roots, vertex) => {
+    if (roots.size > 1) {
+      issues.nonManifoldVertices.count++;
+      const p = welded.get(vertex);
+      pushLocation(issues.nonManifoldVertices.points, p.x, p.y, p.z);
+    }
+  });
+
+  // Centre of every shell, so each one can be located
+  const shellCenters = new Map();
+  for (let t = 0; t < triangleCount; t++) {
+    if (!valid[t]) continue;
+    const root = shells.find(t);
+    if (!shellCenters.has(root)) shellCenters.set(root, new THREE.Box3());
+    for (let k = 0; k < 3; k++) shellCenters.get(root).expandByPoint(welded.get(weldIds[indices[t * 3 + k]]));
+  }
+  issues.shells.count += shellCenters.size;
+  shellCenters.forEach((box) => {
+    const c = box.getCenter(new THREE.Vector3());
+    pushLocation(issues.shells.points, c.x, c.y, c.z);
+  });
+};
+
+/**
+ * Mesh-health report for every mesh under `model`. Each issue carries its
+ * count and world-space locations (flat xyz `points` and `segments` arrays)
+ * that the viewer can highlight.
+ */
+export function analyzeMeshIntegrity(model) {
+  const issues = createIssues();
+  let meshCount = 0;
+
+  model.updateMatrixWorld(true);
+  model.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes.position) return;
+    meshCount++;
+    analyzeMesh(child, issues);
+  });
+
+  const list = Object.entries(ISSUE_KINDS).map(([kind, { label, severity }]) => ({
+    kind,
+    label,
+    // More than one shell is only worth flagging, one is expected
+    severity: kind === 'shells' && issues.shells.count <= meshCount ? 'ok' : severity,
+    ...issues[kind],
+  }));
+
+  return {
+    meshes: meshCount,
+    issues: list,
+    isWatertight: issues.boundaryLoops.count === 0 && issues.nonManifoldEdges.count === 0,
+  };
+}
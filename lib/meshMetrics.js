@@ -0,0 +1,113 @@
+// lib/meshMetrics.js
+import * as THREE from 'three';
+
+// Vertices closer than this fraction of the mesh diagonal are treated as the
+// same point when checking whether the surface is closed. STL stores every
+// triangle with its own copy of the corners, so exact matching is not enough.
+export const WELD_TOLERANCE = 1e-6;
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+
+export const getTriangleIndices = (geometry) => {
+  if (geometry.index) {
+    return geometry.index.array;
+  }
+  const count = geometry.attributes.position.count;
+  const indices = new Uint32Array(count - (count % 3));
+  for (let i = 0; i < indices.length; i++) {
+    indices[i] = i;
+  }
+  return indices;
+};
+
+// Maps every vertex to a welded id so that coincident corners share an id.
+export const weldVertices = (position, matrix, tolerance) => {
+  const ids = new Uint32Array(position.count);
+  const lookup = new Map();
+  const vertex = new THREE.Vector3();
+
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i).applyMatrix4(matrix);
+    const key = `${Math.round(vertex.x / tolerance)}_${Math.round(vertex.y / tolerance)}_${Math.round(vertex.z / tolerance)}`;
+    let id = lookup.get(key);
+    if (id === undefined) {
+      id = lookup.size;
+      lookup.set(key, id);
+    }
+    ids[i] = id;
+  }
+
+  return ids;
+};
+
+/**
+ * Computes enclosed volume and surface area of a single triangle mesh using
+ * the signed-tetrahedron method. Volume is only meaningful when `isClosed`.
+ */
+export function computeMeshMetrics(geometry, matrix = new THREE.Matrix4()) {
+  const position = geometry.attributes.position;
+  const indices = getTriangleIndices(geometry);
+
+  if (!geometry.boundingBox) {
+    geometry.computeBoundingBox();
+  }
+  const box = geometry.boundingBox.clone().applyMatrix4(matrix);
+  const diagonal = box.getSize(new THREE.Vector3()).length() || 1;
+  const weldIds = weldVertices(position, matrix, diagonal * WELD_TOLERANCE);
+
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  const edgeUse = new Map();
+
+  const countEdge = (i, j) => {
+    if (i === j) return;
+    const key = i < j ? `${i}_${j}` : `${j}_${i}`;
+    edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+  };
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const ia = indices[t];
+    const ib = indices[t + 1];
+    const ic = indices[t + 2];
+
+    _a.fromBufferAttribute(position, ia).applyMatrix4(matrix);
+    _b.fromBufferAttribute(position, ib).applyMatrix4(matrix);
+    _c.fromBufferAttribute(position, ic).applyMatrix4(matrix);
+
+    signedVolume += _a.dot(_ab.crossVectors(_b, _c)) / 6;
+    surfaceArea += _ab.subVectors(_b, _a).cross(_ac.subVectors(_c, _a)).length() / 2;
+
+    countEdge(weldIds[ia], weldIds[ib]);
+    countEdge(weldIds[ib], weldIds[ic]);
+    countEdge(weldIds[ic], weldIds[ia]);
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  edgeUse.forEach((uses) => {
+    if (uses === 1) openEdges++;
+    else if (uses > 2) nonManifoldEdges++;
+  });
+
+  return {
+    // Inverted winding yields a negative signed volume; the magnitude is what we want
+    volume: Math.abs(signedVolume),
+    surfaceArea,
+    triangles: indices.length / 3,
+    openEdges,
+    nonManifoldEdges,
+    isClosed: openEdges === 0 && nonManifoldEdges === 0,
+  };
+}
+
+// Mesh units are assumed to be millimetres, density is in g/cm³, mass in grams
+export function computeMass(volume, density) {
+  if (typeof volume !== 'number' || typeof density !== 'number') {
+    return 0;
+  }
+  return (volume / 1000) * density;
+}
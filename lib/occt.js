@@ -0,0 +1,110 @@
+// lib/occt.js
+import * as THREE from 'three';
+
+// linearDeflection is a ratio of the part's bounding box, angularDeflection is in radians
+export const DEFAULT_TESSELLATION = {
+  linearDeflection: 0.001,
+  angularDeflection: 0.5,
+};
+
+let kernelPromise = null;
+
+// Page or worker; on the server (API routes) the package reads its .wasm from disk itself
+const IN_BROWSER = typeof window !== 'undefined' || typeof importScripts === 'function';
+
+// Copied into public/ before `dev` and `build` by scripts/copy-occt-wasm.mjs
+const KERNEL_WASM_PATH = '/occt-import-js.wasm';
+
+// The OpenCascade kernel is ~7 MB, so it is only fetched the first time a
+// STEP/IGES file is opened. The .wasm is served with our own assets;
+// nothing is loaded from a CDN.
+const loadKernel = () => {
+  if (!kernelPromise) {
+    kernelPromise = import('occt-import-js')
+      .then(({ default: occtimportjs }) => occtimportjs(IN_BROWSER ? {
+        locateFile: path => (path.endsWith('.wasm') ? new URL(KERNEL_WASM_PATH, self.location.origin).href : path),
+      } : {}))
+      .catch((error) => {
+        kernelPromise = null;
+        throw error;
+      });
+  }
+  return kernelPromise;
+};
+
+const toMesh = (source, index) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(source.attributes.position.array, 3));
+  if (source.attributes.normal) {
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(source.attributes.normal.array, 3));
+  }
+  geometry.setIndex(new THREE.Uint32BufferAttribute(source.index.array, 1));
+  if (!source.attributes.normal) {
+    geometry.computeVertexNormals();
+  }
+
+  const material = new THREE.MeshPhongMaterial({
+    color: source.color ? new THREE.Color(...source.color) : 0xcccccc,
+  });
+  material.userData.generated = !source.color;
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = source.name || `Solid ${index + 1}`;
+  // Triangle ranges of the original B-rep faces, for later face-level picking
+  mesh.userData.brepFaces = source.brep_faces;
+  return mesh;
+};
+
+// Rebuilds the assembly tree; every B-rep solid becomes a named child mesh
+const toObject = (result, name, onProgress) => {
+  const meshes = result.meshes.map((source, index) => {
+    const mesh = toMesh(source, index);
+    onProgress?.((index + 1) / result.meshes.length);
+    return mesh;
+  });
+  const used = new Set();
+
+  const buildNode = (node) => {
+    const group = new THREE.Group();
+    group.name = node.name || '';
+    node.meshes.forEach((meshIndex) => {
+      // Instanced solids appear under several nodes; each needs its own Object3D
+      group.add(used.has(meshIndex) ? meshes[meshIndex].clone() : meshes[meshIndex]);
+      used.add(meshIndex);
+    });
+    node.children.forEach(child => group.add(buildNode(child)));
+    return group;
+  };
+
+  const root = buildNode(result.root);
+  root.name = root.name || name;
+  return root;
+};
+
+/**
+ * Tessellates a STEP or IGES file with OpenCascade. `kind` is 'step' or
+ * 'iges'; coordinates come out in millimetres. The kernel reads and
+ * tessellates in one call, so `onProgress` only gets fractions while its
+ * solids are converted into meshes.
+ */
+export async function parseCADFile(kind, content, name, tessellation = {}, onProgress) {
+  onProgress?.(null);
+  const occt = await loadKernel();
+  const { linearDeflection, angularDeflection } = { ...DEFAULT_TESSELLATION, ...tessellation };
+  const params = {
+    linearUnit: 'millimeter',
+    linearDeflectionType: 'bounding_box_ratio',
+    linearDeflection,
+    angularDeflection,
+  };
+
+  const buffer = new Uint8Array(content);
+  const result = kind === 'iges' ? occt.ReadIgesFile(buffer, params) : occt.ReadStepFile(buffer, params);
+  if (!result?.success) {
+    throw new Error(`OpenCascade could not read this ${kind.toUpperCase()} file`);
+  }
+  if (result.meshes.length === 0) {
+    throw new Error('The file contains no solids');
+  }
+
+  return toObject(result, name, onProgress);
+}
@@ -0,0 +1,62 @@
+// lib/parser.worker.js
+import { FILE_FORMATS, parseModel } from './formats';
+import { serializeObject } from './serialization';
+
+// Posting a message per stream chunk would flood the main thread
+const PROGRESS_STEP = 0.01;
+
+let lastReported = { phase: null, fraction: -1 };
+
+// `loaded` is null while a phase cannot tell how far it is
+const reportProgress = (phase, loaded, total) => {
+  if (loaded === null) {
+    lastReported = { phase, fraction: -1 };
+    self.postMessage({ type: 'progress', phase, loaded: null, total: null });
+    return;
+  }
+  const fraction = total ? loaded / total : 0;
+  if (phase === lastReported.phase && fraction - lastReported.fraction < PROGRESS_STEP && loaded !== total) {
+    return;
+  }
+  lastReported = { phase, fraction };
+  self.postMessage({ type: 'progress', phase, loaded, total });
+};
+
+const readFile = async (file, read) => {
+  const buffer = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer.set(value, loaded);
+    loaded += value.length;
+    reportProgress('reading', loaded, file.size);
+  }
+
+  return read === 'Text' ? new TextDecoder().decode(buffer) : buffer.buffer;
+};
+
+self.onmessage = async ({ data }) => {
+  const { file, formatId, options } = data;
+
+  try {
+    const format = FILE_FORMATS.find(candidate => candidate.id === formatId);
+    if (!format) {
+      throw new Error(`Unsupported format: ${formatId}`);
+    }
+
+    const content = await readFile(file, format.read);
+    const object = await parseModel(format, content, file.name, options, (fraction) => {
+      reportProgress('parsing', fraction, 1);
+    });
+
+    const { data: model, transfer } = serializeObject(object, (done, total) => {
+      reportProgress('transferring', done, total);
+    });
+    self.postMessage({ type: 'result', model }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,66 @@
+// lib/project.js
+import { strFromU8, strToU8, unzipSync, zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+export const PROJECT_FORMAT = 'cad-comparison-project';
+// Bump whenever the shape of project.json changes
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = 'cadproj';
+
+const MANIFEST = 'project.json';
+const sourcePath = (id, name) => `files/${id}/${name}`;
+
+/**
+ * Packs a project into one zip archive: `project.json` with `state` (the
+ * page's revisions, settings, views and last result) and every revision's
+ * source file under files/<revision id>/. `sources` maps revision ids to
+ * { name, bytes: Uint8Array }.
+ */
+export function createProjectArchive(state, sources) {
+  const entries = {
+    [MANIFEST]: strToU8(JSON.stringify({
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...state,
+    }, null, 2)),
+  };
+  sources.forEach(({ name, bytes }, id) => {
+    // Source files are mostly compressed already or large; storing them keeps saving fast
+    entries[sourcePath(id, name)] = [bytes, { level: 0 }];
+  });
+  return zipSync(entries, { level: 6 });
+}
+
+/**
+ * Unpacks an archive made by createProjectArchive. Returns { state, sources }
+ * with `sources` mapping revision ids to File objects ready to be parsed.
+ */
+export function readProjectArchive(bytes) {
+  let entries;
+  try {
+    entries = unzipSync(bytes);
+  } catch {
+    throw new Error('Not a project file (expected a zip archive)');
+  }
+  if (!entries[MANIFEST]) {
+    throw new Error(`Not a project file (${MANIFEST} is missing)`);
+  }
+
+  const state = JSON.parse(strFromU8(entries[MANIFEST]));
+  if (state.format !== PROJECT_FORMAT) {
+    throw new Error('Not a project file (unknown format)');
+  }
+  if (state.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${state.version} is newer than this app supports (${PROJECT_VERSION})`);
+  }
+
+  const sources = new Map();
+  (state.revisions ?? []).forEach(({ id, file }) => {
+    const data = entries[sourcePath(id, file.name)];
+    if (!data) {
+      throw new Error(`Source file of revision ${id} (${file.name}) is missing from the project`);
+    }
+    sources.set(id, new File([data], file.name));
+  });
+  return { state, sources };
+}
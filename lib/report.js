@@ -0,0 +1,392 @@
+// lib/report.js
+import { MATERIAL_PROPERTIES } from './materials';
+import { DEFAULT_UNIT, UNITS, convertFromMillimetres, unitLabels } from './units';
+
+export const REPORT_FORMAT = 'cad-comparison-report';
+// Bump whenever the shape of the exported report changes:
+// 1 first release, 2 part cost, 3 mass properties, 4 file units
+export const REPORT_SCHEMA_VERSION = 4;
+// Name the schema is downloaded under; reports point at it with `$schema`
+export const REPORT_SCHEMA_FILE = `${REPORT_FORMAT}.v${REPORT_SCHEMA_VERSION}.schema.json`;
+
+const numberOrNull = { type: ['number', 'null'] };
+const fileSchema = {
+  type: ['object', 'null'],
+  required: ['name', 'size', 'sha256'],
+  properties: {
+    name: { type: 'string' },
+    size: { type: 'integer' },
+    sha256: { type: ['string', 'null'] },
+  },
+};
+const partSchema = {
+  type: 'object',
+  required: ['vertices', 'faces', 'dimensions', 'volume', 'surfaceArea', 'mass', 'material'],
+  properties: {
+    vertices: { type: 'integer' },
+    faces: { type: 'integer' },
+    dimensions: {
+      type: 'object',
+      properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+    },
+    volume: { type: 'number' },
+    surfaceArea: { type: 'number' },
+    isClosed: { type: 'boolean' },
+    mass: { type: 'number' },
+    cost: { type: 'number' },
+    massProperties: {
+      type: ['object', 'null'],
+      properties: {
+        mass: { type: 'number' },
+        volume: { type: 'number' },
+        centerOfMass: { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 },
+        inertiaCom: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+        inertiaOrigin: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+        principalMoments: { type: 'array', items: { type: 'number' } },
+        principalAxes: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+      },
+    },
+    material: { type: 'object' },
+  },
+};
+
+// JSON Schema (draft-07) of an exported report, for tools that consume it;
+// offered for download next to the JSON export
+export const REPORT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: REPORT_SCHEMA_FILE,
+  title: 'CAD comparison report',
+  type: 'object',
+  required: ['format', 'schemaVersion', 'generatedAt', 'files', 'results'],
+  properties: {
+    $schema: { const: REPORT_SCHEMA_FILE },
+    format: { const: REPORT_FORMAT },
+    schemaVersion: { const: REPORT_SCHEMA_VERSION },
+    generatedAt: { type: 'string', format: 'date-time' },
+    // Unit the CSV and printable report present lengths, areas, volumes and masses in
+    unit: { enum: Object.keys(UNITS) },
+    files: {
+      type: 'object',
+      properties: { original: fileSchema, modified: fileSchema },
+    },
+    results: {
+      type: 'object',
+      required: ['vertexDiff', 'faceDiff', 'dimensionDiff', 'original', 'modified', 'timestamp'],
+      properties: {
+        vertexDiff: { type: 'number' },
+        faceDiff: { type: 'number' },
+        dimensionDiff: {
+          type: 'object',
+          properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+        },
+        volumeDiff: { type: 'number' },
+        surfaceAreaDiff: { type: 'number' },
+        massDiff: { type: 'number' },
+        costDiff: { type: 'number' },
+        massPropertiesDiff: {
+          type: ['object', 'null'],
+          properties: {
+            centerOfMassShift: { type: 'array', items: { type: 'number' } },
+            centerOfMassDistance: { type: 'number' },
+            principalMomentsDiff: { type: 'array', items: { type: 'number' } },
+            inertiaComDelta: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+          },
+        },
+        deviation: {
+          type: ['object', 'null'],
+          properties: {
+            hausdorff: { type: 'number' },
+            min: { type: 'number' },
+            max: { type: 'number' },
+            mean: { type: 'number' },
+            rms: { type: 'number' },
+            tolerance: { type: 'number' },
+            withinTolerance: { type: 'number' },
+            histogram: { type: 'array', items: { type: 'object' } },
+          },
+        },
+        alignment: {
+          type: ['object', 'null'],
+          properties: {
+            matrix: { type: 'array', items: { type: 'number' }, minItems: 16, maxItems: 16 },
+            rmsError: { type: 'number' },
+            iterations: { type: 'integer' },
+            converged: { type: 'boolean' },
+          },
+        },
+        materialDiffs: { type: 'object' },
+        warnings: { type: 'array', items: { type: 'string' } },
+        // Unit each file was read in; every value here has been converted to mm and g
+        units: {
+          type: 'object',
+          properties: Object.fromEntries(['original', 'modified'].map(key => [key, {
+            type: ['object', 'null'],
+            properties: {
+              unit: { enum: Object.keys(UNITS) },
+              detectedBy: { enum: ['file', 'size', 'default', 'user'] },
+            },
+          }])),
+        },
+        original: partSchema,
+        modified: partSchema,
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+    section: {
+      type: ['object', 'null'],
+      properties: {
+        normal: { type: 'array', items: { type: 'number' } },
+        position: { type: 'number' },
+        original: {
+          type: ['object', 'null'],
+          properties: { area: numberOrNull, perimeter: numberOrNull },
+        },
+        modified: {
+          type: ['object', 'null'],
+          properties: { area: numberOrNull, perimeter: numberOrNull },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Hex SHA-256 of a file's contents, identifying exactly which revision was compared.
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wraps `compareResults` from the page with what is needed to trace it back:
+ * the compared files and, if a section plane is active, its cut results.
+ * `unit` is what the flat metrics are presented in; results stay in mm and g.
+ */
+export function buildReport(results, { files = {}, section = null, unit = DEFAULT_UNIT } = {}) {
+  return {
+    // Relative, so editors validate a report saved next to the downloaded schema
+    $schema: REPORT_SCHEMA_FILE,
+    format: REPORT_FORMAT,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    unit,
+    files: {
+      original: files.original ?? null,
+      modified: files.modified ?? null,
+    },
+    results,
+    section,
+  };
+}
+
+const percentChange = (modified, original) => (
+  typeof modified === 'number' && typeof original === 'number' && original !== 0
+    ? ((modified - original) / original) * 100
+    : null
+);
+
+/**
+ * Flat metric rows shared by the CSV and the printable report:
+ * { metric, unit, original, modified, difference, changePercent }, with
+ * physical quantities converted to the report's unit.
+ */
+export function reportMetrics(report) {
+  const { original, modified, deviation, alignment } = report.results;
+  const unit = UNITS[report.unit] ? report.unit : DEFAULT_UNIT;
+  const labels = unitLabels(unit);
+  const convert = (value, kind) => convertFromMillimetres(value, kind, unit);
+  const rows = [];
+  const compare = (metric, unit, a, b) => rows.push({
+    metric,
+    unit,
+    original: a,
+    modified: b,
+    difference: typeof a === 'number' && typeof b === 'number' ? b - a : null,
+    changePercent: percentChange(b, a),
+  });
+  const single = (metric, unit, value) => rows.push({
+    metric, unit, original: null, modified: null, difference: value, changePercent: null,
+  });
+  // compare/single for a quantity of lib/units, given in mm or g
+  const compareMeasure = (metric, kind, a, b) => compare(metric, labels[kind], convert(a, kind), convert(b, kind));
+  const singleMeasure = (metric, kind, value) => single(metric, labels[kind], convert(value, kind));
+
+  compare('Vertices', '', original.vertices, modified.vertices);
+  compare('Faces', '', original.faces, modified.faces);
+  ['x', 'y', 'z'].forEach((axis) => {
+    compareMeasure(`Dimension ${axis.toUpperCase()}`, 'length', original.dimensions?.[axis], modified.dimensions?.[axis]);
+  });
+  compareMeasure('Volume', 'volume', original.volume, modified.volume);
+  compareMeasure('Surface area', 'area', original.surfaceArea, modified.surfaceArea);
+  compareMeasure('Mass', 'mass', original.mass, modified.mass);
+  compare('Material cost', 'USD', original.cost, modified.cost);
+  if (original.massProperties && modified.massProperties) {
+    ['X', 'Y', 'Z'].forEach((axis, i) => {
+      compareMeasure(`Center of mass ${axis}`, 'length', original.massProperties.centerOfMass[i], modified.massProperties.centerOfMass[i]);
+    });
+    singleMeasure('Center of mass shift', 'length', report.results.massPropertiesDiff?.centerOfMassDistance);
+    [0, 1, 2].forEach((i) => {
+      compareMeasure(`Principal moment I${i + 1}`, 'inertia', original.massProperties.principalMoments[i], modified.massProperties.principalMoments[i]);
+    });
+  }
+
+  if (deviation) {
+    singleMeasure('Hausdorff distance', 'length', deviation.hausdorff);
+    singleMeasure('Deviation mean', 'length', deviation.mean);
+    singleMeasure('Deviation RMS', 'length', deviation.rms);
+    singleMeasure('Deviation min', 'length', deviation.min);
+    singleMeasure('Deviation max', 'length', deviation.max);
+    singleMeasure('Deviation tolerance', 'length', deviation.tolerance);
+    single('Within tolerance', '%', deviation.withinTolerance * 100);
+  }
+  if (alignment) {
+    singleMeasure('Alignment RMS error', 'length', alignment.rmsError);
+  }
+  if (report.section) {
+    compareMeasure('Section area', 'area', report.section.original?.area, report.section.modified?.area);
+    compareMeasure('Section perimeter', 'length', report.section.original?.perimeter, report.section.modified?.perimeter);
+  }
+  return rows;
+}
+
+export const csvCell = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function reportToCSV(report) {
+  const header = ['metric', 'unit', 'original', 'modified', 'difference', 'change_percent'];
+  const lines = reportMetrics(report).map(row => [
+    row.metric, row.unit, row.original, row.modified, row.difference, row.changePercent,
+  ].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = (value, digits = 3) => (
+  typeof value === 'number' && !Number.isNaN(value)
+    ? value.toLocaleString(undefined, { maximumFractionDigits: digits })
+    : '-'
+);
+
+const MATERIAL_LABELS = {
+  name: 'Name',
+  presetId: 'Library preset',
+  color: 'Color',
+  ...Object.fromEntries(Object.entries(MATERIAL_PROPERTIES).map(([key, { name, unit }]) => [
+    key,
+    unit ? `${name} (${unit})` : name
+  ])),
+  overridden: 'Overridden properties'
+};
+
+const materialValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  return value ?? '-';
+};
+
+/**
+ * Self-contained HTML page of the report, meant to be printed or saved as
+ * PDF from the browser. `snapshots` is a list of { label, dataUrl } images.
+ */
+export function reportToHTML(report, { snapshots = [] } = {}) {
+  const { results, files } = report;
+
+  const fileRows = ['original', 'modified'].map((key) => {
+    const file = files[key];
+    return `<tr><th>${key === 'original' ? 'Original' : 'Modified'}</th>
+      <td>${escapeHtml(file?.name ?? '-')}</td>
+      <td>${file ? formatNumber(file.size, 0) : '-'}</td>
+      <td>${escapeHtml(results.units?.[key]?.unit ?? '-')}</td>
+      <td class="hash">${escapeHtml(file?.sha256 ?? '-')}</td></tr>`;
+  }).join('');
+
+  const metricRows = reportMetrics(report).map(row => `<tr>
+      <td>${escapeHtml(row.metric)}</td>
+      <td>${escapeHtml(row.unit)}</td>
+      <td>${formatNumber(row.original)}</td>
+      <td>${formatNumber(row.modified)}</td>
+      <td>${formatNumber(row.difference)}</td>
+      <td>${row.changePercent === null ? '-' : `${formatNumber(row.changePercent, 2)}%`}</td>
+    </tr>`).join('');
+
+  const materialRows = Object.entries(MATERIAL_LABELS).map(([key, label]) => `<tr>
+      <th>${label}</th>
+      <td>${escapeHtml(materialValue(results.original.material?.[key]))}</td>
+      <td>${escapeHtml(materialValue(results.modified.material?.[key]))}</td>
+    </tr>`).join('');
+
+  const snapshotFigures = snapshots.map(snapshot => `<figure>
+      <img src="${escapeHtml(snapshot.dataUrl)}" alt="${escapeHtml(snapshot.label)}">
+      <figcaption>${escapeHtml(snapshot.label)}</figcaption>
+    </figure>`).join('');
+
+  const warnings = results.warnings?.length
+    ? `<h2>Warnings</h2><ul>${results.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Comparison report – ${escapeHtml(files.original?.name ?? 'original')} vs ${escapeHtml(files.modified?.name ?? 'modified')}</title>
+<style>
+  body { font: 12px/1.4 system-ui, sans-serif; margin: 24px; color: #111; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 20px 0 6px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; }
+  .hash { font-family: monospace; font-size: 10px; word-break: break-all; }
+  .meta { color: #555; }
+  .snapshots { display: flex; flex-wrap: wrap; gap: 12px; }
+  figure { margin: 0; width: 48%; break-inside: avoid; }
+  figure img { width: 100%; border: 1px solid #ccc; }
+  figcaption { text-align: center; color: #555; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>CAD comparison report</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)} · compared ${escapeHtml(results.timestamp)} · ${REPORT_FORMAT} v${REPORT_SCHEMA_VERSION}</p>
+<h2>Files</h2>
+<table><tr><th></th><th>Name</th><th>Size (bytes)</th><th>Read in</th><th>SHA-256</th></tr>${fileRows}</table>
+${snapshotFigures ? `<h2>Views</h2><div class="snapshots">${snapshotFigures}</div>` : ''}
+${warnings}
+<h2>Metrics</h2>
+<table><tr><th>Metric</th><th>Unit</th><th>Original</th><th>Modified</th><th>Difference</th><th>Change</th></tr>${metricRows}</table>
+<h2>Materials</h2>
+<table><tr><th></th><th>Original</th><th>Modified</th></tr>${materialRows}</table>
+</body>
+</html>`;
+}
+
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Opens the HTML report in a new window and brings up the print dialog,
+ * where it can also be saved as PDF. Returns false if the popup was blocked.
+ */
+export function printReport(html) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.open();
+  // Print once the snapshots have loaded
+  printWindow.document.write(html.replace('</body>', '<script>window.onload = () => window.print();</script></body>'));
+  printWindow.document.close();
+  printWindow.focus();
+  return true;
+}
@@ -0,0 +1,23 @@
+// lib/revisionDeviation.worker.js
+import { measureRevisionDeviation } from './compare';
+import { deserializeObject } from './serialization';
+
+self.onmessage = ({ data }) => {
+  const { original, revisions, autoAlign } = data;
+
+  try {
+    const baseline = deserializeObject(original);
+    // One message per revision, so the timeline fills in as each one is done
+    revisions.forEach(({ key, model }) => {
+      try {
+        const deviation = measureRevisionDeviation(baseline, deserializeObject(model), autoAlign);
+        self.postMessage({ type: 'result', key, deviation });
+      } catch (error) {
+        self.postMessage({ type: 'result', key, deviation: null, message: error.message });
+      }
+    });
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
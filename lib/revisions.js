@@ -0,0 +1,45 @@
+// lib/revisions.js
+
+/**
+ * Spreadsheet-style label for the revision at `index`: A … Z, AA, AB, …
+ */
+export function revisionLabel(index) {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+/**
+ * First label in A, B, C… order that no revision in `revisions` uses yet.
+ */
+export function nextRevisionLabel(revisions) {
+  const used = new Set(revisions.map(revision => revision.label));
+  let index = 0;
+  while (used.has(revisionLabel(index))) index++;
+  return revisionLabel(index);
+}
+
+/**
+ * Copy of `list` with the item at `from` moved to `to`; out-of-range moves
+ * return the list unchanged.
+ */
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+// Quantities charted on the revision timeline; `kind` is the lib/units quantity
+export const TIMELINE_METRICS = [
+  { key: 'volume', label: 'Volume', kind: 'volume' },
+  { key: 'mass', label: 'Mass', kind: 'mass' },
+  { key: 'x', label: 'Width (X)', kind: 'length' },
+  { key: 'y', label: 'Height (Y)', kind: 'length' },
+  { key: 'z', label: 'Depth (Z)', kind: 'length' },
+  { key: 'deviationRms', label: 'Deviation RMS', kind: 'length' },
+  { key: 'deviationMax', label: 'Hausdorff distance', kind: 'length' },
+];
@@ -0,0 +1,210 @@
+// lib/section.js
+import * as THREE from 'three';
+
+export const SECTION_AXES = {
+  x: { label: 'X', normal: [1, 0, 0] },
+  y: { label: 'Y', normal: [0, 1, 0] },
+  z: { label: 'Z', normal: [0, 0, 1] },
+  custom: { label: 'Custom', normal: null },
+};
+
+// Orthonormal in-plane axes, so loops can be measured in 2D
+const planeBasis = (normal) => {
+  const u = new THREE.Vector3()
+    .crossVectors(normal, Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0))
+    .normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  return { u, v };
+};
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    area += points[j].x * points[i].y - points[i].x * points[j].y;
+  }
+  return area / 2;
+};
+
+const containsPoint = (polygon, point) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Plane from a normal and a position along it, both in model space.
+ */
+export function createSectionPlane(normal, position) {
+  const n = new THREE.Vector3().fromArray(normal).normalize();
+  return new THREE.Plane(n, -position);
+}
+
+/**
+ * Extent of `box` along `normal`, i.e. the range a section plane can sweep.
+ */
+export function sectionRange(box, normal) {
+  const n = new THREE.Vector3().fromArray(normal).normalize();
+  let min = Infinity;
+  let max = -Infinity;
+  [box.min.x, box.max.x].forEach(x => [box.min.y, box.max.y].forEach(y => [box.min.z, box.max.z].forEach(z => {
+    const d = n.x * x + n.y * y + n.z * z;
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  })));
+  return { min, max };
+}
+
+/**
+ * Cuts a flat triangle soup (see `collectTriangles`) with `plane` and chains
+ * the cut segments into polylines. Closed loops are nested by containment,
+ * so holes are subtracted from the area whatever the mesh winding is.
+ * Chains that do not close (open meshes) count towards the perimeter only.
+ */
+export function computeSection(triangles, plane) {
+  const { normal } = plane;
+  const { u, v } = planeBasis(normal);
+
+  let extent = 0;
+  for (let i = 0; i < triangles.length; i++) extent = Math.max(extent, Math.abs(triangles[i]));
+  const quantum = Math.max(extent, 1) * 1e-9;
+
+  const nodes = new Map();
+  const nodeOf = (point) => {
+    const key = `${Math.round(point.x / quantum)}_${Math.round(point.y / quantum)}_${Math.round(point.z / quantum)}`;
+    if (!nodes.has(key)) nodes.set(key, { point, edges: [] });
+    return key;
+  };
+  const edges = [];
+
+  const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const distances = [0, 0, 0];
+  // Endpoints in a fixed order, so both triangles sharing an edge cut it at exactly the same point
+  const cut = (a, b, da, db) => {
+    const [p, q, dp, dq] = (a.x < b.x || (a.x === b.x && (a.y < b.y || (a.y === b.y && a.z < b.z))))
+      ? [a, b, da, db] : [b, a, db, da];
+    return p.clone().lerp(q, dp / (dp - dq));
+  };
+
+  for (let t = 0; t < triangles.length; t += 9) {
+    for (let k = 0; k < 3; k++) {
+      corners[k].fromArray(triangles, t + k * 3);
+      distances[k] = plane.distanceToPoint(corners[k]);
+    }
+    const points = [];
+    for (let k = 0; k < 3; k++) {
+      const j = (k + 1) % 3;
+      // Vertices on the plane count as above it, which keeps every crossing a proper one
+      if ((distances[k] >= 0) !== (distances[j] >= 0)) {
+        points.push(cut(corners[k], corners[j], distances[k], distances[j]));
+      }
+    }
+    if (points.length !== 2) continue;
+
+    const a = nodeOf(points[0]);
+    const b = nodeOf(points[1]);
+    if (a === b) continue;
+    nodes.get(a).edges.push(edges.length);
+    nodes.get(b).edges.push(edges.length);
+    edges.push({ a, b, used: false });
+  }
+
+  const walk = (start) => {
+    const keys = [start];
+    let current = start;
+    for (;;) {
+      const next = nodes.get(current).edges.find(e => !edges[e].used);
+      if (next === undefined) break;
+      edges[next].used = true;
+      current = edges[next].a === current ? edges[next].b : edges[next].a;
+      keys.push(current);
+      if (current === start) break;
+    }
+    return keys;
+  };
+
+  // Open chains start at dead ends, everything left over is a loop
+  const chains = [];
+  nodes.forEach((node, key) => {
+    if (node.edges.length % 2 === 1 && node.edges.some(e => !edges[e].used)) chains.push(walk(key));
+  });
+  nodes.forEach((node, key) => {
+    while (node.edges.some(e => !edges[e].used)) chains.push(walk(key));
+  });
+
+  let perimeter = 0;
+  const segments = [];
+  const loops = chains.map((keys) => {
+    const closed = keys.length > 3 && keys[0] === keys[keys.length - 1];
+    const points = (closed ? keys.slice(0, -1) : keys).map(key => nodes.get(key).point);
+    for (let i = 1; i < keys.length; i++) {
+      const a = nodes.get(keys[i - 1]).point;
+      const b = nodes.get(keys[i]).point;
+      perimeter += a.distanceTo(b);
+      segments.push(a.x, a.y, a.z, b.x, b.y, b.z);
+    }
+    return {
+      points,
+      closed,
+      outline: points.map(p => new THREE.Vector2(p.dot(u), p.dot(v))),
+    };
+  });
+
+  const closedLoops = loops.filter(loop => loop.closed);
+  closedLoops.forEach((loop) => {
+    loop.depth = closedLoops.filter(other => other !== loop && containsPoint(other.outline, loop.outline[0])).length;
+    loop.area = Math.abs(signedArea(loop.outline));
+  });
+  const area = closedLoops.reduce((sum, loop) => sum + (loop.depth % 2 === 0 ? loop.area : -loop.area), 0);
+
+  return {
+    plane: { normal: normal.toArray(), constant: plane.constant },
+    basis: { u: u.toArray(), v: v.toArray() },
+    loops,
+    segments: new Float32Array(segments),
+    area: Math.max(area, 0),
+    perimeter,
+    openChains: loops.length - closedLoops.length,
+  };
+}
+
+/**
+ * Filled cap for the closed loops of a section, in the same space as the
+ * section itself. Returns `null` when there is nothing to fill.
+ */
+export function sectionCapGeometry(section) {
+  const closedLoops = section.loops.filter(loop => loop.closed);
+  if (closedLoops.length === 0) return null;
+
+  const normal = new THREE.Vector3().fromArray(section.plane.normal);
+  const u = new THREE.Vector3().fromArray(section.basis.u);
+  const v = new THREE.Vector3().fromArray(section.basis.v);
+  const origin = normal.clone().multiplyScalar(-section.plane.constant);
+
+  const positions = [];
+  closedLoops
+    .filter(loop => loop.depth % 2 === 0)
+    .forEach((outer) => {
+      const holes = closedLoops.filter(loop => loop.depth === outer.depth + 1 && containsPoint(outer.outline, loop.outline[0]));
+      const contour = outer.outline;
+      const holeOutlines = holes.map(hole => hole.outline);
+      const vertices = [contour, ...holeOutlines].flat();
+      THREE.ShapeUtils.triangulateShape(contour, holeOutlines).forEach((face) => {
+        face.forEach((i) => {
+          const p = origin.clone().addScaledVector(u, vertices[i].x).addScaledVector(v, vertices[i].y);
+          positions.push(p.x, p.y, p.z);
+        });
+      });
+    });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
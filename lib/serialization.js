@@ -0,0 +1,119 @@
+// lib/serialization.js
+import * as THREE from 'three';
+
+const MATERIAL_TYPES = {
+  MeshStandardMaterial: THREE.MeshStandardMaterial,
+  MeshPhysicalMaterial: THREE.MeshPhysicalMaterial,
+  MeshPhongMaterial: THREE.MeshPhongMaterial,
+  MeshLambertMaterial: THREE.MeshLambertMaterial,
+  MeshBasicMaterial: THREE.MeshBasicMaterial,
+};
+
+// Plain scalar properties carried over; textures are not serialized
+const MATERIAL_PROPERTIES = [
+  'name', 'metalness', 'roughness', 'shininess', 'opacity', 'transparent', 'vertexColors', 'side',
+];
+
+const serializeMaterial = (material) => {
+  const data = { type: material.type, userData: { ...material.userData } };
+  MATERIAL_PROPERTIES.forEach((key) => {
+    if (material[key] !== undefined) data[key] = material[key];
+  });
+  if (material.color) data.color = material.color.getHex();
+  if (material.emissive) data.emissive = material.emissive.getHex();
+  return data;
+};
+
+const deserializeMaterial = ({ type, color, emissive, userData, ...params }) => {
+  const Material = MATERIAL_TYPES[type] || THREE.MeshPhongMaterial;
+  const material = new Material();
+  Object.entries(params).forEach(([key, value]) => {
+    if (key in material) material[key] = value;
+  });
+  if (color !== undefined && material.color) material.color.setHex(color);
+  if (emissive !== undefined && material.emissive) material.emissive.setHex(emissive);
+  material.userData = userData || {};
+  return material;
+};
+
+const serializeAttribute = (attribute, transfer) => {
+  // Interleaved or shared buffers must be copied before they can be transferred
+  const array = attribute.isInterleavedBufferAttribute
+    ? Float32Array.from({ length: attribute.count * attribute.itemSize }, (_, i) =>
+      attribute.getComponent(Math.floor(i / attribute.itemSize), i % attribute.itemSize))
+    : attribute.array;
+  if (!transfer.includes(array.buffer)) transfer.push(array.buffer);
+  return { array, itemSize: attribute.itemSize, normalized: attribute.normalized };
+};
+
+/**
+ * Converts an Object3D tree into structured-clone friendly data. `transfer`
+ * lists the geometry buffers so they can be moved, not copied, across
+ * postMessage. The source object must not be used afterwards.
+ */
+export function serializeObject(object, onProgress) {
+  const transfer = [];
+  let meshCount = 0;
+  let serialized = 0;
+  object.traverse((child) => {
+    if (child.isMesh) meshCount++;
+  });
+
+  const serializeNode = (node) => {
+    node.updateMatrix();
+    const data = {
+      type: node.isMesh ? 'Mesh' : 'Group',
+      name: node.name,
+      matrix: node.matrix.toArray(),
+      userData: { ...node.userData },
+      children: node.children.filter(child => child.isMesh || child.isGroup || child.type === 'Object3D').map(serializeNode),
+    };
+
+    if (node.isMesh) {
+      const geometry = node.geometry;
+      data.geometry = {
+        attributes: Object.fromEntries(
+          Object.entries(geometry.attributes).map(([name, attribute]) => [name, serializeAttribute(attribute, transfer)])
+        ),
+        index: geometry.index ? serializeAttribute(geometry.index, transfer) : null,
+        groups: geometry.groups,
+      };
+      data.material = Array.isArray(node.material)
+        ? node.material.map(serializeMaterial)
+        : serializeMaterial(node.material);
+      serialized++;
+      onProgress?.(serialized, meshCount);
+    }
+
+    return data;
+  };
+
+  return { data: serializeNode(object), transfer };
+}
+
+export function deserializeObject(data) {
+  let node;
+  if (data.type === 'Mesh') {
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(data.geometry.attributes).forEach(([name, { array, itemSize, normalized }]) => {
+      geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+    });
+    if (data.geometry.index) {
+      geometry.setIndex(new THREE.BufferAttribute(data.geometry.index.array, 1));
+    }
+    data.geometry.groups?.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+
+    const material = Array.isArray(data.material)
+      ? data.material.map(deserializeMaterial)
+      : deserializeMaterial(data.material);
+    node = new THREE.Mesh(geometry, material);
+  } else {
+    node = new THREE.Group();
+  }
+
+  node.name = data.name;
+  node.userData = data.userData || {};
+  new THREE.Matrix4().fromArray(data.matrix).decompose(node.position, node.quaternion, node.scale);
+  data.children.forEach(child => node.add(deserializeObject(child)));
+  return node;
+}
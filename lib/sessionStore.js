@@ -0,0 +1,82 @@
+// lib/sessionStore.js
+
+// The working session survives a reload: its state, plus each revision's parsed
+// geometry (see lib/serialization) and source file, so nothing has to be re-parsed.
+const DB_NAME = 'cad-compare';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const MODEL_STORE = 'models';
+const SESSION_KEY = 'current';
+
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = transaction => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+});
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE);
+      if (!db.objectStoreNames.contains(MODEL_STORE)) db.createObjectStore(MODEL_STORE);
+    };
+    databasePromise = promisify(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Stores the session `state` and the models in `added` ({ id, geometry, blob }),
+ * and drops stored models whose id is not in `keep`, all in one transaction.
+ */
+export async function saveSession(state, { added = [], keep = [] } = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSION_STORE, MODEL_STORE], 'readwrite');
+  const models = transaction.objectStore(MODEL_STORE);
+
+  transaction.objectStore(SESSION_STORE).put(state, SESSION_KEY);
+  added.forEach(model => models.put(model, model.id));
+  const kept = new Set(keep);
+  const storedIds = await promisify(models.getAllKeys());
+  storedIds.filter(id => !kept.has(id)).forEach(id => models.delete(id));
+
+  await transactionDone(transaction);
+}
+
+/**
+ * The stored session as { state, models: Map<id, { id, geometry, blob }> },
+ * or null when nothing has been saved.
+ */
+export async function loadSession() {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSION_STORE, MODEL_STORE], 'readonly');
+  const [state, models] = await Promise.all([
+    promisify(transaction.objectStore(SESSION_STORE).get(SESSION_KEY)),
+    promisify(transaction.objectStore(MODEL_STORE).getAll()),
+  ]);
+  if (!state) return null;
+  return { state, models: new Map(models.map(model => [model.id, model])) };
+}
+
+export async function clearSession() {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSION_STORE, MODEL_STORE], 'readwrite');
+  transaction.objectStore(SESSION_STORE).clear();
+  transaction.objectStore(MODEL_STORE).clear();
+  await transactionDone(transaction);
+}
@@ -0,0 +1,123 @@
+// lib/surfaceIndex.js
+import * as THREE from 'three';
+import { createBVH } from './bvh';
+
+const _inverse = new THREE.Matrix4();
+const _ray = new THREE.Ray();
+const _world = new THREE.Vector3();
+
+// The triangles of one geometry, 9 floats each, moved by `matrix` if given
+export function geometryTriangles(geometry, matrix = null) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : position.count - (position.count % 3);
+  const triangles = new Float32Array(count * 3);
+  const vertex = new THREE.Vector3();
+
+  for (let i = 0; i < count; i++) {
+    vertex.fromBufferAttribute(position, index ? index.getX(i) : i);
+    if (matrix) vertex.applyMatrix4(matrix);
+    triangles[i * 3] = vertex.x;
+    triangles[i * 3 + 1] = vertex.y;
+    triangles[i * 3 + 2] = vertex.z;
+  }
+  return triangles;
+}
+
+// Flattens every mesh under `object` into one world-space triangle array
+export function collectTriangles(object) {
+  const chunks = [];
+  let total = 0;
+
+  object.updateMatrixWorld(true);
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes.position) return;
+    const chunk = geometryTriangles(child.geometry, child.matrixWorld);
+    chunks.push(chunk);
+    total += chunk.length;
+  });
+
+  const triangles = new Float32Array(total);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    triangles.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return triangles;
+}
+
+/**
+ * Builds a BVH over the world-space triangles of `object` and answers
+ * closest-point queries against that surface (see lib/bvh).
+ */
+export function createSurfaceIndex(object) {
+  const { bounds, triangleCount, closestPoint } = createBVH(collectTriangles(object));
+  return {
+    bounds,
+    triangleCount,
+    closestPoint,
+  };
+}
+
+// Per geometry, in its own space; rebuilt when the positions change
+const geometryIndexes = new WeakMap();
+
+const geometryIndex = (geometry) => {
+  const position = geometry.attributes.position;
+  let entry = geometryIndexes.get(geometry);
+  if (!entry || entry.version !== position.version) {
+    entry = { version: position.version, bvh: createBVH(geometryTriangles(geometry)) };
+    geometryIndexes.set(geometry, entry);
+  }
+  return entry.bvh;
+};
+
+const triangleMaterialIndex = (geometry, triangle) => {
+  const first = triangle * 3;
+  const group = geometry.groups.find(candidate => first >= candidate.start && first < candidate.start + candidate.count);
+  return group?.materialIndex ?? 0;
+};
+
+// Whether the material's clipping planes (in world space) cut `point` away
+const isClipped = (material, point) => {
+  const planes = material?.clippingPlanes;
+  if (!planes?.length) return false;
+  const outside = plane => plane.distanceToPoint(point) < 0;
+  return material.clipIntersection ? planes.every(outside) : planes.some(outside);
+};
+
+/**
+ * Stands in for `Mesh.raycast` (assign it to a mesh's `raycast`) and answers
+ * from a BVH of the geometry, built on the first pick, instead of testing
+ * every triangle. Only the nearest hit on each mesh is reported, from either
+ * side of the surface, which is all picking needs. Surface hidden by the
+ * material's clipping planes, e.g. behind a section, cannot be hit.
+ */
+export function raycastMesh(raycaster, intersects) {
+  const { geometry, matrixWorld, material } = this;
+  if (!geometry?.attributes.position) return;
+
+  const materialOf = triangle => (
+    Array.isArray(material) ? material[triangleMaterialIndex(geometry, triangle)] : material
+  );
+  const visible = (point, triangle) => !isClipped(materialOf(triangle), _world.copy(point).applyMatrix4(matrixWorld));
+
+  _inverse.copy(matrixWorld).invert();
+  _ray.copy(raycaster.ray).applyMatrix4(_inverse);
+  const hit = geometryIndex(geometry).raycast(_ray, visible);
+  if (!hit) return;
+
+  const point = hit.point.applyMatrix4(matrixWorld);
+  const distance = raycaster.ray.origin.distanceTo(point);
+  if (distance < raycaster.near || distance > raycaster.far) return;
+
+  const first = hit.triangle * 3;
+  const [a, b, c] = [0, 1, 2].map(k => (geometry.index ? geometry.index.getX(first + k) : first + k));
+  intersects.push({
+    distance,
+    point,
+    object: this,
+    faceIndex: hit.triangle,
+    face: { a, b, c, normal: hit.normal, materialIndex: triangleMaterialIndex(geometry, hit.triangle) },
+  });
+}
@@ -0,0 +1,148 @@
+// lib/units.js
+import * as THREE from 'three';
+
+// Models are converted to millimetres on load; `scale` is the factor to mm.
+// Mass follows the length unit's system so a choice never mixes metric and imperial.
+export const UNITS = {
+  mm: { label: 'Millimetres', length: 'mm', scale: 1, mass: 'g', gramsPerMass: 1 },
+  cm: { label: 'Centimetres', length: 'cm', scale: 10, mass: 'g', gramsPerMass: 1 },
+  m: { label: 'Metres', length: 'm', scale: 1000, mass: 'kg', gramsPerMass: 1000 },
+  in: { label: 'Inches', length: 'in', scale: 25.4, mass: 'lb', gramsPerMass: 453.59237 },
+};
+
+export const DEFAULT_UNIT = 'mm';
+
+const UNIT_ALIASES = {
+  mm: 'mm',
+  millimeter: 'mm',
+  millimeters: 'mm',
+  millimetre: 'mm',
+  millimetres: 'mm',
+  cm: 'cm',
+  centimeter: 'cm',
+  centimeters: 'cm',
+  centimetre: 'cm',
+  centimetres: 'cm',
+  m: 'm',
+  meter: 'm',
+  meters: 'm',
+  metre: 'm',
+  metres: 'm',
+  in: 'in',
+  inch: 'in',
+  inches: 'in',
+};
+
+/**
+ * Unit id for a unit name as files spell it ("millimeter", "Inches", "mm"),
+ * or `null` if it is not one of UNITS.
+ */
+export function parseUnitName(name) {
+  return UNIT_ALIASES[String(name ?? '').trim().toLowerCase()] ?? null;
+}
+
+// Words that may sit between "units" and the unit in prose ("Units are in mm")
+const UNIT_FILLER_WORDS = new Set(['in', 'of', 'are', 'is', 'the', 'set', 'to', 'used']);
+// How many words after "units" are looked at for the unit
+const UNIT_SEARCH_WORDS = 4;
+
+/**
+ * Unit declared in free-form header text, e.g. a binary STL header or OBJ
+ * comments: "UNITS=mm", "# units: inch", "# Units in millimeters". After
+ * a ":" or "=" the next word must be the unit; in prose, the first unit
+ * among the next few words counts, skipping filler words such as "in" so
+ * they are not read as inches.
+ */
+export function unitFromText(text) {
+  const pattern = /\bunits?\b\s*([:=])?\s*"?([a-z :="]*)/gi;
+  for (const [, separator, rest] of String(text ?? '').matchAll(pattern)) {
+    const words = rest.split(/[\s:="]+/).filter(Boolean).slice(0, UNIT_SEARCH_WORDS);
+    const unit = separator
+      ? parseUnitName(words[0])
+      : words
+        .filter(word => !UNIT_FILLER_WORDS.has(word.toLowerCase()))
+        .map(parseUnitName)
+        .find(Boolean);
+    if (unit) return unit;
+  }
+  return null;
+}
+
+/**
+ * Most likely unit for a part whose largest extent is `size` in file units.
+ * With a `referenceSize` (the other part, in mm) the unit that brings both
+ * to a similar size wins; otherwise tiny parts are taken to be in metres.
+ */
+export function guessUnitFromSize(size, referenceSize = null) {
+  if (!(size > 0)) return null;
+
+  if (referenceSize > 0) {
+    const ratios = Object.entries(UNITS).map(([id, { scale }]) => [id, Math.abs(Math.log(size * scale / referenceSize))]);
+    const [best, distance] = ratios.reduce((a, b) => (b[1] < a[1] ? b : a));
+    // Revisions of a part rarely differ in size by more than a factor of two
+    if (distance < Math.log(2)) return best;
+  }
+  return size < 2 ? 'm' : null;
+}
+
+/**
+ * Unit a freshly loaded model is in: declared by the file, guessed from its
+ * size, or the default. Returns { unit, source } with source 'file',
+ * 'size' or 'default', so the UI can say how sure it is.
+ */
+export function detectUnit({ declared = null, size = null, referenceSize = null } = {}) {
+  if (UNITS[declared]) return { unit: declared, source: 'file' };
+  const guessed = guessUnitFromSize(size, referenceSize);
+  return guessed ? { unit: guessed, source: 'size' } : { unit: DEFAULT_UNIT, source: 'default' };
+}
+
+/**
+ * A group scaled from `unit` to millimetres around a copy of `object`. The
+ * copy shares its geometries and materials; `object` itself is left where it
+ * is, so earlier groups made from it stay intact when the unit changes.
+ */
+export function toMillimetres(object, unit) {
+  const group = new THREE.Group();
+  group.name = object.name;
+  group.add(object.clone());
+  group.scale.setScalar(UNITS[unit].scale);
+  group.updateMatrixWorld(true);
+  return group;
+}
+
+/**
+ * Converts a quantity from mm (or g) to `unit`: `kind` is 'length', 'area',
+ * 'volume', 'mass' or 'inertia' (g·mm²).
+ */
+export function convertFromMillimetres(value, kind, unit) {
+  if (typeof value !== 'number') return value;
+  const { scale, gramsPerMass } = UNITS[unit];
+  switch (kind) {
+    case 'length':
+      return value / scale;
+    case 'area':
+      return value / scale ** 2;
+    case 'volume':
+      return value / scale ** 3;
+    case 'mass':
+      return value / gramsPerMass;
+    case 'inertia':
+      return value / (gramsPerMass * scale ** 2);
+    default:
+      throw new Error(`Unknown quantity: ${kind}`);
+  }
+}
+
+/**
+ * Labels for each quantity in `unit`, e.g. { length: 'in', volume: 'in³', mass: 'lb' }.
+ */
+export function unitLabels(unit) {
+  const { length, mass } = UNITS[unit];
+  return {
+    length,
+    area: `${length}²`,
+    volume: `${length}³`,
+    mass,
+    inertia: `${mass}·${length}²`,
+  };
+}
@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Loaded as is by the /api/compare route, so the kernel finds its .wasm next to itself
+  serverExternalPackages: ['occt-import-js'],
+};
 
 export default nextConfig;
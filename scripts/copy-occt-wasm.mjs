@@ -0,0 +1,13 @@
+// scripts/copy-occt-wasm.mjs
+// Copies the OpenCascade kernel's .wasm into public/, where the page and its
+// workers fetch it (see lib/occt.js). The package is found through Node's own
+// resolution, so hoisted, pnpm and workspace installs all work.
+import { copyFileSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const source = require.resolve('occt-import-js/dist/occt-import-js.wasm');
+const target = new URL('../public/occt-import-js.wasm', import.meta.url);
+
+mkdirSync(new URL('./', target), { recursive: true });
+copyFileSync(source, target);
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { DEFAULT_DEVIATION_TOLERANCE, compareModelInfos, createModelInfo, detectModelUnits } from '../../../../lib/compare';
+import { parseModelHeadless } from '../../../../lib/formats';
+import { MATERIAL_PRESETS, resolveMaterial } from '../../../../lib/materials';
+import { DEFAULT_TESSELLATION } from '../../../../lib/occt';
+import { parseUnitName } from '../../../../lib/units';
+
+// OpenCascade and the geometry code need Node, not the edge runtime
+export const runtime = 'nodejs';
+
+const PARTS = ['original', 'modified'];
+
+const fail = (status, message) => NextResponse.json({ error: message }, { status });
+
+// A preset id ("al-6061-t6") or a JSON assignment ({ "presetId": …, "overrides": { … } })
+const parseMaterial = (value) => {
+  if (!value) {
+    return { presetId: null, overrides: {} };
+  }
+  const assignment = value.trim().startsWith('{') ? JSON.parse(value) : { presetId: value.trim() };
+  if (assignment.presetId && !MATERIAL_PRESETS.some(material => material.id === assignment.presetId)) {
+    throw new Error(`Unknown material "${assignment.presetId}"`);
+  }
+  return { presetId: assignment.presetId ?? null, overrides: assignment.overrides ?? {} };
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === null || value === '') return fallback;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+};
+
+// Same loaders as the uploader
+const parseUpload = file => parseModelHeadless(
+  file.name,
+  kind => (kind === 'Text' ? file.text() : file.arrayBuffer()),
+  { tessellation: DEFAULT_TESSELLATION }
+);
+
+/**
+ * POST /api/compare with multipart/form-data:
+ * - `original`, `modified`: the two mesh or CAD files (required)
+ * - `originalUnit`, `modifiedUnit`: mm, cm, m or in; detected like in the page when absent
+ * - `material`, `originalMaterial`, `modifiedMaterial`: a preset id or a JSON
+ *   { presetId, overrides }; the per-part fields win over `material`
+ * - `autoAlign`: "false" to compare the parts where they are (default true)
+ * - `deviationTolerance`: in mm (default 0.1)
+ *
+ * Responds with the same JSON the page's comparison produces, or { error }.
+ */
+export async function POST(request) {
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return fail(400, 'Expected a multipart/form-data body');
+  }
+
+  const files = Object.fromEntries(PARTS.map(part => [part, form.get(part)]));
+  const missing = PARTS.filter(part => typeof files[part]?.arrayBuffer !== 'function');
+  if (missing.length > 0) {
+    return fail(400, `Missing file field(s): ${missing.join(', ')}`);
+  }
+
+  let options;
+  try {
+    const units = Object.fromEntries(PARTS.map((part) => {
+      const value = form.get(`${part}Unit`);
+      const unit = value ? parseUnitName(value) : null;
+      if (value && !unit) {
+        throw new Error(`Unknown unit "${value}" for ${part}`);
+      }
+      return [part, unit];
+    }));
+    const materials = Object.fromEntries(PARTS.map(part => [
+      part,
+      resolveMaterial(parseMaterial(form.get(`${part}Material`) || form.get('material')), MATERIAL_PRESETS),
+    ]));
+    const tolerance = form.get('deviationTolerance');
+    const deviationTolerance = tolerance ? Number(tolerance) : DEFAULT_DEVIATION_TOLERANCE;
+    if (!(deviationTolerance >= 0)) {
+      throw new Error(`Invalid deviation tolerance "${tolerance}"`);
+    }
+    options = { units, materials, deviationTolerance, autoAlign: parseBoolean(form.get('autoAlign'), true) };
+  } catch (error) {
+    return fail(400, error.message);
+  }
+
+  const infos = {};
+  for (const part of PARTS) {
+    try {
+      const object = await parseUpload(files[part]);
+      // As in the page, the original's size is the hint for a modified part without a unit
+      const units = options.units[part]
+        ? { unit: options.units[part], detectedBy: 'user' }
+        : detectModelUnits(object, infos.original);
+      infos[part] = createModelInfo(object, units);
+    } catch (error) {
+      return fail(422, `Could not read ${part} (${files[part].name}): ${error.message}`);
+    }
+  }
+
+  try {
+    return NextResponse.json(compareModelInfos(infos.original, infos.modified, options));
+  } catch (error) {
+    console.error('Comparison error:', error);
+    return fail(500, `Error comparing models: ${error.message}`);
+  }
+}
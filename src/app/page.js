@@ -1,94 +1,248 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import * as THREE from 'three';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
 import { ModelViewer } from '../../components/ModelViewer';
+import { computeMass } from '../../lib/meshMetrics';
+import { computeDeviationAnalysis } from '../../lib/deviation';
+import {
+  DEFAULT_DEVIATION_TOLERANCE,
+  alignCopy,
+  computeModelStats,
+  createModelInfo,
+  detectModelUnits,
+  summarizeComparison
+} from '../../lib/compare';
+import { createCameraLink } from '../../lib/cameraLink';
+import { collectTriangles } from '../../lib/surfaceIndex';
+import { computeMassProperties, computeVolumeIntegrals } from '../../lib/massProperties';
+import { SECTION_AXES, computeSection, createSectionPlane, sectionRange } from '../../lib/section';
+import { ACCEPTED_FORMATS_LABEL, getFileFormat } from '../../lib/formats';
+import { loadModelFile } from '../../lib/loadModelFile';
+import { decimatedFile } from '../../lib/decimate';
+import { decimateModel } from '../../lib/decimateModel';
+import { measureRevisions } from '../../lib/measureRevisions';
+import { PROJECT_EXTENSION, createProjectArchive, readProjectArchive } from '../../lib/project';
+import { loadSession, saveSession } from '../../lib/sessionStore';
+import { deserializeObject, serializeObject } from '../../lib/serialization';
+import { moveItem, nextRevisionLabel } from '../../lib/revisions';
+import {
+  createAnnotation,
+  loadAnnotationAuthor,
+  mergeAnnotations,
+  parseAnnotations,
+  saveAnnotationAuthor,
+  serializeAnnotations
+} from '../../lib/annotations';
+import { DEFAULT_TESSELLATION } from '../../lib/occt';
+import { DEFAULT_UNIT, UNITS, convertFromMillimetres, unitLabels } from '../../lib/units';
+import {
+  MATERIAL_PRESETS,
+  MATERIAL_PROPERTIES,
+  loadCustomMaterials,
+  mergeMaterials,
+  normalizeMaterial,
+  parseMaterialLibrary,
+  resolveMaterial,
+  saveCustomMaterials,
+  serializeMaterialLibrary
+} from '../../lib/materials';
+import {
+  REPORT_SCHEMA,
+  REPORT_SCHEMA_FILE,
+  buildReport,
+  downloadFile,
+  hashFile,
+  printReport,
+  reportToCSV,
+  reportToHTML
+} from '../../lib/report';
+import AnnotationPanel from '../../components/AnnotationPanel';
 import CADFileUploader from '../../components/FileUploader';
+import DecimationPanel from '../../components/DecimationPanel';
+import DeviationHistogram from '../../components/DeviationHistogram';
+import MeshHealthPanel from '../../components/MeshHealthPanel';
+import MaterialEditor from '../../components/MaterialEditor';
+import MassPropertiesPanel from '../../components/MassPropertiesPanel';
+import MaterialLibraryPanel from '../../components/MaterialLibraryPanel';
+import RevisionList from '../../components/RevisionList';
+import RevisionTimeline from '../../components/RevisionTimeline';
+import SectionPanel from '../../components/SectionPanel';
+import UnitSelector from '../../components/UnitSelector';
 import { Alert, AlertDescription } from '../../components/ui/alert';
 import { Button } from '../../components/ui/button';
 import { Card } from '../../components/ui/card';
-import { InfoCircle } from 'lucide-react';
-
-// Add material properties mapping
-const MATERIAL_PROPERTIES = {
-  metallic: {
-    name: 'Metallic',
-    defaultValue: 0.5,
-    unit: '',
-    range: [0, 1]
-  },
-  roughness: {
-    name: 'Roughness',
-    defaultValue: 0.5,
-    unit: '',
-    range: [0, 1]
-  },
-  density: {
-    name: 'Density',
-    defaultValue: 1.0,
-    unit: 'g/cm³',
-    range: [0.1, 25]
-  },
-  elasticModulus: {
-    name: 'Elastic Modulus',
-    defaultValue: 200,
-    unit: 'GPa',
-    range: [0.1, 1000]
-  },
-  thermalConductivity: {
-    name: 'Thermal Conductivity',
-    defaultValue: 50,
-    unit: 'W/(m·K)',
-    range: [0.1, 500]
+import { Progress } from '../../components/ui/progress';
+import { Download, FilePlus, FolderOpen, InfoCircle, Printer, Save } from 'lucide-react';
+
+// Material properties found in the file, as overrides of the default material
+const fileMaterialOverrides = (model) => {
+  let sourceMaterial = model.material?.userData.generated ? null : model.material;
+  if (!sourceMaterial) {
+    // Formats like glTF and 3MF carry their materials on the child meshes
+    model.traverse((child) => {
+      const material = Array.isArray(child.material) ? child.material[0] : child.material;
+      if (!sourceMaterial && child.isMesh && material?.name && !material.userData.generated) {
+        sourceMaterial = material;
+      }
+    });
+  }
+
+  const overrides = {};
+  if (sourceMaterial) {
+    const material = sourceMaterial;
+    if (material.name) overrides.name = material.name;
+    if (material.color) overrides.color = `#${material.color.getHexString()}`;
+    if (material.metalness !== undefined) overrides.metallic = material.metalness;
+    if (material.roughness !== undefined) overrides.roughness = material.roughness;
+    Object.keys(MATERIAL_PROPERTIES).forEach((key) => {
+      if (material.userData?.[key]) overrides[key] = material.userData[key];
+    });
   }
+  return overrides;
+};
+
+// Timeline deviations are cached per baseline, revision model and alignment choice
+const timelineKey = (original, revision, autoAlign) => `${original.model.uuid}:${revision.info.model.uuid}:${autoAlign}`;
+
+// Cut outlines of the two parts, told apart when overlaid in one viewer
+const SECTION_COLORS = {
+  original: '#2563eb',
+  modified: '#dc2626'
 };
 
 export default function Home() {
-  const [originalModel, setOriginalModel] = useState(null);
-  const [modifiedModel, setModifiedModel] = useState(null);
+  // Every loaded revision in order: { id, label, info (see createModelInfo), file, fileMaterial }.
+  // `selection` picks the pair being compared, by revision id.
+  const [revisions, setRevisions] = useState([]);
+  const [selection, setSelection] = useState({ original: null, modified: null });
+  // Loads finish asynchronously, possibly several in a row; they need the list as it is by then
+  const latestRef = useRef({ revisions, selection });
+  latestRef.current = { revisions, selection };
+  const originalRevision = revisions.find(revision => revision.id === selection.original) ?? null;
+  const modifiedRevision = revisions.find(revision => revision.id === selection.modified) ?? null;
+  const originalModel = originalRevision?.info ?? null;
+  const modifiedModel = modifiedRevision?.info ?? null;
   const [compareResults, setCompareResults] = useState(null);
   const [loading, setLoading] = useState({
     original: false,
     modified: false,
+    revisions: false,
     comparing: false
   });
   const [error, setError] = useState(null);
-  
+  const [tessellation, setTessellation] = useState(DEFAULT_TESSELLATION);
+  const uploaderRefs = {
+    original: useRef(null),
+    modified: useRef(null),
+    revisions: useRef(null)
+  };
+  const parseOptions = useMemo(() => ({ tessellation }), [tessellation]);
+  const viewerRefs = {
+    original: useRef(null),
+    modified: useRef(null),
+    overlay: useRef(null)
+  };
+  // Name, size and SHA-256 of the compared files, for the exported report
+  const sourceFiles = {
+    original: originalRevision?.file ?? null,
+    modified: modifiedRevision?.file ?? null
+  };
+  const [showTimeline, setShowTimeline] = useState(false);
+  // The running simplification ({ phase, percent }) and the last one's outcome
+  const [decimation, setDecimation] = useState(null);
+  const [decimationResult, setDecimationResult] = useState(null);
+  const decimationRef = useRef(null);
+  // Restored from a session or project: the alignment it was saved with and the camera views
+  const [savedAlignment, setSavedAlignment] = useState(null);
+  const [restoredViews, setRestoredViews] = useState({ original: null, modified: null, overlay: null });
+  // The stored session is only overwritten once it has been read back
+  const [sessionReady, setSessionReady] = useState(false);
+  const storedModelsRef = useRef(new Set());
+  const projectInputRef = useRef(null);
+  const [deviationTolerance, setDeviationTolerance] = useState(DEFAULT_DEVIATION_TOLERANCE);
+  const [showDeviation, setShowDeviation] = useState(true);
+  const [autoAlign, setAutoAlign] = useState(true);
+  const [showAligned, setShowAligned] = useState(true);
+  const [linkViews, setLinkViews] = useState(false);
+  const [linkDisplay, setLinkDisplay] = useState(true);
+  // Unit the results are shown and exported in; models themselves are always in mm
+  const [reportUnit, setReportUnit] = useState(DEFAULT_UNIT);
+  const [showMassGizmos, setShowMassGizmos] = useState(false);
+  const [viewMode, setViewMode] = useState('side-by-side');
+  const [selectedIssue, setSelectedIssue] = useState({ original: null, modified: null });
+  // Review notes pinned to revisions; see lib/annotations
+  const [annotations, setAnnotations] = useState([]);
+  const [selectedAnnotation, setSelectedAnnotation] = useState(null);
+  const [annotationAuthor, setAnnotationAuthor] = useState('');
+  const [overlaySettings, setOverlaySettings] = useState({
+    original: { color: '#9ca3af', opacity: 0.35, visible: true },
+    modified: { color: '#156289', opacity: 1, visible: true }
+  });
+  const cameraLink = useMemo(() => createCameraLink(), []);
+  // The same kind of link, carrying display modes instead of camera views
+  const displayLink = useMemo(() => createCameraLink(), []);
+  const [sectionSettings, setSectionSettings] = useState({
+    enabled: false,
+    axis: 'z',
+    customNormal: [1, 1, 0],
+    flip: false,
+    // Fraction of the parts' extent along the normal
+    offset: 0.5
+  });
 
+  // Each part is assigned a library material, optionally overridden per property
   const [materialSettings, setMaterialSettings] = useState({
-    original: {
-      name: 'Default Material',
-      color: '#cccccc',
-      metallic: MATERIAL_PROPERTIES.metallic.defaultValue,
-      roughness: MATERIAL_PROPERTIES.roughness.defaultValue,
-      density: MATERIAL_PROPERTIES.density.defaultValue,
-      elasticModulus: MATERIAL_PROPERTIES.elasticModulus.defaultValue,
-      thermalConductivity: MATERIAL_PROPERTIES.thermalConductivity.defaultValue,
-    },
-    modified: {
-      name: 'Default Material',
-      color: '#cccccc',
-      metallic: MATERIAL_PROPERTIES.metallic.defaultValue,
-      roughness: MATERIAL_PROPERTIES.roughness.defaultValue,
-      density: MATERIAL_PROPERTIES.density.defaultValue,
-      elasticModulus: MATERIAL_PROPERTIES.elasticModulus.defaultValue,
-      thermalConductivity: MATERIAL_PROPERTIES.thermalConductivity.defaultValue,
-    }
+    original: { presetId: null, overrides: {}, keepFileMaterials: true },
+    modified: { presetId: null, overrides: {}, keepFileMaterials: true }
   });
+  const [customMaterials, setCustomMaterials] = useState([]);
+  // False while the stored library could not be read, so it is never overwritten
+  const customMaterialsStoredRef = useRef(false);
+  const materialLibrary = useMemo(() => [...MATERIAL_PRESETS, ...customMaterials], [customMaterials]);
+  const materials = useMemo(() => ({
+    original: resolveMaterial(materialSettings.original, materialLibrary),
+    modified: resolveMaterial(materialSettings.modified, materialLibrary)
+  }), [materialSettings, materialLibrary]);
+
+  // What each viewer renders: the file's own materials until the user overrides them
+  const appearance = useMemo(() => {
+    const forPart = type => ({
+      color: materials[type].color,
+      metalness: materials[type].metallic,
+      roughness: materials[type].roughness,
+      keepFileMaterials: materialSettings[type].keepFileMaterials
+    });
+    return { original: forPart('original'), modified: forPart('modified') };
+  }, [materials, materialSettings]);
 
+  // localStorage only exists in the browser, so load after mounting
+  useEffect(() => {
+    const stored = loadCustomMaterials();
+    customMaterialsStoredRef.current = stored !== null;
+    setCustomMaterials(stored ?? []);
+    setAnnotationAuthor(loadAnnotationAuthor());
+  }, []);
+
+
+  // Show `revision` as the original or modified part, with the material its file came with
+  const selectRevision = (slot, revision) => {
+    setSelection(prev => ({ ...prev, [slot]: revision.id }));
+    setRestoredViews(prev => ({ ...prev, [slot]: null, overlay: null }));
+    setSelectedIssue(prev => ({ ...prev, [slot]: null }));
+    setMaterialSettings(prev => ({
+      ...prev,
+      [slot]: { presetId: null, overrides: revision.fileMaterial, keepFileMaterials: true }
+    }));
+  };
 
-  const handleFileLoad = (filename, modelData, type) => {
+  // `type` is the slot the file was loaded for, or null when it is only added to the revisions
+  const handleFileLoad = (filename, modelData, type, file) => {
+    const loadingKey = type ?? 'revisions';
     setError(null);
-    setLoading(prev => ({ ...prev, [type]: true }));
+    setLoading(prev => ({ ...prev, [loadingKey]: true }));
 
     try {
-      // Calculate model statistics
-      let vertexCount = 0;
-      let faceCount = 0;
-      let boundingBox = new THREE.Box3();
-
       if (!modelData) {
         throw new Error('Model data is undefined or null');
       }
@@ -98,181 +252,489 @@ export default function Home() {
         // Handle STL files (which return geometry directly)
         const geometry = modelData;
         const material = new THREE.MeshPhongMaterial();
+        material.userData.generated = true;
         modelData = new THREE.Mesh(geometry, material);
       }
 
-      modelData.traverse((child) => {
-        if (child.isMesh) {
-          if (!child.geometry) {
-            throw new Error('Mesh geometry is undefined');
+      // STL, OBJ and PLY rarely say what unit they are in; the first revision's size is the best hint
+      const { revisions: current, selection: selected } = latestRef.current;
+
+      const revision = {
+        id: modelData.uuid,
+        label: nextRevisionLabel(current),
+        info: createModelInfo(modelData, detectModelUnits(modelData, current[0]?.info)),
+        file: { name: filename, size: file?.size ?? 0, sha256: null },
+        fileMaterial: fileMaterialOverrides(modelData),
+        // The file itself goes into saved sessions and projects
+        blob: file ?? null
+      };
+      setRevisions(prev => [...prev, revision]);
+      if (file) {
+        hashFile(file)
+          .then((sha256) => {
+            setRevisions(prev => prev.map(candidate => (
+              candidate.id === revision.id ? { ...candidate, file: { ...candidate.file, sha256 } } : candidate
+            )));
+          })
+          .catch(hashError => console.error('Error hashing file:', hashError));
+      }
+
+      // Revisions added to the list only fill a slot nobody has picked yet
+      const slot = type ?? ['original', 'modified'].find(key => !selected[key]);
+      if (slot) {
+        selectRevision(slot, revision);
+      }
+    } catch (error) {
+      console.error('Error processing model:', error);
+      setError(`Error processing ${type ?? 'revision'} model: ${error.message}`);
+    } finally {
+      setLoading(prev => ({ ...prev, [loadingKey]: false }));
+    }
+  };
+
+  const updateRevision = (id, changes) => {
+    setRevisions(prev => prev.map(revision => (revision.id === id ? { ...revision, ...changes } : revision)));
+  };
+
+  const handleUnitChange = (id, unit) => {
+    const revision = revisions.find(candidate => candidate.id === id);
+    try {
+      updateRevision(id, { info: createModelInfo(revision.info.source, { unit, detectedBy: 'user' }) });
+      // Issue locations were found in the old scale
+      setSelectedIssue(prev => ({
+        original: selection.original === id ? null : prev.original,
+        modified: selection.modified === id ? null : prev.modified
+      }));
+    } catch (error) {
+      console.error('Error converting model units:', error);
+      setError(`Error converting ${revision.label}: ${error.message}`);
+    }
+  };
+
+  const handleMoveRevision = (id, offset) => {
+    setRevisions((prev) => {
+      const index = prev.findIndex(revision => revision.id === id);
+      return moveItem(prev, index, index + offset);
+    });
+  };
+
+  const handleRemoveRevision = (id) => {
+    setRevisions(prev => prev.filter(revision => revision.id !== id));
+    setAnnotations(prev => prev.filter(annotation => annotation.revisionId !== id));
+    if (selection.original === id || selection.modified === id) {
+      setSelection(prev => ({
+        original: prev.original === id ? null : prev.original,
+        modified: prev.modified === id ? null : prev.modified
+      }));
+      setCompareResults(null);
+    }
+  };
+
+  // Simplifies a revision into a new one, loaded like a file, and compares the two
+  const handleDecimate = async (id, settings) => {
+    const revision = revisions.find(candidate => candidate.id === id);
+    const { unit } = revision.info.units;
+    setError(null);
+    setDecimation({ phase: 'simplifying', percent: 0 });
+
+    const job = decimateModel(revision.info.source, {
+      ...settings,
+      // The source is in its file's unit; the error is set in mm
+      maxError: settings.maxError / UNITS[unit].scale
+    }, {
+      onProgress: (progress) => {
+        if (decimationRef.current === job) setDecimation(progress);
+      }
+    });
+    decimationRef.current = job;
+
+    try {
+      const { object, report } = await job.promise;
+      const file = decimatedFile(object, revision.file.name, unit);
+      object.userData.declaredUnit = unit;
+      handleFileLoad(file.name, object, 'modified', file);
+      selectRevision('original', revision);
+      setDecimationResult({
+        revisionId: object.uuid,
+        sourceLabel: revision.label,
+        report: {
+          ...report,
+          deviation: {
+            hausdorff: report.deviation.hausdorff * UNITS[unit].scale,
+            rms: report.deviation.rms * UNITS[unit].scale
           }
-          
-          const geometry = child.geometry;
-          vertexCount += geometry.attributes.position.count;
-          faceCount += geometry.index ? 
-            geometry.index.count / 3 : 
-            geometry.attributes.position.count / 3;
-          
-          // Update bounding box
-          geometry.computeBoundingBox();
-          boundingBox.expandByObject(child);
         }
       });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error simplifying model:', error);
+        setError(`Error simplifying ${revision.label}: ${error.message}`);
+      }
+    } finally {
+      if (decimationRef.current === job) {
+        decimationRef.current = null;
+        setDecimation(null);
+      }
+    }
+  };
+
+  const handleCancelDecimation = () => {
+    decimationRef.current?.cancel();
+  };
+
+  const handleDownloadRevision = (id) => {
+    const { blob, file } = revisions.find(revision => revision.id === id);
+    downloadFile(blob, file.name, blob.type);
+  };
+
+  // Rigidly align the modified part onto the original before anything is compared
+  const alignment = useMemo(() => {
+    if (!autoAlign || !originalModel?.model || !modifiedModel?.model) {
+      return null;
+    }
+    try {
+      // Only for the very models it was saved with; a unit change or another pair aligns afresh
+      const saved = savedAlignment?.original === originalModel && savedAlignment?.modified === modifiedModel
+        ? savedAlignment.result
+        : null;
+      const result = alignCopy(modifiedModel.model, originalModel.model, saved);
+      return { ...result, stats: computeModelStats(result.model) };
+    } catch (error) {
+      console.error('Alignment error:', error);
+      return null;
+    }
+  }, [autoAlign, originalModel, modifiedModel, savedAlignment]);
+
+  const comparedModified = alignment
+    ? { model: alignment.model, stats: alignment.stats }
+    : modifiedModel;
+
+  // Shared frame so the aligned parts are displayed in the same place
+  const alignedFrame = useMemo(() => (
+    alignment && originalModel?.model ? new THREE.Box3().setFromObject(originalModel.model) : null
+  ), [alignment, originalModel]);
+  const viewAligned = Boolean(alignment) && showAligned;
+  const displayedModified = viewAligned ? alignment.model : modifiedModel?.model;
+
+  // Volume integrals are geometry-only; density is applied on top, so material edits stay cheap
+  const originalIntegrals = useMemo(() => (
+    originalModel?.model ? computeVolumeIntegrals(originalModel.model) : null
+  ), [originalModel]);
+  const modifiedIntegrals = useMemo(() => (
+    comparedModified?.model ? computeVolumeIntegrals(comparedModified.model) : null
+  ), [comparedModified?.model]);
+  // The raw view shows the modified part before alignment, in its own frame
+  const rawModifiedIntegrals = useMemo(() => (
+    displayedModified && displayedModified !== comparedModified?.model ? computeVolumeIntegrals(displayedModified) : null
+  ), [displayedModified, comparedModified?.model]);
+
+  const massProperties = useMemo(() => ({
+    original: computeMassProperties(originalIntegrals, materials.original.density),
+    modified: computeMassProperties(modifiedIntegrals, materials.modified.density)
+  }), [originalIntegrals, modifiedIntegrals, materials]);
+  const massGizmos = useMemo(() => (showMassGizmos ? {
+    original: massProperties.original,
+    modified: rawModifiedIntegrals
+      ? computeMassProperties(rawModifiedIntegrals, materials.modified.density)
+      : massProperties.modified
+  } : { original: null, modified: null }), [showMassGizmos, massProperties, rawModifiedIntegrals, materials]);
+
+  // Surface deviation only depends on the geometry, so keep it out of material updates
+  const deviationAnalysis = useMemo(() => {
+    if (!originalModel?.model || !comparedModified?.model) {
+      return null;
+    }
+    try {
+      return computeDeviationAnalysis(originalModel.model, comparedModified.model);
+    } catch (error) {
+      console.error('Deviation analysis error:', error);
+      return null;
+    }
+  }, [originalModel, comparedModified?.model]);
 
-      // Verify bounding box calculations
-      if (!boundingBox.min || !boundingBox.max) {
-        throw new Error('Failed to calculate model dimensions');
+  // Every revision against the baseline, for the timeline, measured in the
+  // background. Cached by model, so relabelling or reordering never redoes the
+  // alignment and deviation work; results show up as each revision is done.
+  const timelineCacheRef = useRef(new Map());
+  const [timelineResults, setTimelineResults] = useState(() => new Map());
+  const [timelineProgress, setTimelineProgress] = useState(null);
+  useEffect(() => {
+    if (!showTimeline || !originalModel) {
+      return undefined;
+    }
+    const cache = timelineCacheRef.current;
+    const pending = new Map();
+    revisions.forEach((revision) => {
+      const key = timelineKey(originalModel, revision, autoAlign);
+      if (revision.info !== originalModel && !cache.has(key)) {
+        pending.set(key, { key, label: revision.label, model: revision.info.model });
       }
+    });
+    if (pending.size === 0) {
+      return undefined;
+    }
 
-      const modelInfo = {
-        model: modelData,
-        stats: {
-          vertices: vertexCount,
-          faces: faceCount,
-          dimensions: {
-            x: boundingBox.max.x - boundingBox.min.x,
-            y: boundingBox.max.y - boundingBox.min.y,
-            z: boundingBox.max.z - boundingBox.min.z
-          }
+    setTimelineProgress({ done: 0, total: pending.size });
+    const job = measureRevisions(originalModel.model, [...pending.values()], {
+      autoAlign,
+      onResult: (key, deviation) => {
+        cache.set(key, deviation);
+        setTimelineResults(new Map(cache));
+        setTimelineProgress(prev => prev && { ...prev, done: prev.done + 1 });
+      }
+    });
+    job.promise
+      .then(() => setTimelineProgress(null))
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Revision timeline error:', error);
+          setTimelineProgress(null);
         }
-      };
+      });
+    return () => {
+      job.cancel();
+      setTimelineProgress(null);
+    };
+  }, [showTimeline, revisions, originalModel, autoAlign]);
+
+  const revisionDeviations = useMemo(() => {
+    if (!showTimeline || !originalModel) {
+      return null;
+    }
+    return new Map(revisions.map((revision) => {
+      if (revision.info === originalModel) {
+        return [revision.id, { rms: 0, max: 0 }];
+      }
+      return [revision.id, timelineResults.get(timelineKey(originalModel, revision, autoAlign))];
+    }));
+  }, [showTimeline, revisions, originalModel, autoAlign, timelineResults]);
 
-      if (type === 'original') {
-        setOriginalModel(modelInfo);
-      } else {
-        setModifiedModel(modelInfo);
+  const timelinePoints = useMemo(() => (
+    revisionDeviations && revisions.map(({ id, label, info: { stats } }) => ({
+      id,
+      label,
+      values: {
+        volume: stats.volume,
+        // The baseline's material for every revision, so mass follows the geometry alone
+        mass: computeMass(stats.volume, materials.original.density),
+        x: stats.dimensions.x,
+        y: stats.dimensions.y,
+        z: stats.dimensions.z,
+        deviationRms: revisionDeviations.get(id)?.rms ?? null,
+        deviationMax: revisionDeviations.get(id)?.max ?? null
       }
-      // Extract material information if available
-      let materialInfo = {
-        name: 'Default Material',
-        color: '#cccccc',
-        metallic: MATERIAL_PROPERTIES.metallic.defaultValue,
-        roughness: MATERIAL_PROPERTIES.roughness.defaultValue,
-        density: MATERIAL_PROPERTIES.density.defaultValue,
-        elasticModulus: MATERIAL_PROPERTIES.elasticModulus.defaultValue,
-        thermalConductivity: MATERIAL_PROPERTIES.thermalConductivity.defaultValue,
-      };
+    }))
+  ), [revisionDeviations, revisions, materials]);
+
+  const viewerDeviation = useMemo(() => {
+    if (!deviationAnalysis || !showDeviation) {
+      return { original: null, modified: null };
+    }
+    const forViewer = (values, summary) => ({
+      values,
+      min: summary.min,
+      max: summary.max,
+      range: Math.max(summary.maxAbs, deviationTolerance),
+      tolerance: deviationTolerance
+    });
+    return {
+      original: forViewer(deviationAnalysis.values.original, deviationAnalysis.reverse),
+      modified: forViewer(deviationAnalysis.values.modified, deviationAnalysis.forward)
+    };
+  }, [deviationAnalysis, showDeviation, deviationTolerance]);
+
+  // Notes are numbered across all revisions, so a pin and its list entry share one number
+  const numberedAnnotations = useMemo(() => annotations.map((annotation, index) => ({
+    ...annotation,
+    number: index + 1,
+    revisionLabel: revisions.find(revision => revision.id === annotation.revisionId)?.label ?? '?'
+  })), [annotations, revisions]);
+
+  // Pins of the shown revisions, placed like the issue highlights
+  const viewerAnnotations = useMemo(() => {
+    const forSlot = (slot, matrix) => ({
+      pins: numberedAnnotations.filter(annotation => annotation.revisionId === selection[slot]),
+      matrix
+    });
+    return {
+      original: forSlot('original', null),
+      modified: forSlot('modified', viewAligned ? alignment.matrix.toArray() : null)
+    };
+  }, [numberedAnnotations, selection, viewAligned, alignment]);
 
-      if (modelData.material) {
-        const material = modelData.material;
-        materialInfo = {
-          name: material.name || materialInfo.name,
-          color: material.color ? `#${material.color.getHexString()}` : materialInfo.color,
-          metallic: material.metalness !== undefined ? material.metalness : materialInfo.metallic,
-          roughness: material.roughness !== undefined ? material.roughness : materialInfo.roughness,
-          density: material.userData?.density || materialInfo.density,
-          elasticModulus: material.userData?.elasticModulus || materialInfo.elasticModulus,
-          thermalConductivity: material.userData?.thermalConductivity || materialInfo.thermalConductivity,
-        };
+  // Original as a translucent ghost, modified solid, both in one scene
+  const overlayModels = useMemo(() => {
+    if (!originalModel?.model || !modifiedModel?.model) {
+      return null;
+    }
+    return [
+      {
+        id: 'original',
+        label: 'Original',
+        model: originalModel.model,
+        massProperties: massGizmos.original,
+        appearance: appearance.original,
+        annotations: viewerAnnotations.original,
+        ...overlaySettings.original
+      },
+      {
+        id: 'modified',
+        label: 'Modified',
+        model: displayedModified,
+        deviation: viewerDeviation.modified,
+        massProperties: massGizmos.modified,
+        appearance: appearance.modified,
+        annotations: viewerAnnotations.modified,
+        ...overlaySettings.modified
       }
+    ];
+  }, [originalModel, modifiedModel, displayedModified, viewerDeviation, massGizmos, appearance, viewerAnnotations, overlaySettings]);
 
-      setMaterialSettings(prev => ({
-        ...prev,
-        [type]: materialInfo
-      }));
+  const handleOverlayChange = (id, property, value) => {
+    setOverlaySettings(prev => ({
+      ...prev,
+      [id]: {
+        ...prev[id],
+        [property]: value
+      }
+    }));
+  };
 
-    } catch (error) {
-      console.error('Error processing model:', error);
-      setError(`Error processing ${type} model: ${error.message}`);
-    } finally {
-      setLoading(prev => ({ ...prev, [type]: false }));
+  // Locations of the selected mesh-health issue, in the frame each viewer shows
+  const issueHighlight = useMemo(() => {
+    const forModel = (modelInfo, kind, matrix) => {
+      const issue = kind && modelInfo?.integrity?.issues.find(candidate => candidate.kind === kind);
+      return issue ? { points: issue.points, segments: issue.segments, matrix } : null;
+    };
+    return {
+      original: forModel(originalModel, selectedIssue.original, null),
+      modified: forModel(modifiedModel, selectedIssue.modified, viewAligned ? alignment.matrix.toArray() : null)
+    };
+  }, [originalModel, modifiedModel, selectedIssue, viewAligned, alignment]);
+
+  // Triangles are collected once per displayed model, so dragging the plane only re-cuts
+  const originalSectionTriangles = useMemo(() => (
+    sectionSettings.enabled && originalModel?.model ? collectTriangles(originalModel.model) : null
+  ), [sectionSettings.enabled, originalModel]);
+  const modifiedSectionTriangles = useMemo(() => (
+    sectionSettings.enabled && displayedModified ? collectTriangles(displayedModified) : null
+  ), [sectionSettings.enabled, displayedModified]);
+
+  // One plane, in model space, applied to both parts
+  const sectionPlane = useMemo(() => {
+    if (!sectionSettings.enabled) {
+      return null;
+    }
+    const axisNormal = SECTION_AXES[sectionSettings.axis].normal ?? sectionSettings.customNormal;
+    const normal = new THREE.Vector3().fromArray(axisNormal);
+    if (normal.lengthSq() === 0) {
+      return null;
+    }
+    normal.normalize();
+    if (sectionSettings.flip) {
+      normal.negate();
+    }
+
+    const bounds = new THREE.Box3();
+    [originalModel?.model, displayedModified].forEach((model) => {
+      if (model) bounds.expandByObject(model);
+    });
+    if (bounds.isEmpty()) {
+      return null;
+    }
+    const { min, max } = sectionRange(bounds, normal.toArray());
+    const position = min + (max - min) * sectionSettings.offset;
+    return { normal: normal.toArray(), position, plane: createSectionPlane(normal.toArray(), position) };
+  }, [sectionSettings, originalModel, displayedModified]);
+
+  const sectionResults = useMemo(() => {
+    if (!sectionPlane) {
+      return null;
+    }
+    const cut = triangles => triangles && computeSection(triangles, sectionPlane.plane);
+    return {
+      original: cut(originalSectionTriangles),
+      modified: cut(modifiedSectionTriangles)
+    };
+  }, [sectionPlane, originalSectionTriangles, modifiedSectionTriangles]);
+
+  // Each viewer caps its own part and outlines the other one on top
+  const viewerSections = useMemo(() => {
+    if (!sectionResults) {
+      return { original: null, modified: null, overlay: null };
+    }
+    const forViewer = capped => ({
+      normal: sectionPlane.normal,
+      constant: sectionPlane.plane.constant,
+      shapes: ['original', 'modified']
+        .filter(key => sectionResults[key])
+        .map(key => ({
+          id: key,
+          section: sectionResults[key],
+          color: SECTION_COLORS[key],
+          cap: key === capped
+        }))
+    });
+    return {
+      original: forViewer('original'),
+      modified: forViewer('modified'),
+      overlay: forViewer('modified')
+    };
+  }, [sectionPlane, sectionResults]);
+
+  // Two files dropped or picked at once fill original, then modified; more become revisions
+  const handleMultipleFiles = (files) => {
+    if (files.length > 2) {
+      handleRevisionFiles(files);
+      return;
+    }
+    uploaderRefs.original.current?.loadFile(files[0]);
+    if (files[1]) {
+      uploaderRefs.modified.current?.loadFile(files[1]);
+    }
+  };
+
+  // One after another, so they keep their order and the uploader shows each one's progress
+  const handleRevisionFiles = async (files) => {
+    for (const file of files) {
+      await uploaderRefs.revisions.current?.loadFile(file);
     }
   };
 
   const compareMaterials = () => {
-    if (!materialSettings.original || !materialSettings.modified) {
+    if (!materials.original || !materials.modified) {
       return null;
     }
 
     const calculateDiff = (newVal, oldVal) => ((newVal - oldVal) / oldVal) * 100;
 
     return {
-      colorDiff: materialSettings.original.color !== materialSettings.modified.color,
-      metallicDiff: calculateDiff(materialSettings.modified.metallic, materialSettings.original.metallic),
-      roughnessDiff: calculateDiff(materialSettings.modified.roughness, materialSettings.original.roughness),
-      densityDiff: calculateDiff(materialSettings.modified.density, materialSettings.original.density),
-      elasticModulusDiff: calculateDiff(materialSettings.modified.elasticModulus, materialSettings.original.elasticModulus),
-      thermalConductivityDiff: calculateDiff(materialSettings.modified.thermalConductivity, materialSettings.original.thermalConductivity),
+      colorDiff: materials.original.color !== materials.modified.color,
+      ...Object.fromEntries(Object.keys(MATERIAL_PROPERTIES).map(key => [
+        `${key}Diff`,
+        calculateDiff(materials.modified[key], materials.original[key])
+      ]))
     };
   };
 
   const compareModels = () => {
-    if (!originalModel?.model || !modifiedModel?.model) {
+    if (!originalModel?.model || !comparedModified?.model) {
       setError('Both models must be loaded to compare');
       return;
     }
 
     setLoading(prev => ({ ...prev, comparing: true }));
     try {
-      const original = originalModel.stats;
-      const modified = modifiedModel.stats;
-  
-      // Calculate percentage differences with safety checks
-      const calculatePercentageDiff = (newValue, oldValue) => {
-        if (typeof newValue !== 'number' || typeof oldValue !== 'number' || oldValue === 0) {
-          return 0;
-        }
-        return ((newValue - oldValue) / oldValue) * 100;
-      };
-  
-       // Calculate geometry differences
-    const vertexDiff = calculatePercentageDiff(modified.vertices, original.vertices);
-    const faceDiff = calculatePercentageDiff(modified.faces, original.faces);
-      
-    const dimensionDiff = {
-      x: calculatePercentageDiff(modified.dimensions?.x, original.dimensions?.x) || 0,
-      y: calculatePercentageDiff(modified.dimensions?.y, original.dimensions?.y) || 0,
-      z: calculatePercentageDiff(modified.dimensions?.z, original.dimensions?.z) || 0
-    };
-       // Calculate volume with validation
-    const originalVolume = original.dimensions ? 
-    original.dimensions.x * original.dimensions.y * original.dimensions.z : 0;
-  const modifiedVolume = modified.dimensions ? 
-    modified.dimensions.x * modified.dimensions.y * modified.dimensions.z : 0;
-  const volumeDiff = calculatePercentageDiff(modifiedVolume, originalVolume);
-  
-         // Calculate material differences
-    const materialDiffs = {
-      colorDiff: materialSettings.original.color !== materialSettings.modified.color,
-      metallicDiff: calculatePercentageDiff(
-        materialSettings.modified.metallic,
-        materialSettings.original.metallic
-      ),
-      roughnessDiff: calculatePercentageDiff(
-        materialSettings.modified.roughness,
-        materialSettings.original.roughness
-      ),
-      densityDiff: calculatePercentageDiff(
-        materialSettings.modified.density,
-        materialSettings.original.density
-      ),
-      elasticModulusDiff: calculatePercentageDiff(
-        materialSettings.modified.elasticModulus,
-        materialSettings.original.elasticModulus
-      ),
-      thermalConductivityDiff: calculatePercentageDiff(
-        materialSettings.modified.thermalConductivity,
-        materialSettings.original.thermalConductivity
-      )
-    };
-
-  
-    setCompareResults({
-      vertexDiff,
-      faceDiff,
-      dimensionDiff,
-      volumeDiff,
-      materialDiffs,
-      original: {
-        ...original,
-        material: materialSettings.original
-      },
-      modified: {
-        ...modified,
-        material: materialSettings.modified
-      },
-      timestamp: new Date().toISOString()
-    });
+      const results = summarizeComparison({
+        original: originalModel,
+        modified: modifiedModel,
+        materials,
+        massProperties,
+        alignment,
+        deviationAnalysis,
+        deviationTolerance
+      });
+      setCompareResults(results);
     } catch (error) {
       console.error('Comparison error:', error);
       setError('Error comparing models: ' + error.message);
@@ -281,23 +743,402 @@ export default function Home() {
     }
   };
 
+  // Picking a preset starts over from its values
+  const handleMaterialPreset = (type, presetId) => {
+    setMaterialSettings(prev => ({
+      ...prev,
+      [type]: { presetId, overrides: {}, keepFileMaterials: false }
+    }));
+  };
+
   const handleMaterialChange = (type, property, value) => {
     setMaterialSettings(prev => ({
       ...prev,
       [type]: {
         ...prev[type],
-        [property]: value
+        overrides: { ...prev[type].overrides, [property]: value },
+        keepFileMaterials: false
       }
     }));
   };
 
+  const handleMaterialReset = (type, property) => {
+    setMaterialSettings(prev => {
+      const { [property]: _removed, ...overrides } = prev[type].overrides;
+      return { ...prev, [type]: { ...prev[type], overrides } };
+    });
+  };
+
+  const updateCustomMaterials = (next) => {
+    setCustomMaterials(next);
+    if (customMaterialsStoredRef.current) {
+      saveCustomMaterials(next);
+    }
+  };
+
+  // Turn a part's current material, overrides included, into a library entry
+  const handleSaveMaterial = (type) => {
+    try {
+      const material = normalizeMaterial({ ...materials[type], id: null, category: 'Custom' });
+      updateCustomMaterials(mergeMaterials(customMaterials, [material]));
+      setMaterialSettings(prev => ({
+        ...prev,
+        [type]: { presetId: material.id, overrides: {}, keepFileMaterials: false }
+      }));
+    } catch (materialError) {
+      setError(`Could not save material: ${materialError.message}`);
+    }
+  };
+
+  const handleImportMaterials = async (file) => {
+    try {
+      const imported = parseMaterialLibrary(await file.text());
+      updateCustomMaterials(mergeMaterials(customMaterials, imported));
+    } catch (materialError) {
+      setError(`Could not import materials: ${materialError.message}`);
+    }
+  };
+
+  const handleRemoveMaterial = (id) => {
+    updateCustomMaterials(customMaterials.filter(material => material.id !== id));
+  };
+
+  // A click on the part shown in `slot` pins a new note to that revision
+  const handleAnnotate = (slot, { point, normal, view }) => {
+    const revisionId = selection[slot];
+    if (!revisionId) {
+      return;
+    }
+    const annotation = createAnnotation({ revisionId, point, normal, view, author: annotationAuthor });
+    setAnnotations(prev => [...prev, annotation]);
+    setSelectedAnnotation(annotation.id);
+  };
+
+  const updateAnnotation = (id, changes) => {
+    setAnnotations(prev => prev.map(annotation => (
+      annotation.id === id ? { ...annotation, ...changes, updatedAt: new Date().toISOString() } : annotation
+    )));
+  };
+
+  const handleRemoveAnnotation = (id) => {
+    setAnnotations(prev => prev.filter(annotation => annotation.id !== id));
+  };
+
+  const handleAuthorChange = (author) => {
+    setAnnotationAuthor(author);
+    saveAnnotationAuthor(author);
+  };
+
+  // Fly the viewer showing the note's revision to the view it was made from,
+  // bringing the revision up as the candidate first if it is not shown
+  const handleGoToAnnotation = (id) => {
+    const annotation = annotations.find(candidate => candidate.id === id);
+    setSelectedAnnotation(id);
+    if (!annotation?.view) {
+      return;
+    }
+    const slot = ['original', 'modified'].find(key => selection[key] === annotation.revisionId);
+    if (slot) {
+      const viewer = viewMode === 'overlay' && overlayModels ? 'overlay' : slot;
+      viewerRefs[viewer].current?.flyTo(annotation.view);
+      return;
+    }
+    const revision = revisions.find(candidate => candidate.id === annotation.revisionId);
+    if (revision) {
+      selectRevision('modified', revision);
+      setRestoredViews(prev => ({ ...prev, modified: annotation.view, overlay: annotation.view }));
+    }
+  };
+
+  const handleExportAnnotations = () => {
+    downloadFile(serializeAnnotations(annotations, revisions), `${reportBaseName()}-notes.json`, 'application/json');
+  };
+
+  const handleImportAnnotations = async (file) => {
+    try {
+      const { annotations: imported, unmatched } = parseAnnotations(await file.text(), revisions);
+      setAnnotations(prev => mergeAnnotations(prev, imported));
+      if (unmatched > 0) {
+        setError(`${unmatched} imported note(s) belong to files that are not loaded and were skipped`);
+      }
+    } catch (annotationError) {
+      setError(`Could not import notes: ${annotationError.message}`);
+    }
+  };
+
   // Add effect to recalculate comparisons when material settings change
 useEffect(() => {
   if (originalModel?.model && modifiedModel?.model) {
     compareModels();
   }
-}, [originalModel, modifiedModel, materialSettings]); // Add materialSettings as dependency
+}, [originalModel, modifiedModel, materials, massProperties, alignment, deviationAnalysis, deviationTolerance]); // Add materials as dependency
+
+
+  const createReport = () => buildReport(compareResults, {
+    files: sourceFiles,
+    unit: reportUnit,
+    section: sectionPlane && {
+      normal: sectionPlane.normal,
+      position: sectionPlane.position,
+      original: sectionResults.original && {
+        area: sectionResults.original.area,
+        perimeter: sectionResults.original.perimeter
+      },
+      modified: sectionResults.modified && {
+        area: sectionResults.modified.area,
+        perimeter: sectionResults.modified.perimeter
+      }
+    }
+  });
+
+  const reportBaseName = () => {
+    const stem = name => name?.replace(/\.[^.]+$/, '') ?? 'part';
+    return `comparison-${stem(sourceFiles.original?.name)}-vs-${stem(sourceFiles.modified?.name)}`;
+  };
+
+  const exportReport = (kind) => {
+    if (!compareResults) {
+      return;
+    }
+    const report = createReport();
+    if (kind === 'json') {
+      downloadFile(JSON.stringify(report, null, 2), `${reportBaseName()}.json`, 'application/json');
+    } else if (kind === 'schema') {
+      downloadFile(JSON.stringify(REPORT_SCHEMA, null, 2), REPORT_SCHEMA_FILE, 'application/schema+json');
+    } else if (kind === 'csv') {
+      downloadFile(reportToCSV(report), `${reportBaseName()}.csv`, 'text/csv');
+    } else {
+      // Snapshots of whichever viewers are currently shown
+      const snapshots = [
+        ['original', 'Original part'],
+        ['modified', 'Modified part'],
+        ['overlay', 'Overlay']
+      ]
+        .map(([key, label]) => ({ label, dataUrl: viewerRefs[key].current?.captureSnapshot() }))
+        .filter(snapshot => snapshot.dataUrl);
+      if (!printReport(reportToHTML(report, { snapshots }))) {
+        setError('The report window was blocked; allow pop-ups for this page to print it');
+      }
+    }
+  };
+
+  // Everything needed to reopen the page as it is now, apart from the models themselves
+  const captureProjectState = () => ({
+    revisions: revisions.map(({ id, label, info, file, fileMaterial }) => ({
+      id,
+      label,
+      units: info.units,
+      file,
+      fileMaterial
+    })),
+    selection,
+    materialSettings,
+    customMaterials,
+    annotations,
+    settings: {
+      tessellation,
+      deviationTolerance,
+      showDeviation,
+      autoAlign,
+      showAligned,
+      linkViews,
+      linkDisplay,
+      reportUnit,
+      showMassGizmos,
+      viewMode,
+      overlaySettings,
+      sectionSettings,
+      showTimeline
+    },
+    alignment: alignment && {
+      original: selection.original,
+      modified: selection.modified,
+      matrix: alignment.matrix.toArray(),
+      rmsError: alignment.rmsError,
+      iterations: alignment.iterations,
+      converged: alignment.converged
+    },
+    views: Object.fromEntries(Object.entries(viewerRefs).map(([key, viewerRef]) => [
+      key,
+      viewerRef.current?.getView() ?? restoredViews[key] ?? null
+    ])),
+    results: compareResults
+  });
+
+  // The inverse of captureProjectState; `models` maps revision ids to { object, blob }
+  const restoreProjectState = (state, models) => {
+    const restored = (state.revisions ?? [])
+      .filter(({ id }) => models.has(id))
+      .map(({ id, label, units, file, fileMaterial }) => ({
+        id,
+        label,
+        info: createModelInfo(models.get(id).object, units),
+        file,
+        fileMaterial: fileMaterial ?? {},
+        blob: models.get(id).blob ?? null
+      }));
+    const infoOf = id => restored.find(revision => revision.id === id)?.info ?? null;
+    const settings = state.settings ?? {};
+    const restore = (key, setter) => {
+      if (settings[key] !== undefined) {
+        setter(settings[key]);
+      }
+    };
+
+    setRevisions(restored);
+    setSelection({
+      original: infoOf(state.selection?.original) ? state.selection.original : null,
+      modified: infoOf(state.selection?.modified) ? state.selection.modified : null
+    });
+    setSelectedIssue({ original: null, modified: null });
+    setAnnotations((state.annotations ?? []).filter(annotation => infoOf(annotation.revisionId)));
+    setSelectedAnnotation(null);
+    if (state.materialSettings) {
+      setMaterialSettings(state.materialSettings);
+    }
+    restore('tessellation', setTessellation);
+    restore('deviationTolerance', setDeviationTolerance);
+    restore('showDeviation', setShowDeviation);
+    restore('autoAlign', setAutoAlign);
+    restore('showAligned', setShowAligned);
+    restore('linkViews', setLinkViews);
+    restore('linkDisplay', setLinkDisplay);
+    restore('reportUnit', setReportUnit);
+    restore('showMassGizmos', setShowMassGizmos);
+    restore('viewMode', setViewMode);
+    restore('overlaySettings', setOverlaySettings);
+    restore('sectionSettings', setSectionSettings);
+    restore('showTimeline', setShowTimeline);
+    const { original, modified, ...result } = state.alignment ?? {};
+    setSavedAlignment(state.alignment ? { original: infoOf(original), modified: infoOf(modified), result } : null);
+    setRestoredViews({ original: null, modified: null, overlay: null, ...state.views });
+    setCompareResults(state.results ?? null);
+  };
+
+  // New revisions' geometry is stored once; later saves only update the state
+  const saveCurrentSession = () => {
+    if (!sessionReady) {
+      return Promise.resolve();
+    }
+    const stored = storedModelsRef.current;
+    const added = revisions
+      .filter(revision => !stored.has(revision.id))
+      .map(revision => ({
+        id: revision.id,
+        geometry: serializeObject(revision.info.source).data,
+        blob: revision.blob
+      }));
+    const keep = revisions.map(revision => revision.id);
+    return saveSession(captureProjectState(), { added, keep })
+      .then(() => {
+        storedModelsRef.current = new Set(keep);
+      })
+      .catch(sessionError => console.warn('Could not save the session:', sessionError));
+  };
+  // Effects and listeners call whichever version is current
+  const sessionActionsRef = useRef({});
+  sessionActionsRef.current = { save: saveCurrentSession, restore: restoreProjectState };
+
+  // Bring back the last session once, before anything can overwrite it
+  useEffect(() => {
+    let cancelled = false;
+    loadSession()
+      .then((session) => {
+        if (cancelled || !session) {
+          return;
+        }
+        const models = new Map([...session.models].map(([id, { geometry, blob }]) => [
+          id,
+          { object: deserializeObject(geometry), blob }
+        ]));
+        sessionActionsRef.current.restore(session.state, models);
+        storedModelsRef.current = new Set(models.keys());
+      })
+      .catch(sessionError => console.warn('Could not restore the saved session:', sessionError))
+      .finally(() => {
+        if (!cancelled) {
+          setSessionReady(true);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Save a moment after the last change, and when the page is hidden so camera moves are kept
+  useEffect(() => {
+    const timer = setTimeout(() => sessionActionsRef.current.save(), 1000);
+    return () => clearTimeout(timer);
+  }, [
+    sessionReady, revisions, selection, materialSettings, annotations, compareResults, tessellation, deviationTolerance,
+    showDeviation, autoAlign, showAligned, linkViews, linkDisplay, reportUnit, showMassGizmos, viewMode,
+    overlaySettings, sectionSettings, showTimeline
+  ]);
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        sessionActionsRef.current.save();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  const handleNewSession = () => {
+    setRevisions([]);
+    setSelection({ original: null, modified: null });
+    setSelectedIssue({ original: null, modified: null });
+    setAnnotations([]);
+    setSelectedAnnotation(null);
+    setCompareResults(null);
+    setSavedAlignment(null);
+    setRestoredViews({ original: null, modified: null, overlay: null });
+  };
+
+  // A single archive with the source files, so it can be opened anywhere
+  const handleSaveProject = async () => {
+    try {
+      const missing = revisions.filter(revision => !revision.blob);
+      if (missing.length > 0) {
+        throw new Error(`the source file of ${missing.map(revision => revision.label).join(', ')} is not available`);
+      }
+      const sources = new Map(await Promise.all(revisions.map(async revision => [
+        revision.id,
+        { name: revision.file.name, bytes: new Uint8Array(await revision.blob.arrayBuffer()) }
+      ])));
+      const archive = createProjectArchive(captureProjectState(), sources);
+      downloadFile(archive, `${reportBaseName()}.${PROJECT_EXTENSION}`, 'application/zip');
+    } catch (projectError) {
+      setError(`Could not save project: ${projectError.message}`);
+    }
+  };
 
+  const handleOpenProject = async (file) => {
+    setError(null);
+    setLoading(prev => ({ ...prev, revisions: true }));
+    try {
+      const { state, sources } = readProjectArchive(new Uint8Array(await file.arrayBuffer()));
+      // Same tessellation as when it was saved, so STEP/IGES meshes come out identical
+      const options = { tessellation: state.settings?.tessellation ?? tessellation };
+      const models = new Map();
+      for (const [id, source] of sources) {
+        const format = getFileFormat(source.name);
+        if (!format) {
+          throw new Error(`unsupported file ${source.name}`);
+        }
+        models.set(id, { object: await loadModelFile(source, format, { options }).promise, blob: source });
+      }
+      if (state.customMaterials?.length) {
+        updateCustomMaterials(mergeMaterials(customMaterials, state.customMaterials));
+      }
+      restoreProjectState(state, models);
+    } catch (projectError) {
+      console.error('Error opening project:', projectError);
+      setError(`Could not open project: ${projectError.message}`);
+    } finally {
+      setLoading(prev => ({ ...prev, revisions: false }));
+    }
+  };
 
   const formatDifference = (value) => {
     // Check if value is undefined or not a number
@@ -308,13 +1149,78 @@ useEffect(() => {
     return `${sign}${value.toFixed(2)}%`;
   };
 
+  const formatTransform = (elements) => {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    new THREE.Matrix4().fromArray(elements).decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+    const degrees = [euler.x, euler.y, euler.z].map(angle => THREE.MathUtils.radToDeg(angle).toFixed(2));
+    return {
+      translation: `(${position.toArray().map(v => toReportUnit(v, 'length').toFixed(3)).join(', ')}) ${reportLabels.length}`,
+      rotation: `(${degrees.join('°, ')}°)`
+    };
+  };
+
+  const formatQuantity = (value, unit) => {
+    if (value === undefined || isNaN(value)) {
+      return '-';
+    }
+    return `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${unit}`;
+  };
+
+  // Results are kept in mm and g; `kind` is a quantity of lib/units
+  const reportLabels = unitLabels(reportUnit);
+  const toReportUnit = (value, kind) => convertFromMillimetres(value, kind, reportUnit);
+  const formatMeasure = (value, kind) => formatQuantity(toReportUnit(value, kind), reportLabels[kind]);
+
+  // Absolute change next to the relative one, e.g. "+0.8 mm (+2.00%)"; no `kind` means cost
+  const formatChange = (original, modified, percent, kind = null) => {
+    if (typeof original !== 'number' || typeof modified !== 'number') {
+      return formatDifference(percent);
+    }
+    const delta = kind ? toReportUnit(modified - original, kind) : modified - original;
+    const sign = delta > 0 ? '+' : '';
+    return `${sign}${formatQuantity(delta, kind ? reportLabels[kind] : 'USD')} (${formatDifference(percent)})`;
+  };
+
   return (
     <main className="min-h-screen p-8 bg-gray-50">
       <h1 className="text-3xl font-bold text-center mb-4">Mechanical Part Comparison</h1>
       <p className="text-center text-gray-600 mb-8">
-        Upload two mechanical part models (.stl format) to compare their geometry and dimensions
+        Upload two mechanical part models ({ACCEPTED_FORMATS_LABEL}) to compare their geometry and dimensions
       </p>
 
+      <div className="flex justify-center gap-2 -mt-4 mb-8">
+        <Button size="sm" variant="outline" onClick={handleNewSession} disabled={revisions.length === 0}>
+          <FilePlus className="w-4 h-4 mr-1" />
+          New session
+        </Button>
+        <Button size="sm" variant="outline" onClick={handleSaveProject} disabled={revisions.length === 0}>
+          <Save className="w-4 h-4 mr-1" />
+          Save project
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => projectInputRef.current?.click()}
+          disabled={loading.revisions}
+        >
+          <FolderOpen className="w-4 h-4 mr-1" />
+          Open project
+        </Button>
+        <input
+          ref={projectInputRef}
+          type="file"
+          accept={`.${PROJECT_EXTENSION},.zip`}
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) handleOpenProject(file);
+          }}
+        />
+      </div>
+
       {error && (
         <Alert variant="destructive" className="max-w-2xl mx-auto mb-4">
           <AlertDescription>{error}</AlertDescription>
@@ -325,130 +1231,344 @@ useEffect(() => {
         <div className="flex flex-col items-center gap-4">
           <h2 className="text-xl font-semibold">Original Part</h2>
           <CADFileUploader
+            ref={uploaderRefs.original}
             type="original"
-            onFileLoad={(file, fileContent) => handleFileLoad(file, fileContent, 'original')}
+            onMultipleFiles={handleMultipleFiles}
+            onFileLoad={(name, fileContent, file) => handleFileLoad(name, fileContent, 'original', file)}
             disabled={loading.original}
+            parseOptions={parseOptions}
           />
+          {originalModel && (
+            <UnitSelector
+              units={originalModel.units}
+              onChange={(unit) => handleUnitChange(originalRevision.id, unit)}
+            />
+          )}
         </div>
 
         <div className="flex flex-col items-center gap-4">
           <h2 className="text-xl font-semibold">Modified Part</h2>
           <CADFileUploader
+            ref={uploaderRefs.modified}
             type="modified"
-            onFileLoad={(file, fileContent) => handleFileLoad(file, fileContent, 'modified')}
+            onMultipleFiles={handleMultipleFiles}
+            onFileLoad={(name, fileContent, file) => handleFileLoad(name, fileContent, 'modified', file)}
             disabled={loading.modified}
+            parseOptions={parseOptions}
           />
+          {modifiedModel && (
+            <UnitSelector
+              units={modifiedModel.units}
+              onChange={(unit) => handleUnitChange(modifiedRevision.id, unit)}
+            />
+          )}
         </div>
       </div>
 
-       {/* Material Settings Cards */}
-       <div className="flex justify-center gap-8 mb-8">
-        <Card className="p-6">
-          <h3 className="text-xl font-semibold mb-4">Original Part Material</h3>
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium mb-1">Material Name</label>
-              <input
-                type="text"
-                value={materialSettings.original.name}
-                onChange={(e) => handleMaterialChange('original', 'name', e.target.value)}
-                className="w-full p-2 border rounded"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Color</label>
-              <input
-                type="color"
-                value={materialSettings.original.color}
-                onChange={(e) => handleMaterialChange('original', 'color', e.target.value)}
-                className="w-full"
-              />
-            </div>
-            {Object.entries(MATERIAL_PROPERTIES).map(([key, prop]) => (
-              <div key={key}>
-                <label className="block text-sm font-medium mb-1">
-                  {prop.name} {prop.unit && `(${prop.unit})`}
-                </label>
-                <input
-                  type="range"
-                  min={prop.range[0]}
-                  max={prop.range[1]}
-                  step={(prop.range[1] - prop.range[0]) / 100}
-                  value={materialSettings.original[key]}
-                  onChange={(e) => handleMaterialChange('original', key, parseFloat(e.target.value))}
-                  className="w-full"
-                />
-                <span className="text-sm">{materialSettings.original[key].toFixed(2)}</span>
-              </div>
-            ))}
+      <Card className="max-w-4xl mx-auto mb-8 p-4">
+        <div className="flex items-start justify-between gap-4 mb-2">
+          <div>
+            <h3 className="text-lg font-semibold">Revisions</h3>
+            <p className="text-sm text-gray-500">
+              Load every revision of the part, then pick any two to compare as baseline and candidate.
+            </p>
           </div>
-        </Card>
-
-        <Card className="p-6">
-          <h3 className="text-xl font-semibold mb-4">Modified Part Material</h3>
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium mb-1">Material Name</label>
-              <input
-                type="text"
-                value={materialSettings.modified.name}
-                onChange={(e) => handleMaterialChange('modified', 'name', e.target.value)}
-                className="w-full p-2 border rounded"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Color</label>
-              <input
-                type="color"
-                value={materialSettings.modified.color}
-                onChange={(e) => handleMaterialChange('modified', 'color', e.target.value)}
-                className="w-full"
-              />
+          <div className="w-72">
+            <CADFileUploader
+              ref={uploaderRefs.revisions}
+              type="revisions"
+              onMultipleFiles={handleRevisionFiles}
+              onFileLoad={(name, fileContent, file) => handleFileLoad(name, fileContent, null, file)}
+              disabled={loading.revisions}
+              parseOptions={parseOptions}
+            />
+          </div>
+        </div>
+        <RevisionList
+          revisions={revisions}
+          selection={selection}
+          onSelect={(slot, id) => selectRevision(slot, revisions.find(revision => revision.id === id))}
+          onRename={(id, label) => updateRevision(id, { label })}
+          onMove={handleMoveRevision}
+          onRemove={handleRemoveRevision}
+          onUnitChange={handleUnitChange}
+        />
+        {revisions.length > 1 && (
+          <label className="flex items-center gap-2 mt-4 text-sm">
+            <input
+              type="checkbox"
+              checked={showTimeline}
+              onChange={(e) => setShowTimeline(e.target.checked)}
+            />
+            Timeline of all revisions
+            <span className="text-gray-500">(deviation is measured against the baseline)</span>
+          </label>
+        )}
+        {showTimeline && timelineProgress && (
+          <div className="mt-4">
+            <div className="mb-1 text-xs text-gray-500">
+              Measuring deviation… {timelineProgress.done} of {timelineProgress.total} revisions
             </div>
-            {Object.entries(MATERIAL_PROPERTIES).map(([key, prop]) => (
-              <div key={key}>
-                <label className="block text-sm font-medium mb-1">
-                  {prop.name} {prop.unit && `(${prop.unit})`}
-                </label>
-                <input
-                  type="range"
-                  min={prop.range[0]}
-                  max={prop.range[1]}
-                  step={(prop.range[1] - prop.range[0]) / 100}
-                  value={materialSettings.modified[key]}
-                  onChange={(e) => handleMaterialChange('modified', key, parseFloat(e.target.value))}
-                  className="w-full"
-                />
-                <span className="text-sm">{materialSettings.modified[key].toFixed(2)}</span>
-              </div>
-            ))}
+            <Progress value={(timelineProgress.done / timelineProgress.total) * 100} />
           </div>
-        </Card>
+        )}
+        {showTimeline && (
+          <RevisionTimeline
+            points={timelinePoints}
+            unit={reportUnit}
+            selection={selection}
+            onSelect={(id) => selectRevision('modified', revisions.find(revision => revision.id === id))}
+            className="mt-4"
+          />
+        )}
+      </Card>
+
+      <Card className="max-w-4xl mx-auto mb-8 p-4">
+        <h3 className="text-lg font-semibold">Simplify</h3>
+        <p className="text-sm text-gray-500 mb-2">
+          Reduce a dense scan or export to fewer triangles, keeping its boundaries and sharp edges.
+          The result is added as a new revision and compared with its source.
+        </p>
+        <DecimationPanel
+          revisions={revisions}
+          defaultRevisionId={selection.original}
+          status={decimation}
+          result={decimationResult}
+          unit={reportUnit}
+          onSimplify={handleDecimate}
+          onCancel={handleCancelDecimation}
+          onDownload={handleDownloadRevision}
+        />
+      </Card>
+
+      {/* Tessellation quality for STEP/IGES, applied to the next file loaded */}
+      <div className="flex justify-center gap-6 mb-8 text-sm">
+        <span className="font-medium">STEP/IGES tessellation</span>
+        <label className="flex items-center gap-2">
+          Linear deflection (ratio of size)
+          <input
+            type="number"
+            min={0.0001}
+            max={0.1}
+            step={0.0005}
+            value={tessellation.linearDeflection}
+            onChange={(e) => setTessellation(prev => ({ ...prev, linearDeflection: parseFloat(e.target.value) || DEFAULT_TESSELLATION.linearDeflection }))}
+            className="w-24 p-1 border rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Angular deflection (rad)
+          <input
+            type="number"
+            min={0.05}
+            max={1.5}
+            step={0.05}
+            value={tessellation.angularDeflection}
+            onChange={(e) => setTessellation(prev => ({ ...prev, angularDeflection: parseFloat(e.target.value) || DEFAULT_TESSELLATION.angularDeflection }))}
+            className="w-20 p-1 border rounded"
+          />
+        </label>
+      </div>
+
+       {/* Material Settings Cards */}
+      <MaterialLibraryPanel
+        customMaterials={customMaterials}
+        onImport={handleImportMaterials}
+        onExport={() => downloadFile(serializeMaterialLibrary(customMaterials), 'materials.json', 'application/json')}
+        onRemove={handleRemoveMaterial}
+        className="max-w-4xl mx-auto mb-4"
+      />
+      <div className="flex justify-center gap-8 mb-8">
+        {[['original', 'Original Part Material'], ['modified', 'Modified Part Material']].map(([type, title]) => (
+          <MaterialEditor
+            key={type}
+            title={title}
+            material={materials[type]}
+            library={materialLibrary}
+            onSelectPreset={(presetId) => handleMaterialPreset(type, presetId)}
+            onChange={(property, value) => handleMaterialChange(type, property, value)}
+            onReset={(property) => handleMaterialReset(type, property)}
+            onSave={() => handleSaveMaterial(type)}
+            usesFileMaterials={materialSettings[type].keepFileMaterials && Boolean((type === 'original' ? originalModel : modifiedModel)?.hasFileMaterials)}
+            onOverrideFileMaterials={() => setMaterialSettings(prev => ({
+              ...prev,
+              [type]: { ...prev[type], keepFileMaterials: false }
+            }))}
+          />
+        ))}
       </div>
 
 
       {/* Comparison Results */}
       {compareResults && (
         <Card className="max-w-2xl mx-auto mb-8 p-6">
-          <h3 className="text-xl font-semibold mb-4">Comparison Results</h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-semibold">Comparison Results</h3>
+            <div className="flex items-center gap-2">
+              <UnitSelector
+                label="Report in"
+                units={{ unit: reportUnit }}
+                onChange={setReportUnit}
+              />
+              <Button size="sm" variant="outline" onClick={() => exportReport('json')}>
+                <Download className="w-4 h-4 mr-1" />
+                JSON
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => exportReport('schema')} title="JSON Schema of the JSON export">
+                <Download className="w-4 h-4 mr-1" />
+                Schema
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => exportReport('csv')}>
+                <Download className="w-4 h-4 mr-1" />
+                CSV
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => exportReport('print')}>
+                <Printer className="w-4 h-4 mr-1" />
+                Report
+              </Button>
+            </div>
+          </div>
+          {compareResults.warnings?.length > 0 && (
+            <Alert className="mb-4 border-yellow-300 bg-yellow-50 text-yellow-800">
+              <AlertDescription>
+                {compareResults.warnings.map((warning) => (
+                  <p key={warning}>{warning}</p>
+                ))}
+              </AlertDescription>
+            </Alert>
+          )}
           <div className="grid grid-cols-2 gap-4">
             <div>
               <h4 className="font-medium mb-2">Geometry Changes</h4>
               <ul className="space-y-2">
                 <li>Vertices: {formatDifference(compareResults.vertexDiff)}</li>
                 <li>Faces: {formatDifference(compareResults.faceDiff)}</li>
-                <li>Volume: {formatDifference(compareResults.volumeDiff)}</li>
               </ul>
             </div>
             <div>
               <h4 className="font-medium mb-2">Dimensional Changes</h4>
               <ul className="space-y-2">
-                <li>Width (X): {formatDifference(compareResults.dimensionDiff.x)}</li>
-                <li>Height (Y): {formatDifference(compareResults.dimensionDiff.y)}</li>
-                <li>Depth (Z): {formatDifference(compareResults.dimensionDiff.z)}</li>
+                {[['x', 'Width (X)'], ['y', 'Height (Y)'], ['z', 'Depth (Z)']].map(([axis, label]) => (
+                  <li key={axis}>
+                    {label}: {formatMeasure(compareResults.original.dimensions[axis], 'length')} →{' '}
+                    {formatMeasure(compareResults.modified.dimensions[axis], 'length')}
+                    <span className="block text-sm text-gray-600">
+                      {formatChange(
+                        compareResults.original.dimensions[axis],
+                        compareResults.modified.dimensions[axis],
+                        compareResults.dimensionDiff[axis],
+                        'length'
+                      )}
+                    </span>
+                  </li>
+                ))}
               </ul>
             </div>
           </div>
+          <h4 className="font-medium mt-6 mb-2">Volume, Area and Mass</h4>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-normal"></th>
+                <th className="font-normal">Original</th>
+                <th className="font-normal">Modified</th>
+                <th className="font-normal">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Volume</td>
+                <td>{formatMeasure(compareResults.original.volume, 'volume')}</td>
+                <td>{formatMeasure(compareResults.modified.volume, 'volume')}</td>
+                <td>{formatChange(compareResults.original.volume, compareResults.modified.volume, compareResults.volumeDiff, 'volume')}</td>
+              </tr>
+              <tr>
+                <td>Surface Area</td>
+                <td>{formatMeasure(compareResults.original.surfaceArea, 'area')}</td>
+                <td>{formatMeasure(compareResults.modified.surfaceArea, 'area')}</td>
+                <td>{formatChange(compareResults.original.surfaceArea, compareResults.modified.surfaceArea, compareResults.surfaceAreaDiff, 'area')}</td>
+              </tr>
+              <tr>
+                <td>Mass</td>
+                <td>{formatMeasure(compareResults.original.mass, 'mass')}</td>
+                <td>{formatMeasure(compareResults.modified.mass, 'mass')}</td>
+                <td>{formatChange(compareResults.original.mass, compareResults.modified.mass, compareResults.massDiff, 'mass')}</td>
+              </tr>
+              <tr>
+                <td>Material Cost</td>
+                <td>{formatQuantity(compareResults.original.cost, 'USD')}</td>
+                <td>{formatQuantity(compareResults.modified.cost, 'USD')}</td>
+                <td>{formatChange(compareResults.original.cost, compareResults.modified.cost, compareResults.costDiff)}</td>
+              </tr>
+            </tbody>
+          </table>
+          {(compareResults.original.massProperties || compareResults.modified.massProperties) && (
+            <>
+              <h4 className="font-medium mt-6 mb-2">Mass Properties</h4>
+              <MassPropertiesPanel
+                original={compareResults.original.massProperties}
+                modified={compareResults.modified.massProperties}
+                diff={compareResults.massPropertiesDiff}
+                unit={reportUnit}
+              />
+            </>
+          )}
+          {compareResults.alignment && (
+            <>
+              <h4 className="font-medium mt-6 mb-2">Alignment</h4>
+              <ul className="grid grid-cols-2 gap-2 text-sm">
+                <li>RMS error: {formatMeasure(compareResults.alignment.rmsError, 'length')}</li>
+                <li>
+                  ICP iterations: {compareResults.alignment.iterations}
+                  {!compareResults.alignment.converged && ' (not converged)'}
+                </li>
+                <li>Translation: {formatTransform(compareResults.alignment.matrix).translation}</li>
+                <li>Rotation: {formatTransform(compareResults.alignment.matrix).rotation}</li>
+              </ul>
+            </>
+          )}
+          {compareResults.deviation && (
+            <>
+              <div className="flex items-center justify-between mt-6 mb-2">
+                <h4 className="font-medium">Surface Deviation</h4>
+                <div className="flex items-center gap-4 text-sm">
+                  <label className="flex items-center gap-1">
+                    Tolerance ({reportLabels.length})
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.01}
+                      value={Number(toReportUnit(deviationTolerance, 'length').toPrecision(6))}
+                      onChange={(e) => setDeviationTolerance(Math.max(0, parseFloat(e.target.value) || 0) * UNITS[reportUnit].scale)}
+                      className="w-20 p-1 border rounded"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={showDeviation}
+                      onChange={(e) => setShowDeviation(e.target.checked)}
+                    />
+                    Heatmap
+                  </label>
+                </div>
+              </div>
+              <ul className="grid grid-cols-2 gap-2 text-sm">
+                <li>Hausdorff: {formatMeasure(compareResults.deviation.hausdorff, 'length')}</li>
+                <li>Within tolerance: {(compareResults.deviation.withinTolerance * 100).toFixed(1)}%</li>
+                <li>Mean: {formatMeasure(compareResults.deviation.mean, 'length')}</li>
+                <li>RMS: {formatMeasure(compareResults.deviation.rms, 'length')}</li>
+                <li>Min: {formatMeasure(compareResults.deviation.min, 'length')}</li>
+                <li>Max: {formatMeasure(compareResults.deviation.max, 'length')}</li>
+              </ul>
+              <DeviationHistogram
+                bins={compareResults.deviation.histogram}
+                tolerance={compareResults.deviation.tolerance}
+                unit={reportUnit}
+                className="mt-4"
+              />
+            </>
+          )}
         </Card>
       )}
 
@@ -457,28 +1577,186 @@ useEffect(() => {
         <Card className="max-w-2xl mx-auto mb-8 p-6">
           <h3 className="text-xl font-semibold mb-4">Material Changes</h3>
           <div className="space-y-2">
+            <p>
+              Material: {compareResults.original.material.name} → {compareResults.modified.material.name}
+            </p>
             <p>Color: {compareResults.materialDiffs.colorDiff ? 'Changed' : 'No change'}</p>
-            <p>Metallic: {formatDifference(compareResults.materialDiffs.metallicDiff)}</p>
-            <p>Roughness: {formatDifference(compareResults.materialDiffs.roughnessDiff)}</p>
-            <p>Density: {formatDifference(compareResults.materialDiffs.densityDiff)}</p>
-            <p>Elastic Modulus: {formatDifference(compareResults.materialDiffs.elasticModulusDiff)}</p>
-            <p>Thermal Conductivity: {formatDifference(compareResults.materialDiffs.thermalConductivityDiff)}</p>
+            {Object.entries(MATERIAL_PROPERTIES).map(([key, prop]) => (
+              <p key={key}>{prop.name}: {formatDifference(compareResults.materialDiffs[`${key}Diff`])}</p>
+            ))}
           </div>
         </Card>
       )}
 
       
 
+      <div className="flex justify-center gap-6 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={autoAlign}
+            onChange={(e) => setAutoAlign(e.target.checked)}
+          />
+          Auto-align modified part (PCA + ICP)
+        </label>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant={viewAligned ? 'default' : 'outline'}
+            disabled={!alignment}
+            onClick={() => setShowAligned(true)}
+          >
+            Aligned view
+          </Button>
+          <Button
+            size="sm"
+            variant={viewAligned ? 'outline' : 'default'}
+            onClick={() => setShowAligned(false)}
+          >
+            Raw view
+          </Button>
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={linkViews}
+            onChange={(e) => setLinkViews(e.target.checked)}
+          />
+          Link views
+        </label>
+        {linkViews && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={linkDisplay}
+              onChange={(e) => setLinkDisplay(e.target.checked)}
+            />
+            Same display mode in both
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showMassGizmos}
+            onChange={(e) => setShowMassGizmos(e.target.checked)}
+          />
+          Center of mass &amp; principal axes
+        </label>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant={viewMode === 'side-by-side' ? 'default' : 'outline'}
+            onClick={() => setViewMode('side-by-side')}
+          >
+            Side by side
+          </Button>
+          <Button
+            size="sm"
+            variant={viewMode === 'overlay' ? 'default' : 'outline'}
+            disabled={!overlayModels}
+            onClick={() => setViewMode('overlay')}
+          >
+            Overlay
+          </Button>
+        </div>
+      </div>
+
+      {(originalModel || modifiedModel) && (
+        <Card className="max-w-4xl mx-auto mb-4 p-4">
+          <SectionPanel
+            settings={sectionSettings}
+            onChange={(property, value) => setSectionSettings(prev => ({ ...prev, [property]: value }))}
+            position={sectionPlane?.position}
+            results={sectionResults}
+            colors={SECTION_COLORS}
+            unit={reportUnit}
+          />
+        </Card>
+      )}
+
+      {viewMode === 'overlay' && overlayModels ? (
+      <div className="flex flex-wrap justify-center gap-8">
+        <div className="flex flex-col items-center bg-white p-4 rounded-lg shadow-md">
+          <h3 className="text-lg font-medium mb-2">Overlay</h3>
+          <ModelViewer
+            ref={viewerRefs.overlay}
+            width={800}
+            height={600}
+            models={overlayModels}
+            frame={alignedFrame}
+            // Measured in the baseline file's units, like each part's own viewer
+            unit={originalModel.units.unit}
+            section={viewerSections.overlay}
+            displayKey="overlay"
+            view={restoredViews.overlay}
+            selectedAnnotation={selectedAnnotation}
+            onAnnotate={pick => handleAnnotate(pick.layerId, pick)}
+            onAnnotationSelect={setSelectedAnnotation}
+          />
+          <div className="mt-4 flex gap-8 text-sm">
+            {overlayModels.map((layer) => (
+              <div key={layer.id} className="flex items-center gap-3">
+                <label className="flex items-center gap-1 font-medium">
+                  <input
+                    type="checkbox"
+                    checked={layer.visible}
+                    onChange={(e) => handleOverlayChange(layer.id, 'visible', e.target.checked)}
+                  />
+                  {layer.label}
+                </label>
+                <input
+                  type="color"
+                  value={layer.color}
+                  onChange={(e) => handleOverlayChange(layer.id, 'color', e.target.value)}
+                />
+                <input
+                  type="range"
+                  min={0.05}
+                  max={1}
+                  step={0.05}
+                  value={layer.opacity}
+                  onChange={(e) => handleOverlayChange(layer.id, 'opacity', parseFloat(e.target.value))}
+                />
+                <span>{Math.round(layer.opacity * 100)}%</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+      ) : (
       <div className="flex flex-wrap justify-center gap-8">
         <div className="flex flex-col items-center bg-white p-4 rounded-lg shadow-md">
           <h3 className="text-lg font-medium mb-2">Original Part</h3>
           {originalModel ? (
             <>
-              <ModelViewer
-                width={500}
-                height={500}
-                modelData={originalModel.model}
-              />
+              <div className="flex gap-4">
+                <ModelViewer
+                  ref={viewerRefs.original}
+                  width={500}
+                  height={500}
+                  modelData={originalModel.model}
+                  deviation={viewerDeviation.original}
+                  frame={viewAligned ? alignedFrame : null}
+                  cameraLink={linkViews ? cameraLink : null}
+                  highlight={issueHighlight.original}
+                  unit={originalModel.units.unit}
+                  section={viewerSections.original}
+                  massProperties={massGizmos.original}
+                  appearance={appearance.original}
+                  displayKey="original"
+                  view={restoredViews.original}
+                  annotations={viewerAnnotations.original}
+                  selectedAnnotation={selectedAnnotation}
+                  onAnnotate={pick => handleAnnotate('original', pick)}
+                  onAnnotationSelect={setSelectedAnnotation}
+                  displayLink={linkViews && linkDisplay ? displayLink : null}
+                />
+                <MeshHealthPanel
+                  integrity={originalModel.integrity}
+                  selectedKind={selectedIssue.original}
+                  onSelect={(kind) => setSelectedIssue(prev => ({ ...prev, original: kind }))}
+                />
+              </div>
               <div className="mt-4 text-sm">
                 <p>Vertices: {originalModel.stats.vertices}</p>
                 <p>Faces: {originalModel.stats.faces}</p>
@@ -495,11 +1773,34 @@ useEffect(() => {
           <h3 className="text-lg font-medium mb-2">Modified Part</h3>
           {modifiedModel ? (
             <>
-              <ModelViewer
-                width={500}
-                height={500}
-                modelData={modifiedModel.model}
-              />
+              <div className="flex gap-4">
+                <ModelViewer
+                  ref={viewerRefs.modified}
+                  width={500}
+                  height={500}
+                  modelData={displayedModified}
+                  deviation={viewerDeviation.modified}
+                  frame={viewAligned ? alignedFrame : null}
+                  cameraLink={linkViews ? cameraLink : null}
+                  highlight={issueHighlight.modified}
+                  unit={modifiedModel.units.unit}
+                  section={viewerSections.modified}
+                  massProperties={massGizmos.modified}
+                  appearance={appearance.modified}
+                  displayKey="modified"
+                  view={restoredViews.modified}
+                  annotations={viewerAnnotations.modified}
+                  selectedAnnotation={selectedAnnotation}
+                  onAnnotate={pick => handleAnnotate('modified', pick)}
+                  onAnnotationSelect={setSelectedAnnotation}
+                  displayLink={linkViews && linkDisplay ? displayLink : null}
+                />
+                <MeshHealthPanel
+                  integrity={modifiedModel.integrity}
+                  selectedKind={selectedIssue.modified}
+                  onSelect={(kind) => setSelectedIssue(prev => ({ ...prev, modified: kind }))}
+                />
+              </div>
               <div className="mt-4 text-sm">
                 <p>Vertices: {modifiedModel.stats.vertices}</p>
                 <p>Faces: {modifiedModel.stats.faces}</p>
@@ -512,6 +1813,25 @@ useEffect(() => {
           )}
         </div>
       </div>
+      )}
+
+      {revisions.length > 0 && (
+        <Card className="max-w-4xl mx-auto mt-8 p-4">
+          <h3 className="text-lg font-semibold mb-2">Review notes</h3>
+          <AnnotationPanel
+            annotations={numberedAnnotations}
+            selectedId={selectedAnnotation}
+            onSelect={setSelectedAnnotation}
+            onGoTo={handleGoToAnnotation}
+            onChange={updateAnnotation}
+            onRemove={handleRemoveAnnotation}
+            author={annotationAuthor}
+            onAuthorChange={handleAuthorChange}
+            onExport={handleExportAnnotations}
+            onImport={handleImportAnnotations}
+          />
+        </Card>
+      )}
     </main>
   );
 }
\ No newline at end of file